@@ -0,0 +1,90 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import App from './App';
+import { auth } from './auth';
+import { parseHash } from './router';
+
+// Runs axe against every screen, rendered with the mock backend, LIFF and
+// OKTA provider. jsdom has no layout, so colour contrast is not checked here
+// (see the brand colours in tailwind.config.js).
+
+expect.extend(toHaveNoViolations);
+
+// Lets LIFF start and the mock backend (300 ms per request) answer.
+const settle = async () => {
+  await act(() => new Promise(resolve => setTimeout(resolve, 800)));
+  await waitFor(() => expect(screen.queryByLabelText('Loading')).not.toBeInTheDocument());
+};
+
+const renderAt = async (path) => {
+  window.location.hash = path;
+  const view = render(<App />);
+  await settle();
+  return view;
+};
+
+beforeAll(async () => {
+  await auth.login({ returnTo: '/' });
+  await auth.handleCallback(parseHash(window.location.hash).query);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Tracking and consent records go to the collectors over the network.
+  jest.spyOn(window, 'fetch').mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({}) });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(() => window.localStorage.clear());
+
+test.each([
+  '/',
+  '/login',
+  '/auth/callback?error=access_denied',
+  '/register',
+  '/completed',
+  '/features',
+  '/policies',
+  '/policies/2',
+  '/policies/2/pay',
+  '/claims',
+  '/claims/new',
+  '/claims/1',
+  '/claims/4/documents',
+  '/privileges',
+  '/privileges/redeemed',
+  '/privileges/free-coverage',
+  '/consent',
+  '/profile',
+])('%s has no axe violations', async (path) => {
+  const { container } = await renderAt(path);
+  expect(screen.getAllByRole('heading', { level: 2 }).length).toBeGreaterThan(0);
+  expect(await axe(container)).toHaveNoViolations();
+}, 15000);
+
+test('/register/otp has no axe violations', async () => {
+  const { container } = await renderAt('/register');
+  fireEvent.change(screen.getByLabelText('First Name'), { target: { value: 'Somchai' } });
+  fireEvent.change(screen.getByLabelText('Last Name'), { target: { value: 'Jaidee' } });
+  fireEvent.change(screen.getByLabelText('Phone Number'), { target: { value: '0812345678' } });
+  fireEvent.change(screen.getByLabelText('National ID (NID)'), { target: { value: '1234567890121' } });
+  fireEvent.click(screen.getByLabelText('Use of my data for AIA services (required)'));
+  fireEvent.click(screen.getByRole('button', { name: 'Request OTP' }));
+  await screen.findByRole('heading', { level: 2, name: 'Enter OTP' }, { timeout: 3000 });
+  expect(await axe(container)).toHaveNoViolations();
+}, 15000);
+
+test('moves focus to the new screen and announces its title', async () => {
+  await renderAt('/');
+  await act(async () => {
+    window.location.hash = '/features';
+  });
+  await settle();
+  const heading = screen.getByRole('heading', { level: 2, name: 'Features' });
+  expect(heading).toHaveFocus();
+  expect(document.title).toBe('Features - AIA');
+  expect(screen.getByText('Features', { selector: '[role="status"]' })).toBeInTheDocument();
+  // Menu items are buttons, so they work from the keyboard.
+  expect(screen.getByRole('button', { name: /My Policies/ })).toBeInTheDocument();
+}, 15000);
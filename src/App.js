@@ -1,102 +1,261 @@
-import React, { useState, useEffect, useRef } from 'react';
-
-// --- Tracking and Mock Data ---
-
-// Mock LINE LIFF object to simulate user data
-const mockLiff = {
-  getProfile: () => Promise.resolve({
-    displayName: 'LINE User',
-    userId: 'U1234567890abcdef1234567890abcdef', // Mock LINE MID
-    pictureUrl: 'https://placehold.co/100x100/28a745/FFFFFF?text=L',
-  }),
-};
-
-// Centralized function to send tracking events
-const trackEvent = (eventName, lineProfile) => {
-  const eventData = {
-    eventName: eventName,
-    eventTimestamp: new Date().toISOString(),
-    prop1: lineProfile?.displayName || 'Unknown', // LINE display name
-    prop2: lineProfile?.pictureUrl || 'N/A',      // LINE user image url
-    prop3: lineProfile?.userId || 'Unknown',      // LINE MID
-  };
-
-  console.log('Attempting to send tracking event:', eventData);
-
-  fetch('https://icecdp.onrender.com/events', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(eventData),
-  })
-  .then(response => {
-    if (!response.ok) {
-      response.text().then(text => {
-          console.error(`Failed to track event. Status: ${response.status}`, text);
-      });
-    } else {
-      console.log('Tracking event sent successfully.');
-    }
-  })
-  .catch(error => {
-    console.error('Error sending tracking event:', error);
-  });
+import React, { useState, useEffect, useRef, useCallback, useMemo, useSyncExternalStore } from 'react';
+import { liff } from './liff';
+import { createRouter, useHashRouter } from './router';
+import { otpService, maskPhone, OTP_ERROR_CODES } from './otpService';
+import { api, isQueuedOffline, useResource } from './api';
+import { auth, CALLBACK_PATH, useAuthSession } from './auth';
+import { EVENTS, SCREENS, startTracking, tracker } from './tracking';
+import { formatFileSize } from './format';
+import { generateEventId } from './eventQueue';
+import { encodeQr } from './qrCode';
+import { CODE128_QUIET_ZONE, encodeCode128 } from './code128';
+import { findActiveVoucher, getPrivilegeEligibility, getVoucherStatus, orderPrivileges } from './privileges';
+import { buildBillPaymentPayload } from './promptPay';
+import { REMINDER_DAYS_OPTIONS, pollPaymentStatus } from './payments';
+import { createActiveTimer, createScrollMilestones, getEngagementConfig, getScrollPercent } from './engagement';
+import { I18nProvider, SUPPORTED_LANGUAGES, useI18n } from './i18n';
+import { CONSENT_PURPOSES, CONSENT_VERSION, getConsentText, loadConsentState, recordConsent, startConsentDelivery } from './consent';
+import { buildClaimTimeline } from './claimTimeline';
+import { ACCEPTED_FILE_TYPES, CLAIM_TYPES, DOCUMENT_TYPES, MAX_DOCUMENTS, REQUIRED_DOCUMENTS, clearClaimDraft, compressImage, createClaimDraft, getMissingDocuments, loadClaimDraft, saveClaimDraft, toThaiDateString, validateClaimDetails, validateClaimFile } from './claimSubmission';
+import { formatThaiMobile, formatThaiNid, normalizeCustomerForm, validateCustomerField, validateCustomerForm } from './validation';
+import { registrationDrafts } from './registrationDraft';
+import { assignExperiment, experiments, localizeParam } from './experiments';
+import { PRODUCT_CATEGORIES, getPolicyTopic, getPrivilegeTopic, getRecommendationRules, interestSignals, rankRecommendations } from './recommendations';
+import imagePlaceholder from './icons/image-placeholder.svg';
+import oktaLogo from './icons/okta-logo.svg';
+
+// --- Tracking ---
+
+// Centralized function to send tracking events; `event` comes from the EVENTS catalog.
+const trackEvent = (event, properties, lineProfile) => {
+  const eventData = tracker.track(event, properties, lineProfile);
+  if (eventData) console.log('Queueing tracking event:', eventData);
 };
 
-// Custom hook for tracking component interactions
-const useInteractionTracking = (screenName, lineProfile) => {
-    const viewStartTime = useRef(Date.now());
-    const hasTrackedViewDuration = useRef(false);
-    const hasTrackedScroll = useRef(false);
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+const toSeconds = (ms) => Math.round(ms / 100) / 10;
+
+// Custom hook for tracking component interactions: the screen view, scroll
+// milestones and, when the screen is left, the active and total dwell time.
+// `itemId` identifies the record shown on detail screens. Thresholds come from
+// the screen's engagement config.
+const useInteractionTracking = (screenName, lineProfile, itemId) => {
     const mainRef = useRef(null);
 
     useEffect(() => {
-        if (!screenName || !lineProfile) return;
+        if (!screenName || !lineProfile) return undefined;
+
+        const { scrollMilestones, idleTimeoutMs } = getEngagementConfig(screenName);
+        const viewStartTime = Date.now();
+        const activeTimer = createActiveTimer({ idleTimeoutMs });
+        const nextMilestones = createScrollMilestones(scrollMilestones);
+        let hasTrackedViewDuration = false;
 
-        trackEvent(`view_${screenName}`, lineProfile);
+        trackEvent(EVENTS.SCREEN_VIEW, { screen: screenName, itemId }, lineProfile);
+        if (document.visibilityState !== 'hidden') activeTimer.start();
 
         const handleScroll = () => {
-             if (mainRef.current && !hasTrackedScroll.current) {
-                const { scrollTop, scrollHeight, clientHeight } = mainRef.current;
-                if (scrollHeight <= clientHeight) return;
-                const scrollPercent = (scrollTop / (scrollHeight - clientHeight)) * 100;
-                if (scrollPercent > 70) {
-                    trackEvent(`scroll_depth_over_70%_on_${screenName}`, lineProfile);
-                    hasTrackedScroll.current = true;
-                }
+            activeTimer.recordActivity();
+            if (!mainRef.current) return;
+            const percent = getScrollPercent(mainRef.current);
+            if (percent === null) return;
+            nextMilestones(percent).forEach(depth => trackEvent(EVENTS.SCROLL_DEPTH, { screen: screenName, depth, itemId }, lineProfile));
+        };
+
+        const handleActivity = () => activeTimer.recordActivity();
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                activeTimer.pause();
+            } else {
+                activeTimer.resume();
             }
         };
 
+        // Reported once, on unmount or when the LIFF window is closed.
+        const trackViewDuration = () => {
+            if (hasTrackedViewDuration) return;
+            hasTrackedViewDuration = true;
+            trackEvent(EVENTS.VIEW_DURATION, {
+                screen: screenName,
+                itemId,
+                duration: toSeconds(activeTimer.getActiveMs()),
+                totalDuration: toSeconds(Date.now() - viewStartTime),
+            }, lineProfile);
+        };
+
         const currentRef = mainRef.current;
         if (currentRef) {
             currentRef.addEventListener('scroll', handleScroll);
         }
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleActivity, { passive: true }));
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', trackViewDuration);
 
         return () => {
             if (currentRef) {
                 currentRef.removeEventListener('scroll', handleScroll);
             }
-            if (!hasTrackedViewDuration.current) {
-                const duration = (Date.now() - viewStartTime.current) / 1000;
-                if (duration > 5) {
-                    trackEvent(`view_duration_over_5s_on_${screenName}`, lineProfile);
+            ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleActivity));
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('pagehide', trackViewDuration);
+            trackViewDuration();
+        };
+    }, [screenName, lineProfile, itemId]);
+
+    return mainRef;
+};
+
+// Reports an impression the first time a list item stays visible for the
+// screen's impressionMinVisibleMs. Returns `observeImpression(node, properties)`
+// for ListItem, which in turn returns a function that stops observing.
+const useImpressionTracking = (screenName, lineProfile) => {
+    const itemsRef = useRef(new Map());
+    const observerRef = useRef(null);
+
+    useEffect(() => {
+        if (!lineProfile || typeof IntersectionObserver === 'undefined') return undefined;
+
+        const { impressionThreshold, impressionMinVisibleMs } = getEngagementConfig(screenName);
+        const items = itemsRef.current;
+        const seen = new Set();
+
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const item = items.get(entry.target);
+                if (!item) return;
+                const key = `${item.properties.element}:${item.properties.itemId}`;
+                if (entry.isIntersecting && entry.intersectionRatio >= impressionThreshold) {
+                    if (item.timer || seen.has(key)) return;
+                    item.timer = setTimeout(() => {
+                        item.timer = null;
+                        seen.add(key);
+                        observer.unobserve(entry.target);
+                        trackEvent(EVENTS.ITEM_IMPRESSION, { screen: screenName, ...item.properties }, lineProfile);
+                    }, impressionMinVisibleMs);
+                } else {
+                    clearTimeout(item.timer);
+                    item.timer = null;
                 }
-                hasTrackedViewDuration.current = true;
-            }
+            });
+        }, { threshold: impressionThreshold });
+
+        observerRef.current = observer;
+        items.forEach((item, node) => observer.observe(node));
+
+        return () => {
+            observer.disconnect();
+            observerRef.current = null;
+            items.forEach(item => {
+                clearTimeout(item.timer);
+                item.timer = null;
+            });
         };
     }, [screenName, lineProfile]);
 
-    return mainRef;
+    return useCallback((node, properties) => {
+        const items = itemsRef.current;
+        items.set(node, { properties, timer: null });
+        observerRef.current?.observe(node);
+        return () => {
+            clearTimeout(items.get(node)?.timer);
+            items.delete(node);
+            observerRef.current?.unobserve(node);
+        };
+    }, []);
+};
+
+// Variant of an A/B experiment for the LINE user (see experiments.js), updated
+// when the remote config loads. `getText(param, fallback)` reads a text param in
+// the current language. Call it before useInteractionTracking, so the screen
+// view already carries the exposure. Pass `exposed: false` while the screen
+// shows something else in place of the variant; the exposure is recorded once
+// the variant is rendered.
+const useExperiment = (experimentId, lineProfile, { exposed = true } = {}) => {
+    const { language } = useI18n();
+    const config = useSyncExternalStore(experiments.subscribe, experiments.getConfig);
+    const userId = lineProfile?.userId;
+    const { variant, params } = useMemo(() => assignExperiment(config, experimentId, userId), [config, experimentId, userId]);
+
+    useEffect(() => {
+        if (!variant || !exposed) return;
+        experiments.recordExposure(userId, experimentId, variant);
+        tracker.setContext({ experiments: experiments.getExposures(userId) });
+    }, [userId, experimentId, variant, exposed]);
+
+    const getText = (param, fallback) => localizeParam(params[param], language) ?? fallback;
+    return { variant, params, getText };
+};
+
+const secondsUntil = (targetTime) => (targetTime ? Math.max(0, Math.ceil((targetTime - Date.now()) / 1000)) : 0);
+
+// Seconds left until `targetTime` (ms timestamp), updated every second.
+const useCountdown = (targetTime) => {
+    const [remaining, setRemaining] = useState(() => secondsUntil(targetTime));
+
+    useEffect(() => {
+        const tick = () => setRemaining(secondsUntil(targetTime));
+        tick();
+        if (!targetTime) return undefined;
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [targetTime]);
+
+    return remaining;
+};
+
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+
+// --- Display Metadata ---
+
+// Status colours; labels come from the `policyStatus` and `claimStatus` catalog sections.
+const POLICY_STATUS_STYLES = {
+    active: 'text-green-700',
+    lapsed: 'text-amber-700',
+    terminated: 'text-gray-500',
+};
+
+// Badge colours per claim status.
+const CLAIM_STATUS_STYLES = {
+    submitted: 'bg-blue-100 text-blue-700',
+    documents_requested: 'bg-amber-100 text-amber-800',
+    under_review: 'bg-amber-100 text-amber-800',
+    approved: 'bg-green-100 text-green-700',
+    rejected: 'bg-red-100 text-red-700',
+    paid: 'bg-green-100 text-green-700',
+};
+
+// Badge colours per payment status.
+const PAYMENT_STATUS_STYLES = {
+    pending: 'bg-blue-100 text-blue-700',
+    paid: 'bg-green-100 text-green-700',
+    expired: 'bg-gray-100 text-gray-700',
+    failed: 'bg-red-100 text-red-700',
 };
 
 
 // --- Helper Components ---
 
-const AIAHeader = () => (
-    <header className="w-full bg-[#D31145] p-4 text-white text-center shadow-md sticky top-0 z-10">
-        <h1 className="text-2xl font-bold tracking-wider">AIA</h1>
-        <p className="text-sm">LINE Business Connect</p>
-    </header>
-);
+const AIAHeader = ({ lineProfile }) => {
+    const { t, language, setLanguage } = useI18n();
+    const handleLanguageChange = (next) => {
+        trackEvent(EVENTS.LANGUAGE_CHANGE, { language: next }, lineProfile);
+        setLanguage(next);
+    };
+    return (
+        <header className="w-full bg-brand p-4 text-white text-center shadow-md sticky top-0 z-10 relative">
+            <h1 className="text-2xl font-bold tracking-wider">AIA</h1>
+            <p className="text-sm">{t('header.subtitle')}</p>
+            <div role="group" aria-label={t('header.language')} className="absolute top-4 right-4 flex text-xs font-semibold rounded-full border border-white overflow-hidden">
+                {SUPPORTED_LANGUAGES.map(code => (
+                    <button key={code} onClick={() => handleLanguageChange(code)} aria-pressed={language === code} className={`px-2 py-1 uppercase ${language === code ? 'bg-white text-brand' : 'text-white'}`}>{code}</button>
+                ))}
+            </div>
+        </header>
+    );
+};
 
 const Card = React.forwardRef(({ children, className = '' }, ref) => (
     <div ref={ref} className={`w-full max-w-md bg-white rounded-xl shadow-lg p-6 md:p-8 overflow-y-auto ${className}`}>
@@ -105,357 +264,1969 @@ const Card = React.forwardRef(({ children, className = '' }, ref) => (
 ));
 
 const PrimaryButton = ({ onClick, children, className = '', disabled = false }) => (
-    <button onClick={onClick} disabled={disabled} className={`w-full bg-[#D31145] text-white font-bold py-3 px-4 rounded-lg hover:bg-[#b00e39] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#D31145] transition-colors duration-300 ${disabled ? 'opacity-50 cursor-not-allowed' : ''} ${className}`}>
+    <button onClick={onClick} disabled={disabled} className={`w-full bg-brand text-white font-bold py-3 px-4 rounded-lg hover:bg-brand-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-brand transition-colors duration-300 ${disabled ? 'opacity-50 cursor-not-allowed' : ''} ${className}`}>
         {children}
     </button>
 );
 
 const SecondaryButton = ({ onClick, children, className = '' }) => (
-     <button onClick={onClick} className={`w-full bg-white text-[#D31145] font-bold py-3 px-4 rounded-lg border-2 border-[#D31145] hover:bg-red-50 transition-colors duration-300 ${className}`}>
+     <button onClick={onClick} className={`w-full bg-white text-brand font-bold py-3 px-4 rounded-lg border-2 border-brand hover:bg-red-50 transition-colors duration-300 ${className}`}>
         {children}
     </button>
 );
 
-const InputField = ({ id, label, type = 'text', value, onChange, placeholder }) => (
+// The error is linked to the input and announced when it appears or changes.
+const InputField = ({ id, label, type = 'text', value, onChange, onBlur, placeholder, error, inputMode, autoComplete, max, required = false }) => (
     <div>
         <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
-        <input type={type} id={id} value={value} onChange={onChange} placeholder={placeholder} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-[#D31145] focus:border-[#D31145] transition-colors duration-200"/>
+        <input type={type} id={id} value={value} onChange={onChange} onBlur={onBlur} placeholder={placeholder} inputMode={inputMode} autoComplete={autoComplete} max={max} aria-required={required || undefined} aria-invalid={error ? 'true' : 'false'} aria-describedby={error ? `${id}-error` : undefined} className={`w-full px-3 py-2 border rounded-lg placeholder-gray-500 focus:ring-1 focus:ring-brand focus:border-brand transition-colors duration-200 ${error ? 'border-brand-dark' : 'border-gray-300'}`}/>
+        <p id={`${id}-error`} aria-live="polite" className="text-brand-dark text-sm mt-1 empty:hidden">{error}</p>
     </div>
 );
 
 const Checkbox = ({ id, label, checked, onChange, value }) => (
      <div className="flex items-center">
-        <input id={id} name={id} type="checkbox" checked={checked} onChange={onChange} value={value} className="h-4 w-4 text-[#D31145] focus:ring-[#b00e39] border-gray-300 rounded"/>
+        <input id={id} name={id} type="checkbox" checked={checked} onChange={onChange} value={value} className="h-4 w-4 text-brand focus:ring-brand-dark border-gray-300 rounded"/>
         <label htmlFor={id} className="ml-2 block text-sm text-gray-900">{label}</label>
     </div>
 );
 
-const ListItem = ({ title, description, onClick, imgSrc }) => (
-    <div onClick={onClick} className="flex items-center p-4 border rounded-lg hover:bg-gray-50 cursor-pointer transition-colors duration-200">
-        {imgSrc && <img src={imgSrc} alt={title} className="w-16 h-16 mr-4 rounded-md object-cover flex-shrink-0" onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/80x80/cccccc/ffffff?text=Error'; }}/>}
-        <div>
-            <h3 className="font-semibold text-gray-800">{title}</h3>
-            <p className="text-sm text-gray-600">{description}</p>
+// A legal text is too long to be a checkbox's name: with a `description`, the
+// checkbox is named by the short `label` and described by the full text.
+const ConsentOption = ({ id, label, description, required = false, checked, onChange }) => (
+    <div className="flex items-start">
+        <div className="flex items-center h-5"><input id={id} name={id} type="checkbox" checked={checked} onChange={onChange} aria-required={required || undefined} aria-describedby={description ? `${id}-description` : undefined} className="h-4 w-4 text-brand focus:ring-brand-dark border-gray-300 rounded"/></div>
+        <div className="ml-3 text-sm">
+            <label htmlFor={id} className={description ? 'font-medium text-gray-800' : 'text-gray-700'}>{label}</label>
+            {description && <p id={`${id}-description`} className="text-gray-700 mt-1">{description}</p>}
         </div>
     </div>
 );
 
+// `impression` ({ element, itemId, position }) reports the item through `observeImpression`
+// from useImpressionTracking.
+const ListItem = ({ title, description, onClick, imgSrc, impression, observeImpression }) => {
+    const itemRef = useRef(null);
+    const { element, itemId, position } = impression || {};
+
+    useEffect(() => {
+        if (!observeImpression || !element || !itemRef.current) return undefined;
+        return observeImpression(itemRef.current, { element, itemId, position });
+    }, [observeImpression, element, itemId, position]);
+
+    return (
+        <button ref={itemRef} type="button" onClick={onClick} className="w-full flex items-center p-4 border rounded-lg text-left hover:bg-gray-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-brand transition-colors duration-200">
+            {/* The title names the button, so the image is decorative. */}
+            {imgSrc && <img src={imgSrc} alt="" className="w-16 h-16 mr-4 rounded-md object-cover flex-shrink-0" onError={(e) => { e.target.onerror = null; e.target.src = imagePlaceholder; }}/>}
+            <span>
+                <span className="block font-semibold text-gray-800">{title}</span>
+                <span className="block text-sm text-gray-600">{description}</span>
+            </span>
+        </button>
+    );
+};
+
+const ListSkeleton = ({ rows = 3, withImage = false }) => {
+    const { t } = useI18n();
+    return (
+        <div className="space-y-4" aria-busy="true" aria-label={t('common.loading')}>
+            {Array.from({ length: rows }, (_, i) => (
+                <div key={i} className="flex items-center p-4 border rounded-lg animate-pulse">
+                    {withImage && <div className="w-16 h-16 mr-4 rounded-md bg-gray-200 flex-shrink-0" />}
+                    <div className="flex-grow space-y-2">
+                        <div className="h-4 bg-gray-200 rounded w-1/2" />
+                        <div className="h-3 bg-gray-200 rounded w-3/4" />
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const DetailSkeleton = ({ rows = 4 }) => {
+    const { t } = useI18n();
+    return (
+        <div className="space-y-3 border-t pt-6 animate-pulse" aria-busy="true" aria-label={t('common.loading')}>
+            {Array.from({ length: rows }, (_, i) => (
+                <div key={i} className="flex justify-between"><div className="h-4 bg-gray-200 rounded w-1/3" /><div className="h-4 bg-gray-200 rounded w-1/4" /></div>
+            ))}
+        </div>
+    );
+};
+
+const ErrorState = ({ message, onRetry }) => {
+    const { t } = useI18n();
+    return (
+        <div className="text-center py-6">
+            <p role="alert" className="text-brand-dark text-sm mb-4">{message}</p>
+            {onRetry && <SecondaryButton onClick={onRetry}>{t('common.tryAgain')}</SecondaryButton>}
+        </div>
+    );
+};
+
+// Shown while a screen displays the copy saved the last time it was online.
+const OfflineNotice = ({ savedAt }) => {
+    const { t, formatDateTime } = useI18n();
+    if (!savedAt) return null;
+    return <p role="status" className="mb-4 p-3 bg-amber-50 rounded-lg text-sm text-gray-700">{t('offline.lastUpdated', { date: formatDateTime(savedAt) })}</p>;
+};
+
+const EmptyState = ({ message }) => (
+    <p className="text-center text-gray-500 text-sm py-6">{message}</p>
+);
+
 // --- Screen Components ---
 
+// --- Registration Drafts ---
+
+// Registration progress saved by an earlier visit (see registrationDraft.js).
+// `isLoading` is true until the draft of `lineUserId` has been looked up.
+const useSavedRegistration = (lineUserId) => {
+    const [savedRegistration, setSavedRegistration] = useState(null);
+    const [loadedFor, setLoadedFor] = useState(null);
+    useEffect(() => {
+        if (!lineUserId) return undefined;
+        let isCurrent = true;
+        registrationDrafts.load(lineUserId)
+            // A draft that can't be read (e.g. IndexedDB is unavailable) is
+            // removed, and the customer starts over.
+            .catch(err => {
+                console.error('Failed to load registration draft:', err);
+                registrationDrafts.clear(lineUserId);
+                return null;
+            })
+            .then(draft => {
+                if (!isCurrent) return;
+                setSavedRegistration(draft);
+                setLoadedFor(lineUserId);
+            });
+        return () => { isCurrent = false; };
+    }, [lineUserId]);
+    const discardRegistration = () => {
+        registrationDrafts.clear(lineUserId);
+        setSavedRegistration(null);
+    };
+    return { savedRegistration, isLoading: Boolean(lineUserId) && loadedFor !== lineUserId, discardRegistration };
+};
+
+// The OTP step also needs the NID, which is missing when it couldn't be
+// decrypted; the customer then enters it again in the form.
+const canResumeAtOtp = (draft) => draft.step === 'otp' && Boolean(draft.otpRequest) && Boolean(draft.formData.nid);
+
+// Takes the customer back to the step they left.
+const resumeRegistration = (draft, { setUserData, setScreen }) => {
+    const atOtp = canResumeAtOtp(draft);
+    const customer = atOtp ? { ...normalizeCustomerForm(draft.formData), interests: draft.interests, consent: draft.consent, otpRequest: draft.otpRequest } : {};
+    setUserData(prev => ({ ...prev, ...customer, isNew: true, registration: draft }));
+    setScreen(atOtp ? 'otp' : 'new_customer_form');
+};
+
+const ResumeRegistrationPrompt = ({ draft, onResume, onStartOver }) => {
+    const { t, formatDateTime } = useI18n();
+    return (
+        <div className="text-center">
+            <h3 className="font-semibold text-gray-800 mb-2">{t('register.resumeTitle')}</h3>
+            <p className="text-gray-600 text-sm mb-6">{t(draft.step === 'otp' ? 'register.resumeOtpDescription' : 'register.resumeDescription', { date: formatDateTime(draft.savedAt) })}</p>
+            <div className="space-y-3">
+                <PrimaryButton onClick={onResume}>{t('register.resume')}</PrimaryButton>
+                <SecondaryButton onClick={onStartOver}>{t('register.startOver')}</SecondaryButton>
+            </div>
+        </div>
+    );
+};
+
 const WelcomeScreen = ({ setScreen, setUserData, lineProfile }) => {
-    const mainRef = useInteractionTracking('welcome', lineProfile);
+    const { savedRegistration, isLoading: isLoadingRegistration, discardRegistration } = useSavedRegistration(lineProfile?.userId);
+    // The buttons wait for the draft lookup, so customers asked to resume
+    // their registration don't count as having seen them.
+    const showButtons = !isLoadingRegistration && !savedRegistration;
+    const { params: layout, getText } = useExperiment('welcome_buttons', lineProfile, { exposed: showButtons });
+    // The view is tracked once the lookup is done, so it carries the exposure.
+    const mainRef = useInteractionTracking(isLoadingRegistration ? null : SCREENS.WELCOME, lineProfile);
+    const { t } = useI18n();
     const handleNavigation = (screen, isNew, buttonId) => {
-        trackEvent(`click_${buttonId}`, lineProfile);
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.WELCOME, element: buttonId }, lineProfile);
         setUserData(prev => ({ ...prev, isNew }));
         setScreen(screen);
     };
+    const handleResume = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.WELCOME, element: 'resume_registration', value: savedRegistration.step }, lineProfile);
+        resumeRegistration(savedRegistration, { setUserData, setScreen });
+    };
+    const handleStartOver = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.WELCOME, element: 'restart_registration' }, lineProfile);
+        discardRegistration();
+    };
+    if (savedRegistration) {
+        return (
+            <Card ref={mainRef}>
+                <ResumeRegistrationPrompt draft={savedRegistration} onResume={handleResume} onStartOver={handleStartOver} />
+            </Card>
+        );
+    }
+    const existingCustomer = { label: getText('existingCustomerLabel', t('welcome.existingCustomer')), onClick: () => handleNavigation('existing_customer_login', false, 'existing_customer_button') };
+    const newCustomer = { label: getText('newCustomerLabel', t('welcome.newCustomer')), onClick: () => handleNavigation('new_customer_form', true, 'new_customer_button') };
+    const [primary, secondary] = layout.newCustomerFirst ? [newCustomer, existingCustomer] : [existingCustomer, newCustomer];
     return (
         <Card ref={mainRef}>
             <div className="text-center">
-                <h2 className="text-xl font-semibold text-gray-800 mb-2">Welcome!</h2>
-                <p className="text-gray-600 mb-8">Please select an option to continue.</p>
-            </div>
-            <div className="space-y-4">
-                <PrimaryButton onClick={() => handleNavigation('existing_customer_login', false, 'existing_customer_button')}>Existing Customer</PrimaryButton>
-                <SecondaryButton onClick={() => handleNavigation('new_customer_form', true, 'new_customer_button')}>New Customer</SecondaryButton>
+                <h2 className="text-xl font-semibold text-gray-800 mb-2">{t('welcome.title')}</h2>
+                <p className="text-gray-600 mb-8">{t('welcome.subtitle')}</p>
             </div>
+            {showButtons && (
+                <div className="space-y-4">
+                    <PrimaryButton onClick={primary.onClick}>{primary.label}</PrimaryButton>
+                    <SecondaryButton onClick={secondary.onClick}>{secondary.label}</SecondaryButton>
+                </div>
+            )}
         </Card>
     );
 };
 
-const ExistingCustomerLogin = ({ setScreen, setUserData, lineProfile }) => {
-    const mainRef = useInteractionTracking('existing_customer_login', lineProfile);
+const ExistingCustomerLogin = ({ setScreen, query, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.EXISTING_CUSTOMER_LOGIN, lineProfile);
+    const { t } = useI18n();
+    const [isRedirecting, setIsRedirecting] = useState(false);
+    const [error, setError] = useState('');
     const handleLogin = () => {
-        trackEvent('click_okta_login', lineProfile);
-        setUserData(prev => ({ ...prev, firstName: 'Valued Customer', isNew: false }));
-        setScreen('completed');
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.EXISTING_CUSTOMER_LOGIN, element: 'okta_login' }, lineProfile);
+        setError('');
+        setIsRedirecting(true);
+        // OKTA redirects back to the callback route, which continues to `returnTo`.
+        auth.login({ returnTo: query?.redirect || '/completed' })
+            .catch(err => {
+                console.error('Failed to start OKTA login:', err);
+                setError(t('login.failed'));
+                setIsRedirecting(false);
+            });
     };
     return (
         <Card ref={mainRef}>
             <div className="text-center">
-                <h2 className="text-xl font-semibold text-gray-800 mb-2">Existing Customer Login</h2>
-                <p className="text-gray-600 mb-8">You will be redirected to log in securely.</p>
-                <img src="https://placehold.co/100x40/FFFFFF/000000?text=OKTA" alt="OKTA Logo" className="mx-auto mb-8" onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/100x40/FFFFFF/000000?text=OKTA'; }}/>
+                <h2 className="text-xl font-semibold text-gray-800 mb-2">{t('login.title')}</h2>
+                <p className="text-gray-600 mb-8">{t('login.subtitle')}</p>
+                <img src={oktaLogo} alt={t('login.logoAlt')} width="100" height="40" className="mx-auto mb-8"/>
             </div>
-            <PrimaryButton onClick={handleLogin}>Login with OKTA</PrimaryButton>
-            <button onClick={() => setScreen('welcome')} className="w-full text-center text-gray-500 mt-4 text-sm hover:underline">&larr; Back</button>
+            {error && <p role="alert" className="text-brand-dark text-sm mb-4 text-center">{error}</p>}
+            <PrimaryButton onClick={handleLogin} disabled={isRedirecting}>{isRedirecting ? t('login.redirecting') : t('login.button')}</PrimaryButton>
+            <button onClick={() => setScreen('welcome')} className="w-full text-center text-gray-500 mt-4 text-sm hover:underline">{t('common.back')}</button>
         </Card>
     );
 };
 
-const NewCustomerForm = ({ setScreen, setUserData, lineProfile }) => {
-    const mainRef = useInteractionTracking('new_customer_form', lineProfile);
-    const [formData, setFormData] = useState({ firstName: '', lastName: '', phone: '', nid: '' });
-    const [interests, setInterests] = useState([]);
-    const [consent, setConsent] = useState(false);
+// OKTA redirects here (see moveCallbackToHash) with the authorization code.
+const AuthCallbackScreen = ({ setScreen, navigateToPath, query }) => {
+    const { t } = useI18n();
     const [error, setError] = useState('');
-    const productCategories = ["Health insurance", "Life insurance", "Tax saving"];
+    const { code, state, error: callbackError, error_description: errorDescription } = query;
+
+    useEffect(() => {
+        auth.handleCallback({ code, state, error: callbackError, error_description: errorDescription })
+            .then(({ returnTo }) => navigateToPath(returnTo, { replace: true }))
+            .catch(err => {
+                console.error('OKTA login failed:', err);
+                setError(err.message);
+            });
+    }, [code, state, callbackError, errorDescription, navigateToPath]);
 
-    const handleFormChange = (e) => setFormData(prev => ({ ...prev, [e.target.id]: e.target.value }));
+    return (
+        <Card>
+            <div className="text-center">
+                {error ? (
+                    <>
+                        <h2 className="text-xl font-semibold text-gray-800 mb-2">{t('authCallback.failed')}</h2>
+                        <p className="text-brand-dark text-sm mb-8">{error}</p>
+                        <PrimaryButton onClick={() => setScreen('existing_customer_login', {}, { replace: true })}>{t('authCallback.tryAgain')}</PrimaryButton>
+                    </>
+                ) : (
+                    <p className="text-gray-600" role="status">{t('authCallback.signingIn')}</p>
+                )}
+            </div>
+        </Card>
+    );
+};
+
+// Progress is saved per LINE user after every change, so closing LIFF (e.g. to
+// read the OTP in the SMS app) lets the customer continue where they left off.
+const NewCustomerForm = ({ setScreen, userData, setUserData, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.NEW_CUSTOMER_FORM, lineProfile);
+    const { t, language } = useI18n();
+    const lineUserId = lineProfile?.userId;
+    const restored = userData?.registration;
+    const [formData, setFormData] = useState(restored?.formData || { firstName: '', lastName: '', phone: '', nid: '' });
+    const [interests, setInterests] = useState(restored?.interests || []);
+    const [consents, setConsents] = useState(restored?.consents || {});
+    const [isDirty, setIsDirty] = useState(false);
+    const [isPromptDismissed, setIsPromptDismissed] = useState(false);
+    const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const { savedRegistration, discardRegistration } = useSavedRegistration(restored ? null : lineUserId);
+    const inputMasks = { phone: formatThaiMobile, nid: formatThaiNid };
+
+    // Autosave once the customer has changed something, so opening the form
+    // doesn't replace a saved draft before they choose to resume it.
+    useEffect(() => {
+        if (isDirty && lineUserId) registrationDrafts.save(lineUserId, { step: 'form', formData, interests, consents, consent: null, otpRequest: null });
+    }, [isDirty, lineUserId, formData, interests, consents]);
+
+    const handleResume = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.NEW_CUSTOMER_FORM, element: 'resume_registration', value: savedRegistration.step }, lineProfile);
+        if (canResumeAtOtp(savedRegistration)) {
+            resumeRegistration(savedRegistration, { setUserData, setScreen });
+            return;
+        }
+        setFormData(savedRegistration.formData);
+        setInterests(savedRegistration.interests);
+        setConsents(savedRegistration.consents);
+        setIsPromptDismissed(true);
+    };
+
+    const handleStartOver = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.NEW_CUSTOMER_FORM, element: 'restart_registration' }, lineProfile);
+        discardRegistration();
+    };
+
+    const handleFormChange = (e) => {
+        const { id, value } = e.target;
+        const nextValue = inputMasks[id] ? inputMasks[id](value) : value;
+        setIsDirty(true);
+        setFormData(prev => ({ ...prev, [id]: nextValue }));
+        // Re-check fields that already show an error so the message clears as soon as the input is fixed.
+        if (fieldErrors[id]) {
+            setFieldErrors(prev => ({ ...prev, [id]: validateCustomerField(id, { ...formData, [id]: nextValue }) }));
+        }
+    };
+    const handleFieldBlur = (e) => {
+        const { id } = e.target;
+        if (formData[id]) {
+            setFieldErrors(prev => ({ ...prev, [id]: validateCustomerField(id, formData) }));
+        }
+    };
     const handleInterestChange = (e) => {
         const { value, checked } = e.target;
+        setIsDirty(true);
         setInterests(prev => checked ? [...prev, value] : prev.filter(i => i !== value));
     };
 
+    const handleConsentChange = (purpose, checked) => {
+        setIsDirty(true);
+        setConsents(prev => ({ ...prev, [purpose]: checked }));
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.NEW_CUSTOMER_FORM, element: 'pdpa_consent', value: purpose }, lineProfile);
+    };
+
     const handleSubmit = () => {
-        if (!formData.firstName || !formData.lastName || !formData.phone || !formData.nid) {
-            setError('All personal information fields are required.');
+        const errors = validateCustomerForm(formData);
+        setFieldErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            setError(t('register.fixErrors'));
+            // Take keyboard and screen reader users to the first field to fix.
+            document.getElementById(Object.keys(errors)[0])?.focus();
             return;
         }
-        if (!consent) {
-            setError('You must accept the PDPA consent to proceed.');
+        if (!consents.service) {
+            setError(t('register.consentRequired'));
             return;
         }
-        trackEvent('click_request_otp', lineProfile);
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.NEW_CUSTOMER_FORM, element: 'request_otp' }, lineProfile);
         setError('');
-        setUserData(prev => ({ ...prev, ...formData, interests, isNew: true }));
-        setScreen('otp');
+        setIsSubmitting(true);
+        const customer = normalizeCustomerForm(formData);
+        recordConsent({ lineUserId, decisions: consents, language })
+            .then(consent => otpService.requestOtp(customer.phone).then(otpRequest => ({ consent, otpRequest })))
+            .then(({ consent, otpRequest }) => {
+                const registration = { step: 'otp', formData, interests, consents, consent, otpRequest };
+                registrationDrafts.save(lineProfile?.userId, registration);
+                setUserData(prev => ({ ...prev, ...customer, interests, consent, isNew: true, otpRequest, registration }));
+                setScreen('otp');
+            })
+            .catch(err => {
+                console.error('Failed to request OTP:', err);
+                setError(t(err.code === OTP_ERROR_CODES.LOCKED ? 'register.otpLocked' : 'register.otpRequestFailed'));
+                setIsSubmitting(false);
+            });
     };
 
+    if (savedRegistration && !isDirty && !isPromptDismissed) {
+        return (
+            <Card ref={mainRef}>
+                <ResumeRegistrationPrompt draft={savedRegistration} onResume={handleResume} onStartOver={handleStartOver} />
+            </Card>
+        );
+    }
+
     return (
         <Card ref={mainRef}>
-            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">New Customer Registration</h2>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('register.title')}</h2>
             <div className="space-y-4">
-                <InputField id="firstName" label="First Name" value={formData.firstName} onChange={handleFormChange} placeholder="e.g., John" />
-                <InputField id="lastName" label="Last Name" value={formData.lastName} onChange={handleFormChange} placeholder="e.g., Doe" />
-                <InputField id="phone" label="Phone Number" type="tel" value={formData.phone} onChange={handleFormChange} placeholder="e.g., 0812345678" />
-                <InputField id="nid" label="National ID (NID)" type="text" value={formData.nid} onChange={handleFormChange} placeholder="13-digit number" />
+                <InputField id="firstName" label={t('register.firstName')} value={formData.firstName} onChange={handleFormChange} onBlur={handleFieldBlur} error={fieldErrors.firstName && t(fieldErrors.firstName)} autoComplete="given-name" placeholder={t('register.firstNamePlaceholder')} required />
+                <InputField id="lastName" label={t('register.lastName')} value={formData.lastName} onChange={handleFormChange} onBlur={handleFieldBlur} error={fieldErrors.lastName && t(fieldErrors.lastName)} autoComplete="family-name" placeholder={t('register.lastNamePlaceholder')} required />
+                <InputField id="phone" label={t('register.phone')} type="tel" value={formData.phone} onChange={handleFormChange} onBlur={handleFieldBlur} error={fieldErrors.phone && t(fieldErrors.phone)} autoComplete="tel" placeholder={t('register.phonePlaceholder')} required />
+                <InputField id="nid" label={t('register.nid')} type="text" inputMode="numeric" value={formData.nid} onChange={handleFormChange} onBlur={handleFieldBlur} error={fieldErrors.nid && t(fieldErrors.nid)} placeholder={t('register.nidPlaceholder')} required />
             </div>
             <div className="mt-6">
-                <label className="block text-sm font-medium text-gray-700 mb-2">I'm interested in (optional)</label>
-                <div className="space-y-2">{productCategories.map(category => <Checkbox key={category} id={category} label={category} checked={interests.includes(category)} onChange={handleInterestChange} value={category}/>)}</div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('register.interestsLabel')}</label>
+                <div className="space-y-2">{PRODUCT_CATEGORIES.map(category => <Checkbox key={category} id={`interest_${category}`} label={t(`interests.${category}`)} checked={interests.includes(category)} onChange={handleInterestChange} value={category}/>)}</div>
             </div>
-            <div className="mt-6 pt-6 border-t border-gray-200">
-                 <div className="flex items-start">
-                    <div className="flex items-center h-5"><input id="consent" name="consent" type="checkbox" checked={consent} onChange={(e) => { setConsent(e.target.checked); trackEvent('click_pdpa_consent', lineProfile); }} className="h-4 w-4 text-[#D31145] focus:ring-[#b00e39] border-gray-300 rounded"/></div>
-                    <div className="ml-3 text-sm"><label htmlFor="consent" className="text-gray-700">This is the PDPA consent which you need to accept before proceed to next step</label></div>
-                </div>
-            </div>
-            {error && <p className="text-red-500 text-sm mt-4 text-center">{error}</p>}
-            <PrimaryButton onClick={handleSubmit} className="mt-8" disabled={!consent}>Request OTP</PrimaryButton>
-            <button onClick={() => setScreen('welcome')} className="w-full text-center text-gray-500 mt-4 text-sm hover:underline">&larr; Back</button>
+            <fieldset className="mt-6 pt-6 border-t border-gray-200 space-y-4">
+                <legend className="float-left w-full text-sm font-medium text-gray-700">{t('consent.legend')}</legend>
+                {CONSENT_PURPOSES.map(({ id, required }) => (
+                    <ConsentOption key={id} id={id === 'service' ? 'consent' : `consent_${id}`} label={t(`consent.purpose.${id}`)} description={getConsentText(id, language)} required={required} checked={Boolean(consents[id])} onChange={(e) => handleConsentChange(id, e.target.checked)} />
+                ))}
+                <p className="text-xs text-gray-500">{t('register.consentVersion', { version: CONSENT_VERSION })}</p>
+            </fieldset>
+            {error && <p role="alert" className="text-brand-dark text-sm mt-4 text-center">{error}</p>}
+            <PrimaryButton onClick={handleSubmit} className="mt-8" disabled={!consents.service || !lineUserId || isSubmitting}>{isSubmitting ? t('register.sendingOtp') : t('register.requestOtp')}</PrimaryButton>
+            <button onClick={() => setScreen('welcome')} className="w-full text-center text-gray-500 mt-4 text-sm hover:underline">{t('common.back')}</button>
         </Card>
     );
 };
 
-const OtpScreen = ({ setScreen, lineProfile }) => {
-    const mainRef = useInteractionTracking('otp_screen', lineProfile);
+const OtpScreen = ({ setScreen, userData, setUserData, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.OTP, lineProfile);
+    const { t } = useI18n();
+    const otpRequest = userData?.otpRequest;
     const [otp, setOtp] = useState('');
     const [error, setError] = useState('');
+    const [lockedUntil, setLockedUntil] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const expiresIn = useCountdown(otpRequest?.expiresAt);
+    const resendIn = useCountdown(otpRequest?.resendAvailableAt);
+    // The OTP service locks the phone number, so a new code has to wait too.
+    const lockedIn = useCountdown(lockedUntil);
+    const isLocked = lockedIn > 0;
+    const waitIn = Math.max(resendIn, lockedIn);
+    const isExpired = Boolean(otpRequest) && expiresIn === 0;
+
+    useEffect(() => {
+        // Deep links straight to the OTP step have nothing to verify.
+        if (!otpRequest) setScreen('new_customer_form', {}, { replace: true });
+    }, [otpRequest, setScreen]);
+
+    if (!otpRequest) return null;
+
     const handleSubmit = () => {
-        trackEvent('click_verify_otp', lineProfile);
-        if(otp === '999999') {
-            setError('');
-            setScreen('completed');
-        } else {
-            setError('Invalid OTP. Please try again.');
-        }
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.OTP, element: 'verify_otp' }, lineProfile);
+        setIsBusy(true);
+        otpService.verifyOtp(otpRequest.requestId, otp)
+            .then(() => {
+                setError('');
+                registrationDrafts.clear(lineProfile?.userId);
+                saveDeclaredInterests(userData.interests || [], lineProfile);
+                setUserData(prev => ({ ...prev, otpRequest: null, phoneVerified: true, registration: null }));
+                setScreen('completed');
+            })
+            .catch(err => {
+                setIsBusy(false);
+                switch (err.code) {
+                    case OTP_ERROR_CODES.INVALID_CODE:
+                        setError(t('otp.invalid', { count: err.attemptsRemaining }));
+                        break;
+                    case OTP_ERROR_CODES.LOCKED:
+                        setLockedUntil(err.lockedUntil);
+                        setError(t('otp.locked'));
+                        break;
+                    case OTP_ERROR_CODES.EXPIRED:
+                    case OTP_ERROR_CODES.NOT_FOUND:
+                        setError(t('otp.expiredError'));
+                        break;
+                    default:
+                        console.error('Failed to verify OTP:', err);
+                        setError(t('otp.verifyFailed'));
+                }
+            });
+    };
+
+    const handleResend = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.OTP, element: 'resend_otp' }, lineProfile);
+        setIsBusy(true);
+        otpService.resendOtp(otpRequest.requestId)
+            // A request from a resumed registration may have been discarded by
+            // the OTP service; start a new one for the same phone.
+            .catch(err => (err.code === OTP_ERROR_CODES.NOT_FOUND || err.code === OTP_ERROR_CODES.EXPIRED ? otpService.requestOtp(otpRequest.phone) : Promise.reject(err)))
+            .then(newRequest => {
+                registrationDrafts.update(lineProfile?.userId, { otpRequest: newRequest })
+                    .catch(err => console.error('Failed to update registration draft:', err));
+                setUserData(prev => ({ ...prev, otpRequest: newRequest, registration: prev.registration && { ...prev.registration, otpRequest: newRequest } }));
+                setOtp('');
+                setError('');
+                setLockedUntil(null);
+            })
+            .catch(err => {
+                if (err.code === OTP_ERROR_CODES.LOCKED) {
+                    setLockedUntil(err.lockedUntil);
+                    setError(t('otp.locked'));
+                    return;
+                }
+                console.error('Failed to resend OTP:', err);
+                setError(t('otp.resendFailed'));
+            })
+            .finally(() => setIsBusy(false));
     };
 
     return (
         <Card ref={mainRef}>
             <div className="text-center">
-                <h2 className="text-xl font-semibold text-gray-800 mb-2">Enter OTP</h2>
-                <p className="text-gray-600 mb-6">An OTP has been sent to your phone. (Hint: use 999999)</p>
+                <h2 className="text-xl font-semibold text-gray-800 mb-2">{t('otp.title')}</h2>
+                <p className="text-gray-600 mb-6">{t('otp.sentTo', { phone: maskPhone(otpRequest.phone) })}{otpService.isMock && ` ${t('otp.hint')}`}</p>
             </div>
-            <InputField id="otp" label="One-Time Password" type="tel" value={otp} onChange={(e) => setOtp(e.target.value)} placeholder="6-digit code"/>
-            {error && <p className="text-red-500 text-sm mt-2 text-center">{error}</p>}
-            <PrimaryButton onClick={handleSubmit} className="mt-8">Verify & Complete</PrimaryButton>
-            <button onClick={() => setScreen('new_customer_form')} className="w-full text-center text-gray-500 mt-4 text-sm hover:underline">&larr; Back</button>
+            <InputField id="otp" label={t('otp.label')} type="tel" value={otp} onChange={(e) => setOtp(e.target.value.replace(/\D/g, '').slice(0, 6))} placeholder={t('otp.placeholder')}/>
+            <p className="text-gray-500 text-sm mt-2 text-center">{isExpired ? t('otp.expired') : t('otp.expiresIn', { time: formatCountdown(expiresIn) })}</p>
+            {error && <p role="alert" className="text-brand-dark text-sm mt-2 text-center">{error}</p>}
+            <PrimaryButton onClick={handleSubmit} className="mt-8" disabled={isBusy || isLocked || isExpired || otp.length !== 6}>{t('otp.verify')}</PrimaryButton>
+            <button onClick={handleResend} disabled={isBusy || waitIn > 0} className="w-full text-center text-brand mt-4 text-sm font-medium hover:underline disabled:text-gray-500 disabled:no-underline disabled:cursor-not-allowed">
+                {waitIn > 0 ? t('otp.resendIn', { time: formatCountdown(waitIn) }) : t('otp.resend')}
+            </button>
+            <button onClick={() => setScreen('new_customer_form')} className="w-full text-center text-gray-500 mt-4 text-sm hover:underline">{t('common.back')}</button>
         </Card>
     );
 };
 
-const CompletedScreen = ({ setScreen, userData, lineProfile }) => {
-    const mainRef = useInteractionTracking('completed_screen', lineProfile);
+// --- Recommendations ---
+
+// Saves the interests chosen at registration; recommendations use them from then on.
+const saveDeclaredInterests = (interests, lineProfile) => {
+    trackEvent(EVENTS.INTERESTS_UPDATE, { screen: SCREENS.OTP, interests }, lineProfile);
+    api.saveInterests(lineProfile?.userId, interests)
+        .catch(err => { if (!isQueuedOffline(err)) console.error('Failed to save interests:', err); });
+};
+
+// Ranked offers and privileges (see recommendations.js). `interests` stands in
+// for the saved ones, e.g. right after registration while they are being saved.
+// Policies only count for signed-in customers.
+const useRecommendations = (screenName, { lineProfile, session, interests }) => {
+    const userId = lineProfile?.userId;
+    const isSignedIn = Boolean(session);
+    const interestsKey = interests ? interests.join(',') : null;
+    return useResource((options) => Promise.all([
+        interestsKey !== null
+            ? interestsKey.split(',').filter(Boolean)
+            : api.getInterests(userId, options).then(profile => profile.interests, () => []),
+        api.getOffers(userId, options),
+        api.getPrivileges(userId, options),
+        isSignedIn ? api.getPolicies(userId, options) : [],
+    ]).then(([declared, offers, privileges, policies]) => rankRecommendations(
+        { offers, privileges, policies, interests: declared, signals: interestSignals.load(userId) },
+        getRecommendationRules(screenName),
+    )), [screenName, userId, isSignedIn, interestsKey], { enabled: Boolean(userId) });
+};
+
+// "Recommended for you". Hidden while loading, on errors and when nothing scores.
+const RecommendedSection = ({ screenName, setScreen, session, lineProfile, interests }) => {
+    const { t } = useI18n();
+    const observeImpression = useImpressionTracking(screenName, lineProfile);
+    const { data: recommendations } = useRecommendations(screenName, { lineProfile, session, interests });
+    if (!recommendations || recommendations.length === 0) return null;
+
+    const handleClick = ({ kind, item, topic }) => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: screenName, element: 'recommendation', itemId: `${kind}:${item.id}`, value: kind }, lineProfile);
+        interestSignals.record(lineProfile?.userId, topic);
+        if (kind === 'privilege') {
+            setScreen('privilege_details', { privilegeId: item.id });
+        } else {
+            liff.openWindow({ url: item.url, external: true });
+        }
+    };
+
+    return (
+        <section className="mt-8 pt-6 border-t border-gray-200">
+            <h3 className="font-semibold text-gray-800 mb-3">{t('recommendations.title')}</h3>
+            <div className="space-y-4">
+                {recommendations.map((recommendation, index) => {
+                    const { kind, item } = recommendation;
+                    return <ListItem key={`${kind}:${item.id}`} title={item.name} description={`${t(`recommendations.kind.${kind}`)} · ${item.description}`} imgSrc={item.imageUrl} impression={{ element: 'recommendation', itemId: `${kind}:${item.id}`, position: index }} observeImpression={observeImpression} onClick={() => handleClick(recommendation)} />;
+                })}
+            </div>
+        </section>
+    );
+};
+
+const CompletedScreen = ({ setScreen, userData, session, lineProfile }) => {
+    const { params: layout, getText } = useExperiment('completed_cta', lineProfile);
+    const mainRef = useInteractionTracking(SCREENS.COMPLETED, lineProfile);
+    const { t } = useI18n();
+    const handleCta = (element, screenName) => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.COMPLETED, element }, lineProfile);
+        setScreen(screenName);
+    };
     return (
         <Card ref={mainRef}>
             <div className="text-center">
-                <svg className="w-16 h-16 mx-auto text-green-500 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-                <h2 className="text-2xl font-bold text-gray-800 mb-2">Registration Complete!</h2>
-                <p className="text-gray-600 mb-8">Thank you, {userData?.firstName || 'customer'}! You are now connected with AIA.</p>
+                <svg aria-hidden="true" className="w-16 h-16 mx-auto text-green-600 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('completed.title')}</h2>
+                <p className="text-gray-600 mb-8">{t('completed.thankYou', { name: userData?.firstName || session?.claims.given_name || t('completed.defaultName') })}</p>
                 <div className="space-y-4">
-                    <PrimaryButton onClick={() => { trackEvent('click_all_features', lineProfile); setScreen('features_menu'); }}>All Features</PrimaryButton>
-                    <SecondaryButton onClick={() => { trackEvent('click_start_over', lineProfile); setScreen('welcome'); }}>Start Over</SecondaryButton>
+                    {layout.primaryCta === 'privileges' ? (
+                        <>
+                            <PrimaryButton onClick={() => handleCta('privileges', 'privileges')}>{getText('primaryLabel', t('features.privileges'))}</PrimaryButton>
+                            <SecondaryButton onClick={() => handleCta('all_features', 'features_menu')}>{t('completed.allFeatures')}</SecondaryButton>
+                        </>
+                    ) : (
+                        <PrimaryButton onClick={() => handleCta('all_features', 'features_menu')}>{getText('primaryLabel', t('completed.allFeatures'))}</PrimaryButton>
+                    )}
+                    <SecondaryButton onClick={() => handleCta('start_over', 'welcome')}>{t('completed.startOver')}</SecondaryButton>
                 </div>
             </div>
+            <RecommendedSection screenName={SCREENS.COMPLETED} setScreen={setScreen} session={session} lineProfile={lineProfile} interests={userData?.interests} />
         </Card>
     );
 };
 
-const FeaturesMenuScreen = ({ setScreen, userData, lineProfile }) => {
-    const mainRef = useInteractionTracking('features_menu', lineProfile);
+const FeaturesMenuScreen = ({ setScreen, session, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.FEATURES_MENU, lineProfile);
+    const { t } = useI18n();
     const handleItemClick = (screenName) => {
-        trackEvent(`click_menu_${screenName}`, lineProfile);
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.FEATURES_MENU, element: 'menu_item', value: screenName }, lineProfile);
         setScreen(screenName);
     };
+    const handleLogout = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.FEATURES_MENU, element: 'logout' }, lineProfile);
+        if (lineProfile?.userId) {
+            api.clearUserData(lineProfile.userId);
+            interestSignals.clear(lineProfile.userId);
+        }
+        auth.logout();
+    };
     return (
         <Card ref={mainRef}>
-            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">Features</h2>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('features.title')}</h2>
             <div className="space-y-4">
-                {userData && !userData.isNew && (
+                {session && (
                     <>
-                        <ListItem title="My Policies" description="View your active insurance policies." onClick={() => handleItemClick('my_policies')} />
-                        <ListItem title="My Claims" description="Check the status of your claims." onClick={() => handleItemClick('my_claims')} />
+                        <ListItem title={t('features.myPolicies')} description={t('features.myPoliciesDesc')} onClick={() => handleItemClick('my_policies')} />
+                        <ListItem title={t('features.myClaims')} description={t('features.myClaimsDesc')} onClick={() => handleItemClick('my_claims')} />
                     </>
                 )}
-                <ListItem title="Privileges" description="Explore your eligible rewards." onClick={() => handleItemClick('privileges')} />
+                <ListItem title={t('features.privileges')} description={t('features.privilegesDesc')} onClick={() => handleItemClick('privileges')} />
+                <ListItem title={t('features.consent')} description={t('features.consentDesc')} onClick={() => handleItemClick('consent_settings')} />
+                <ListItem title={t('features.profile')} description={t('features.profileDesc')} onClick={() => handleItemClick('profile')} />
             </div>
-            <button onClick={() => setScreen('welcome')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">&larr; Back to Home</button>
+            <RecommendedSection screenName={SCREENS.FEATURES_MENU} setScreen={setScreen} session={session} lineProfile={lineProfile} />
+            {session && (
+                <div className="mt-8 text-center">
+                    <p className="text-xs text-gray-500 mb-2">{t('features.signedInAs', { name: session.claims.name || session.claims.email || session.claims.sub })}</p>
+                    <SecondaryButton onClick={handleLogout}>{t('features.logout')}</SecondaryButton>
+                </div>
+            )}
+            <button onClick={() => setScreen('welcome')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToHome')}</button>
         </Card>
     );
 };
 
-const MyPoliciesScreen = ({ setScreen, setSelectedPolicy, lineProfile }) => {
-    const mainRef = useInteractionTracking('my_policies_list', lineProfile);
-    const policies = [ { id: 1, name: 'Health Insurance', desc: 'AIA Health Happy - Policy #74839201' }, { id: 2, name: 'Life Insurance', desc: 'AIA 20 Pay Life (Par) - Policy #58493028' }, { id: 3, name: 'Tax Saving', desc: 'AIA Annuity Fix - Policy #94820134' }, ];
+const MyPoliciesScreen = ({ setScreen, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.MY_POLICIES, lineProfile);
+    const observeImpression = useImpressionTracking(SCREENS.MY_POLICIES, lineProfile);
+    const { t } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: policies, error, isLoading, offlineSavedAt, reload } = useResource((options) => api.getPolicies(userId, options), [userId], { enabled: Boolean(userId) });
     return (
         <Card ref={mainRef}>
-            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">My Policies</h2>
-            <div className="space-y-4">{policies.map(p => <ListItem key={p.id} title={p.name} description={p.desc} onClick={() => { trackEvent(`click_policy_details_${p.id}`, lineProfile); setSelectedPolicy(p); setScreen('policy_details'); }} />)}</div>
-            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">&larr; Back to Features</button>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('policies.title')}</h2>
+            <OfflineNotice savedAt={offlineSavedAt} />
+            {isLoading && <ListSkeleton />}
+            {error && <ErrorState message={t('policies.loadFailed')} onRetry={reload} />}
+            {policies && policies.length === 0 && <EmptyState message={t('policies.empty')} />}
+            {policies && policies.length > 0 && (
+                <div className="space-y-4">{policies.map((p, index) => <ListItem key={p.id} title={p.name} description={t('policies.itemDescription', { product: p.productName, number: p.policyNumber })} impression={{ element: 'policy_item', itemId: p.id, position: index }} observeImpression={observeImpression} onClick={() => { trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.MY_POLICIES, element: 'policy_item', itemId: p.id }, lineProfile); setScreen('policy_details', { policyId: p.id }); }} />)}</div>
+            )}
+            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToFeatures')}</button>
         </Card>
     );
 };
 
-const PolicyDetailsScreen = ({ setScreen, policy, lineProfile }) => {
-    const screenName = policy ? `policy_details_${policy.id}` : null;
-    const mainRef = useInteractionTracking(screenName, lineProfile);
+const PolicyDetailsScreen = ({ setScreen, params, session, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.POLICY_DETAILS, lineProfile, params.policyId);
+    const { t, formatTHB, formatDate } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: policy, error, isLoading, offlineSavedAt, reload } = useResource((options) => api.getPolicy(userId, params.policyId, options), [userId, params.policyId], { enabled: Boolean(userId) });
+    const topic = policy ? getPolicyTopic(policy) : null;
+
+    // Counts towards "Recommended for you".
+    useEffect(() => interestSignals.record(userId, topic), [userId, topic]);
+
+    const handlePay = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.POLICY_DETAILS, element: 'pay_premium', itemId: policy.id }, lineProfile);
+        setScreen('premium_payment', { policyId: policy.id });
+    };
 
-    if (!policy) {
-        return <Card><p>Loading policy details...</p></Card>; 
-    }
-    
     return (
         <Card ref={mainRef}>
-            <h2 className="text-xl font-semibold text-center text-gray-800 mb-2">{policy.name}</h2>
-            <p className="text-center text-gray-500 mb-6">{policy.desc}</p>
-            <div className="space-y-3 text-sm border-t pt-6">
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Coverage Amount:</span><span>THB 5,000,000</span></div>
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Premium:</span><span>THB 25,000 / year</span></div>
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Next Due Date:</span><span>01/08/2025</span></div>
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Status:</span><span className="text-green-600 font-semibold">Active</span></div>
-            </div>
-            <button onClick={() => setScreen('my_policies')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">&larr; Back to My Policies</button>
+            <OfflineNotice savedAt={offlineSavedAt} />
+            {isLoading && <DetailSkeleton />}
+            {error && <ErrorState message={t(error.status === 404 ? 'policies.notFound' : 'policies.detailLoadFailed')} onRetry={error.status === 404 ? null : reload} />}
+            {policy && (
+                <>
+                    <h2 className="text-xl font-semibold text-center text-gray-800 mb-2">{policy.name}</h2>
+                    <p className="text-center text-gray-500 mb-6">{t('policies.itemDescription', { product: policy.productName, number: policy.policyNumber })}</p>
+                    <div className="space-y-3 text-sm border-t pt-6">
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('policies.coverageAmount')}</span><span>{formatTHB(policy.coverageAmount)}</span></div>
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('policies.premium')}</span><span>{t('policies.premiumValue', { amount: formatTHB(policy.premium), unit: t(`premiumFrequency.${policy.premiumFrequency}`) })}</span></div>
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('policies.nextDueDate')}</span><span>{formatDate(policy.nextDueDate)}</span></div>
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('policies.status')}</span><span className={`${POLICY_STATUS_STYLES[policy.status] || 'text-gray-600'} font-semibold`}>{t(`policyStatus.${policy.status}`)}</span></div>
+                    </div>
+                    {policy.status === 'active' && <PrimaryButton onClick={handlePay} disabled={Boolean(offlineSavedAt)} className="mt-6">{t('policies.payPremium')}</PrimaryButton>}
+                    <PaymentHistory userId={userId} policyId={policy.id} />
+                    <DueDateReminders userId={userId} lineProfile={lineProfile} />
+                </>
+            )}
+            <button onClick={() => setScreen('my_policies')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToMyPolicies')}</button>
         </Card>
     );
 };
 
-const MyClaimsScreen = ({ setScreen, setSelectedClaim, lineProfile }) => {
-    const mainRef = useInteractionTracking('my_claims_list', lineProfile);
-    const claims = [ { id: 1, name: 'OPD Claim', desc: 'Submitted: 15/06/2025 - Status: Approved' }, { id: 2, name: 'Accident Claim', desc: 'Submitted: 02/05/2025 - Status: Approved' }, { id: 3, name: 'Dental Claim', desc: 'Submitted: 20/04/2025 - Status: Rejected' }, ];
+const MyClaimsScreen = ({ setScreen, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.MY_CLAIMS, lineProfile);
+    const observeImpression = useImpressionTracking(SCREENS.MY_CLAIMS, lineProfile);
+    const { t, formatDate } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: claims, error, isLoading, offlineSavedAt, reload } = useResource((options) => api.getClaims(userId, options), [userId], { enabled: Boolean(userId) });
     return (
         <Card ref={mainRef}>
-            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">My Claims</h2>
-            <div className="space-y-4">{claims.map(c => <ListItem key={c.id} title={c.name} description={c.desc} onClick={() => { trackEvent(`click_claim_details_${c.id}`, lineProfile); setSelectedClaim(c); setScreen('claim_details'); }} />)}</div>
-            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">&larr; Back to Features</button>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('claims.title')}</h2>
+            <PrimaryButton onClick={() => { trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.MY_CLAIMS, element: 'new_claim' }, lineProfile); setScreen('new_claim'); }} className="mb-6">{t('claims.newClaim')}</PrimaryButton>
+            <OfflineNotice savedAt={offlineSavedAt} />
+            {isLoading && <ListSkeleton />}
+            {error && <ErrorState message={t('claims.loadFailed')} onRetry={reload} />}
+            {claims && claims.length === 0 && <EmptyState message={t('claims.empty')} />}
+            {claims && claims.length > 0 && (
+                <div className="space-y-4">{claims.map((c, index) => <ListItem key={c.id} title={c.name} description={t('claims.itemDescription', { date: formatDate(c.submittedAt), status: t(`claimStatus.${c.status}`) })} impression={{ element: 'claim_item', itemId: c.id, position: index }} observeImpression={observeImpression} onClick={() => { trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.MY_CLAIMS, element: 'claim_item', itemId: c.id }, lineProfile); setScreen('claim_details', { claimId: c.id }); }} />)}</div>
+            )}
+            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToFeatures')}</button>
         </Card>
     );
 };
 
-const ClaimDetailsScreen = ({ setScreen, claim, lineProfile }) => {
-    const screenName = claim ? `claim_details_${claim.id}` : null;
-    const mainRef = useInteractionTracking(screenName, lineProfile);
+const ClaimStatusBadge = ({ status }) => {
+    const { t } = useI18n();
+    return <span className={`${CLAIM_STATUS_STYLES[status] || 'bg-gray-100 text-gray-700'} text-xs font-semibold px-2 py-1 rounded-full`}>{t(`claimStatus.${status}`)}</span>;
+};
 
-    if (!claim) {
-        return <Card><p>Loading claim details...</p></Card>;
-    }
+const TIMELINE_DOT_STYLES = {
+    done: 'bg-brand',
+    current: 'bg-white border-2 border-brand',
+    upcoming: 'bg-gray-300',
+};
+
+const ClaimTimeline = ({ claim }) => {
+    const { t, formatDate } = useI18n();
+    return (
+        <section className="mt-6 border-t pt-6">
+            <h3 className="font-semibold text-gray-800 mb-4">{t('claims.timeline')}</h3>
+            <ol className="border-l-2 border-gray-200 ml-2 space-y-4">
+                {buildClaimTimeline(claim).map((step, index) => (
+                    <li key={`${step.status}-${index}`} className="relative pl-6" aria-current={step.state === 'current' ? 'step' : undefined}>
+                        <span className={`absolute -left-[7px] top-1 h-3 w-3 rounded-full ${TIMELINE_DOT_STYLES[step.state]}`} aria-hidden="true" />
+                        <p className={`text-sm font-semibold ${step.state === 'upcoming' ? 'text-gray-500' : 'text-gray-800'}`}>{t(`claimTimeline.${step.status}`)}</p>
+                        <p className="text-xs text-gray-500">{step.date ? formatDate(step.date) : t('claims.pending')}</p>
+                        {step.note && <p className="text-xs text-gray-600 mt-1">{step.note}</p>}
+                    </li>
+                ))}
+            </ol>
+        </section>
+    );
+};
+
+const ClaimDetailsScreen = ({ setScreen, params, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.CLAIM_DETAILS, lineProfile, params.claimId);
+    const { t, formatTHB, formatDate } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: claim, error, isLoading, offlineSavedAt, reload } = useResource((options) => api.getClaim(userId, params.claimId, options), [userId, params.claimId], { enabled: Boolean(userId) });
+
+    const handleUploadAdditional = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.CLAIM_DETAILS, element: 'upload_additional_documents', itemId: claim.id }, lineProfile);
+        setScreen('claim_documents', { claimId: claim.id });
+    };
 
     return (
         <Card ref={mainRef}>
-            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">Claim Details</h2>
-            <div className="space-y-3 text-sm border-t pt-6">
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Claim ID:</span><span>CLM-2025-06-3984</span></div>
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Type:</span><span>{claim.name}</span></div>
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Submission Date:</span><span>15/06/2025</span></div>
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Amount:</span><span>THB 1,250</span></div>
-                <div className="flex justify-between"><span className="font-medium text-gray-600">Status:</span><span className="text-green-600 font-semibold">Approved</span></div>
-            </div>
-            <button onClick={() => setScreen('my_claims')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">&larr; Back to My Claims</button>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('claims.detailTitle')}</h2>
+            <OfflineNotice savedAt={offlineSavedAt} />
+            {isLoading && <DetailSkeleton />}
+            {error && <ErrorState message={t(error.status === 404 ? 'claims.notFound' : 'claims.detailLoadFailed')} onRetry={error.status === 404 ? null : reload} />}
+            {claim && (
+                <>
+                    <div className="space-y-3 text-sm border-t pt-6">
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('claims.claimId')}</span><span>{claim.claimNumber}</span></div>
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('claims.type')}</span><span>{claim.name}</span></div>
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('claims.submissionDate')}</span><span>{formatDate(claim.submittedAt)}</span></div>
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('claims.amount')}</span><span>{formatTHB(claim.amount)}</span></div>
+                        <div className="flex justify-between items-center"><span className="font-medium text-gray-600">{t('claims.status')}</span><ClaimStatusBadge status={claim.status} /></div>
+                        {['approved', 'paid'].includes(claim.status) && <div className="flex justify-between"><span className="font-medium text-gray-600">{t('claims.approvedAmount')}</span><span>{formatTHB(claim.approvedAmount)}</span></div>}
+                    </div>
+                    {claim.status === 'rejected' && claim.rejectionReason && (
+                        <div className="mt-6 p-4 bg-red-50 rounded-lg text-sm">
+                            <p className="font-semibold text-red-700 mb-1">{t('claims.rejectionReason')}</p>
+                            <p className="text-gray-700">{claim.rejectionReason}</p>
+                        </div>
+                    )}
+                    {claim.payout && (
+                        <div className="mt-6 p-4 bg-green-50 rounded-lg text-sm space-y-2">
+                            <p className="font-semibold text-green-700">{t('claims.payout')}</p>
+                            <div className="flex justify-between"><span className="text-gray-600">{t('claims.payoutAmount')}</span><span>{formatTHB(claim.payout.amount)}</span></div>
+                            <div className="flex justify-between"><span className="text-gray-600">{t('claims.payoutMethod')}</span><span className="text-right">{t(`payoutMethod.${claim.payout.method}`, { account: claim.payout.account })}</span></div>
+                            <div className="flex justify-between"><span className="text-gray-600">{t('claims.payoutDate')}</span><span>{formatDate(claim.payout.paidAt)}</span></div>
+                        </div>
+                    )}
+                    {claim.status === 'documents_requested' && (
+                        <div className="mt-6 p-4 bg-amber-50 rounded-lg text-sm">
+                            <p className="text-gray-700 mb-4">{t('claims.documentsRequested', { documents: (claim.requestedDocuments || []).map(type => t(`documentType.${type}`)).join(', ') })}</p>
+                            <PrimaryButton onClick={handleUploadAdditional}>{t('claims.uploadAdditional')}</PrimaryButton>
+                        </div>
+                    )}
+                    <ClaimTimeline claim={claim} />
+                </>
+            )}
+            <button onClick={() => setScreen('my_claims')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToMyClaims')}</button>
+        </Card>
+    );
+};
+
+// Answers an insurer's request for more documents on an existing claim.
+const ClaimDocumentsScreen = ({ setScreen, params, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.CLAIM_DOCUMENTS, lineProfile, params.claimId);
+    const { t } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: claim, error, isLoading, reload } = useResource((options) => api.getClaim(userId, params.claimId, options), [userId, params.claimId], { enabled: Boolean(userId) });
+    const [documents, setDocuments] = useState([]);
+    const [formError, setFormError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isSent, setIsSent] = useState(false);
+    const { uploads, addFiles, retryUpload, removeUpload } = useDocumentUploads({
+        userId,
+        onUploaded: (document) => {
+            setDocuments(prev => [...prev, document]);
+            setFormError('');
+        },
+    });
+
+    const requested = claim?.requestedDocuments?.length ? claim.requestedDocuments : DOCUMENT_TYPES;
+
+    const handleAddFiles = (documentType, files) => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.CLAIM_DOCUMENTS, element: 'add_document', itemId: claim.id, value: documentType }, lineProfile);
+        if (!addFiles(documentType, files, documents.length)) setFormError(t('newClaim.maxDocuments', { count: MAX_DOCUMENTS }));
+    };
+
+    const handleSubmit = () => {
+        const missing = requested.filter(type => !documents.some(doc => doc.documentType === type));
+        if (uploads.length > 0 || missing.length > 0) {
+            setFormError(t('newClaim.errors.documentsMissing', { documents: missing.map(type => t(`documentType.${type}`)).join(', ') || '-' }));
+            return;
+        }
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.CLAIM_DOCUMENTS, element: 'send_documents', itemId: claim.id }, lineProfile);
+        setFormError('');
+        setIsSubmitting(true);
+        api.submitClaimDocuments(userId, claim.id, documents.map(doc => doc.documentId))
+            .then(() => setIsSent(true))
+            .catch(err => {
+                console.error('Failed to send claim documents:', err);
+                setFormError(t(isQueuedOffline(err) ? 'offline.queued' : 'claimDocuments.submitFailed'));
+            })
+            .finally(() => setIsSubmitting(false));
+    };
+
+    const renderBody = () => {
+        if (isLoading) return <DetailSkeleton />;
+        if (error) return <ErrorState message={t(error.status === 404 ? 'claims.notFound' : 'claims.detailLoadFailed')} onRetry={error.status === 404 ? null : reload} />;
+        if (!claim) return null;
+        if (isSent) {
+            return (
+                <div className="text-center">
+                    <h3 className="text-xl font-bold text-gray-800 mb-2">{t('claimDocuments.successTitle')}</h3>
+                    <p className="text-gray-600 mb-8">{t('claimDocuments.successDescription', { number: claim.claimNumber })}</p>
+                    <PrimaryButton onClick={() => setScreen('claim_details', { claimId: claim.id })}>{t('newClaim.viewClaim')}</PrimaryButton>
+                </div>
+            );
+        }
+        if (claim.status !== 'documents_requested') return <EmptyState message={t('claimDocuments.notRequested')} />;
+        return (
+            <>
+                <p className="text-sm text-gray-700 mb-4">{t('claimDocuments.hint', { number: claim.claimNumber })}</p>
+                <ClaimDocumentsStep documentTypes={requested} required={requested} documents={documents} uploads={uploads} onAddFiles={handleAddFiles} onRemoveDocument={(documentId) => setDocuments(prev => prev.filter(doc => doc.documentId !== documentId))} onRetryUpload={retryUpload} onRemoveUpload={removeUpload} error={formError} />
+                <PrimaryButton onClick={handleSubmit} disabled={isSubmitting} className="mt-8">{isSubmitting ? t('claimDocuments.submitting') : t('claimDocuments.submit')}</PrimaryButton>
+            </>
+        );
+    };
+
+    return (
+        <Card ref={mainRef}>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('claimDocuments.title')}</h2>
+            {renderBody()}
+            {!isSent && <button onClick={() => setScreen('claim_details', { claimId: params.claimId })} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('claimDocuments.backToClaim')}</button>}
         </Card>
     );
 };
 
 const PrivilegesScreen = ({ setScreen, lineProfile }) => {
-    const mainRef = useInteractionTracking('privileges_list', lineProfile);
-    const privileges = [ { name: 'Free coverage campaign', desc: 'Additional COVID-19 coverage until Dec 2025.', imgSrc: 'https://placehold.co/80x80/D31145/FFFFFF?text=Health' }, { name: 'GRAB food voucher', desc: 'THB 100 voucher. Valid until 30/09/2025.', imgSrc: 'https://placehold.co/80x80/28a745/FFFFFF?text=Food' }, { name: 'Major Cineplex voucher', desc: 'Buy 1 Get 1 Free for any movie.', imgSrc: 'https://placehold.co/80x80/ffc107/000000?text=Movie' }, ];
+    const { params: listOrder } = useExperiment('privileges_order', lineProfile);
+    const mainRef = useInteractionTracking(SCREENS.PRIVILEGES, lineProfile);
+    const observeImpression = useImpressionTracking(SCREENS.PRIVILEGES, lineProfile);
+    const { t } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data, error, isLoading, offlineSavedAt, reload } = useResource((options) => api.getPrivileges(userId, options), [userId], { enabled: Boolean(userId) });
+    const privileges = useMemo(() => data && orderPrivileges(data, listOrder), [data, listOrder]);
     return (
         <Card ref={mainRef}>
-            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">Your Privileges</h2>
-            <div className="space-y-4">{privileges.map(p => <ListItem key={p.name} title={p.name} description={p.desc} imgSrc={p.imgSrc} onClick={() => trackEvent(`click_privilege_${p.name.replace(/\s+/g, '_')}`, lineProfile)} />)}</div>
-            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">&larr; Back to Features</button>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('privileges.title')}</h2>
+            <OfflineNotice savedAt={offlineSavedAt} />
+            {isLoading && <ListSkeleton withImage />}
+            {error && <ErrorState message={t('privileges.loadFailed')} onRetry={reload} />}
+            {privileges && privileges.length === 0 && <EmptyState message={t('privileges.empty')} />}
+            {privileges && privileges.length > 0 && (
+                <div className="space-y-4">{privileges.map((p, index) => <ListItem key={p.id} title={p.name} description={p.description} imgSrc={p.imageUrl} impression={{ element: 'privilege_item', itemId: p.id, position: index }} observeImpression={observeImpression} onClick={() => { trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.PRIVILEGES, element: 'privilege_item', itemId: p.id }, lineProfile); setScreen('privilege_details', { privilegeId: p.id }); }} />)}</div>
+            )}
+            <SecondaryButton onClick={() => { trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.PRIVILEGES, element: 'redeemed_privileges' }, lineProfile); setScreen('redeemed_privileges'); }} className="mt-6">{t('privileges.redeemedLink')}</SecondaryButton>
+            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToFeatures')}</button>
         </Card>
     );
 };
 
-// --- Main App Component ---
-export default function App() {
-    const [screen, setScreen] = useState('welcome');
-    const [userData, setUserData] = useState({ isNew: true });
-    const [lineProfile, setLineProfile] = useState(null);
-    const [selectedPolicy, setSelectedPolicy] = useState(null);
-    const [selectedClaim, setSelectedClaim] = useState(null);
+// --- Vouchers ---
+
+const QR_QUIET_ZONE = 4;
+
+const QrCodeImage = ({ value, label, size = 200 }) => {
+    const modules = useMemo(() => encodeQr(value), [value]);
+    const dimension = modules.length + QR_QUIET_ZONE * 2;
+    const path = modules.flatMap((line, row) => line.map((dark, col) => (dark ? `M${col + QR_QUIET_ZONE} ${row + QR_QUIET_ZONE}h1v1h-1z` : ''))).join('');
+    return (
+        <svg role="img" aria-label={label} viewBox={`0 0 ${dimension} ${dimension}`} width={size} height={size} shapeRendering="crispEdges" className="mx-auto">
+            <rect width={dimension} height={dimension} fill="#fff" />
+            <path d={path} fill="#000" />
+        </svg>
+    );
+};
+
+const BarcodeImage = ({ value, label, height = 80 }) => {
+    const widths = useMemo(() => encodeCode128(value), [value]);
+    const total = widths.reduce((sum, width) => sum + width, 0) + CODE128_QUIET_ZONE * 2;
+    let x = CODE128_QUIET_ZONE;
+    const bars = widths.map((width, i) => {
+        const bar = i % 2 === 0 ? <rect key={i} x={x} width={width} height={height} fill="#000" /> : null;
+        x += width;
+        return bar;
+    });
+    return (
+        <svg role="img" aria-label={label} viewBox={`0 0 ${total} ${height}`} preserveAspectRatio="none" className="w-full h-20" shapeRendering="crispEdges">
+            <rect width={total} height={height} fill="#fff" />
+            {bars}
+        </svg>
+    );
+};
+
+const VoucherCard = ({ voucher }) => {
+    const { t, formatDateTime } = useI18n();
+    const isTimed = Boolean(voucher.expiresAt) && !voucher.usedAt;
+    const remaining = useCountdown(isTimed ? new Date(voucher.expiresAt).getTime() : null);
+    const status = isTimed && remaining === 0 ? 'expired' : getVoucherStatus(voucher);
+
+    return (
+        <section className="mt-6 p-4 border-2 border-dashed border-brand rounded-lg text-center">
+            <h3 className="font-semibold text-gray-800 mb-2">{t('privilegeDetails.voucherTitle')}</h3>
+            {status === 'active' ? (
+                <>
+                    <p className="text-sm text-gray-600 mb-4">{t('privilegeDetails.voucherHint')}</p>
+                    {voucher.codeType === 'barcode'
+                        ? <BarcodeImage value={voucher.code} label={t('privilegeDetails.barcodeLabel', { code: voucher.code })} />
+                        : <QrCodeImage value={voucher.code} label={t('privilegeDetails.qrLabel', { code: voucher.code })} />}
+                    <p className="font-mono text-lg tracking-widest mt-2">{voucher.code}</p>
+                    {isTimed && <p className="text-sm font-semibold text-brand mt-2" role="timer">{t('privilegeDetails.expiresIn', { time: formatCountdown(remaining) })}</p>}
+                </>
+            ) : (
+                <p className="text-sm text-gray-600">{status === 'used' ? t('privilegeDetails.codeUsed', { date: formatDateTime(voucher.usedAt) }) : t('privilegeDetails.codeExpired')}</p>
+            )}
+        </section>
+    );
+};
+
+const REDEEM_ERROR_OUTCOMES = { 403: 'not_eligible', 410: 'expired' };
+
+const PrivilegeDetailsScreen = ({ setScreen, params, session, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.PRIVILEGE_DETAILS, lineProfile, params.privilegeId);
+    const { t, formatDate } = useI18n();
+    const userId = lineProfile?.userId;
+    const enabled = Boolean(userId);
+    const { data: privilege, error, isLoading, offlineSavedAt, reload } = useResource((options) => api.getPrivilege(userId, params.privilegeId, options), [userId, params.privilegeId], { enabled });
+    // Eligibility needs the customer's policies, which only a signed-in customer can read.
+    const { data: policies, isLoading: policiesLoading } = useResource((options) => api.getPolicies(userId, options), [userId], { enabled: enabled && Boolean(session) });
+    const { data: redemptions } = useResource((options) => api.getRedemptions(userId, options), [userId], { enabled });
+    const [voucher, setVoucher] = useState(null);
+    const [isRedeeming, setIsRedeeming] = useState(false);
+    const [redeemError, setRedeemError] = useState('');
+    // One key per visit, so a retried or doubled request reserves a single voucher.
+    const [idempotencyKey] = useState(generateEventId);
+
+    const topic = privilege ? getPrivilegeTopic(privilege) : null;
+
+    // Counts towards "Recommended for you".
+    useEffect(() => interestSignals.record(userId, topic), [userId, topic]);
+
+    const activeVoucher = voucher || findActiveVoucher(redemptions || [], params.privilegeId);
+    const eligibility = privilege && !policiesLoading ? getPrivilegeEligibility(privilege, policies || []) : null;
+    const policyTypes = privilege?.eligibility?.policyTypes || [];
+
+    const handleRedeem = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.PRIVILEGE_DETAILS, element: 'redeem', itemId: privilege.id }, lineProfile);
+        setIsRedeeming(true);
+        setRedeemError('');
+        api.redeemPrivilege(userId, privilege.id, { idempotencyKey })
+            .then(redeemed => {
+                setVoucher(redeemed);
+                trackEvent(EVENTS.PRIVILEGE_REDEEM, { screen: SCREENS.PRIVILEGE_DETAILS, itemId: privilege.id, outcome: 'redeemed', value: redeemed.codeType }, lineProfile);
+            })
+            .catch(err => {
+                console.error('Failed to redeem privilege:', err);
+                const outcome = REDEEM_ERROR_OUTCOMES[err.status] || 'failed';
+                trackEvent(EVENTS.PRIVILEGE_REDEEM, { screen: SCREENS.PRIVILEGE_DETAILS, itemId: privilege.id, outcome }, lineProfile);
+                setRedeemError(t(`privilegeDetails.redeemErrors.${outcome}`));
+            })
+            .finally(() => setIsRedeeming(false));
+    };
+
+    const handleSignIn = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.PRIVILEGE_DETAILS, element: 'sign_in', itemId: privilege.id }, lineProfile);
+        setScreen('existing_customer_login', {}, { query: { redirect: router.buildPath('privilege_details', { privilegeId: params.privilegeId }) } });
+    };
+
+    const renderAction = () => {
+        if (activeVoucher) return <VoucherCard voucher={activeVoucher} />;
+        if (!eligibility) return null;
+        // Without a session there are no policies to check, so ask for the sign-in first.
+        if (!session && eligibility.reason === 'policyRequired') {
+            return (
+                <div className="mt-6 p-4 bg-amber-50 rounded-lg text-sm text-gray-700">
+                    <p>{t('privilegeDetails.signInRequired')}</p>
+                    <PrimaryButton onClick={handleSignIn} className="mt-4">{t('privilegeDetails.signIn')}</PrimaryButton>
+                </div>
+            );
+        }
+        if (!eligibility.eligible) return <p className="mt-6 p-4 bg-amber-50 rounded-lg text-sm text-gray-700">{t(`privilegeDetails.ineligible.${eligibility.reason}`)}</p>;
+        return (
+            <>
+                <PrimaryButton onClick={handleRedeem} disabled={isRedeeming || Boolean(offlineSavedAt)} className="mt-6">{isRedeeming ? t('privilegeDetails.redeeming') : t('privilegeDetails.redeem')}</PrimaryButton>
+                {redeemError && <p role="alert" className="text-brand-dark text-sm mt-2 text-center">{redeemError}</p>}
+            </>
+        );
+    };
+
+    return (
+        <Card ref={mainRef}>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('privilegeDetails.title')}</h2>
+            <OfflineNotice savedAt={offlineSavedAt} />
+            {isLoading && <DetailSkeleton />}
+            {error && <ErrorState message={t(error.status === 404 ? 'privilegeDetails.notFound' : 'privilegeDetails.loadFailed')} onRetry={error.status === 404 ? null : reload} />}
+            {privilege && (
+                <>
+                    <div className="flex items-center mb-4">
+                        <img src={privilege.imageUrl} alt="" className="w-16 h-16 mr-4 rounded-md object-cover flex-shrink-0" />
+                        <div>
+                            <h3 className="font-semibold text-gray-800">{privilege.name}</h3>
+                            <p className="text-sm text-gray-600">{privilege.description}</p>
+                        </div>
+                    </div>
+                    <div className="space-y-4 text-sm border-t pt-4">
+                        <p className="text-gray-700">{t('privilegeDetails.validUntil', { date: formatDate(privilege.validUntil) })}</p>
+                        <div>
+                            <h4 className="font-semibold text-gray-800 mb-1">{t('privilegeDetails.eligibilityTitle')}</h4>
+                            <p className="text-gray-700">{policyTypes.length > 0 ? t('privilegeDetails.policyTypes', { types: policyTypes.map(type => t(`policyType.${type}`)).join(', ') }) : t('privilegeDetails.everyone')}</p>
+                        </div>
+                        {privilege.terms?.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-gray-800 mb-1">{t('privilegeDetails.termsTitle')}</h4>
+                                <ul className="list-disc pl-5 text-gray-700 space-y-1">{privilege.terms.map(term => <li key={term}>{term}</li>)}</ul>
+                            </div>
+                        )}
+                        {privilege.codeTtlMinutes && <p className="text-gray-700">{t('privilegeDetails.timeLimited', { minutes: privilege.codeTtlMinutes })}</p>}
+                    </div>
+                    {renderAction()}
+                </>
+            )}
+            <button onClick={() => setScreen('privileges')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToPrivileges')}</button>
+        </Card>
+    );
+};
+
+const RedeemedPrivilegesScreen = ({ setScreen, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.REDEEMED_PRIVILEGES, lineProfile);
+    const { t, formatDateTime } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: redemptions, error, isLoading, offlineSavedAt, reload } = useResource((options) => api.getRedemptions(userId, options), [userId], { enabled: Boolean(userId) });
+    return (
+        <Card ref={mainRef}>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('redeemedPrivileges.title')}</h2>
+            <OfflineNotice savedAt={offlineSavedAt} />
+            {isLoading && <ListSkeleton />}
+            {error && <ErrorState message={t('redeemedPrivileges.loadFailed')} onRetry={reload} />}
+            {redemptions && redemptions.length === 0 && <EmptyState message={t('redeemedPrivileges.empty')} />}
+            {redemptions && redemptions.length > 0 && (
+                <div className="space-y-4">{redemptions.map(voucher => <ListItem key={voucher.id} title={voucher.privilegeName} description={t('redeemedPrivileges.itemDescription', { date: formatDateTime(voucher.redeemedAt), status: t(`voucherStatus.${getVoucherStatus(voucher)}`) })} onClick={() => { trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.REDEEMED_PRIVILEGES, element: 'voucher_item', itemId: voucher.id }, lineProfile); setScreen('privilege_details', { privilegeId: voucher.privilegeId }); }} />)}</div>
+            )}
+            <button onClick={() => setScreen('privileges')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToPrivileges')}</button>
+        </Card>
+    );
+};
+
+// --- Premium Payments ---
+
+const PaymentStatusBadge = ({ status }) => {
+    const { t } = useI18n();
+    return <span className={`${PAYMENT_STATUS_STYLES[status] || 'bg-gray-100 text-gray-700'} text-xs font-semibold px-2 py-1 rounded-full`}>{t(`paymentStatus.${status}`)}</span>;
+};
+
+const PaymentHistory = ({ userId, policyId }) => {
+    const { t, formatTHB, formatDate } = useI18n();
+    const { data: payments, error, isLoading, reload } = useResource((options) => api.getPayments(userId, policyId, options), [userId, policyId], { enabled: Boolean(userId) });
+    return (
+        <section className="mt-6 border-t pt-6">
+            <h3 className="font-semibold text-gray-800 mb-3">{t('payments.historyTitle')}</h3>
+            {isLoading && <ListSkeleton rows={2} />}
+            {error && <ErrorState message={t('payments.historyLoadFailed')} onRetry={reload} />}
+            {payments && payments.length === 0 && <EmptyState message={t('payments.historyEmpty')} />}
+            {payments && payments.length > 0 && (
+                <ul className="divide-y text-sm">
+                    {payments.map(payment => (
+                        <li key={payment.id} className="flex justify-between items-start py-3">
+                            <div>
+                                <p className="font-medium text-gray-800">{formatTHB(payment.amount)}</p>
+                                <p className="text-gray-500">{t('payments.historyDue', { date: formatDate(payment.dueDate) })}</p>
+                                {payment.paidAt && <p className="text-gray-500">{t('payments.historyPaid', { date: formatDate(payment.paidAt), channel: t(`paymentChannel.${payment.channel}`) })}</p>}
+                            </div>
+                            <PaymentStatusBadge status={payment.status} />
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+};
+
+// Reminders are one preference per customer, not per policy. LINE only
+// delivers them to customers who have added the Official Account as a friend.
+const DueDateReminders = ({ userId, lineProfile }) => {
+    const { t } = useI18n();
+    const { data: preference, error, isLoading, reload } = useResource((options) => api.getReminderPreference(userId, options), [userId], { enabled: Boolean(userId) });
+    const [saved, setSaved] = useState(null);
+    const [saveState, setSaveState] = useState({ message: '', isError: false });
+    const [isFriend, setIsFriend] = useState(true);
 
     useEffect(() => {
-        mockLiff.getProfile()
-            .then(profile => setLineProfile(profile))
-            .catch(err => console.error(err));
-        
-        const handleHashChange = () => {
-            const hash = window.location.hash;
-            if (hash) {
-                switch (hash) {
-                    case '#policies':
-                        setUserData(prev => ({ ...prev, isNew: false }));
-                        setScreen('my_policies');
-                        break;
-                    case '#claims':
-                        setUserData(prev => ({ ...prev, isNew: false }));
-                        setScreen('my_claims');
-                        break;
-                    case '#privileges':
-                        setScreen('privileges');
-                        break;
-                    default:
-                        setScreen('welcome');
+        let cancelled = false;
+        // getFriendship() rejects when no Official Account is linked to the
+        // channel; keep assuming a friend rather than showing a false warning.
+        Promise.resolve()
+            .then(() => liff.getFriendship())
+            .then(friend => { if (!cancelled) setIsFriend(friend); })
+            .catch(err => console.warn('Could not check the LINE friendship:', err));
+        return () => { cancelled = true; };
+    }, []);
+
+    const current = saved || preference;
+
+    const save = (next) => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.POLICY_DETAILS, element: 'due_date_reminders', value: next.enabled ? String(next.daysBefore) : 'off' }, lineProfile);
+        setSaved(next);
+        setSaveState({ message: '', isError: false });
+        api.saveReminderPreference(userId, next)
+            .then(result => {
+                setSaved(result);
+                setSaveState({ message: t('reminders.saved'), isError: false });
+            })
+            .catch(err => {
+                console.error('Failed to save reminder preference:', err);
+                if (isQueuedOffline(err)) {
+                    setSaveState({ message: t('offline.queued'), isError: false });
+                    return;
                 }
-            }
-        };
+                setSaved(null);
+                setSaveState({ message: t('reminders.saveFailed'), isError: true });
+            });
+    };
 
-        // Handle initial load and subsequent hash changes
-        handleHashChange();
-        window.addEventListener('hashchange', handleHashChange);
+    return (
+        <section className="mt-6 border-t pt-6">
+            <h3 className="font-semibold text-gray-800 mb-3">{t('reminders.title')}</h3>
+            {isLoading && <ListSkeleton rows={1} />}
+            {error && <ErrorState message={t('reminders.loadFailed')} onRetry={reload} />}
+            {current && (
+                <div className="space-y-3 text-sm">
+                    <Checkbox id="dueDateReminders" label={t('reminders.enable')} checked={current.enabled} onChange={(e) => save({ ...current, enabled: e.target.checked })} />
+                    {current.enabled && (
+                        <div className="flex items-center">
+                            <label htmlFor="reminderDaysBefore" className="text-gray-700 mr-2">{t('reminders.daysBefore')}</label>
+                            <select id="reminderDaysBefore" value={current.daysBefore} onChange={(e) => save({ ...current, daysBefore: Number(e.target.value) })} className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-1 focus:ring-brand focus:border-brand">
+                                {REMINDER_DAYS_OPTIONS.map(days => <option key={days} value={days}>{t('reminders.daysOption', { days })}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    <p className="text-gray-500">{t('reminders.appliesToAll')}</p>
+                    {current.enabled && !isFriend && <p className="p-3 bg-amber-50 rounded-lg text-gray-700">{t('reminders.addFriend')}</p>}
+                    {saveState.message && <p role="status" className={saveState.isError ? 'text-brand-dark' : 'text-green-700'}>{saveState.message}</p>}
+                </div>
+            )}
+        </section>
+    );
+};
 
+// The QR code of a pending payment with its references and expiry countdown.
+const PaymentQr = ({ payment, qrPayload, checkFailed, onRenew }) => {
+    const { t, formatTHB, formatDate } = useI18n();
+    const remaining = useCountdown(new Date(payment.expiresAt).getTime());
+
+    if (remaining === 0) {
+        return (
+            <div className="text-center">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('payments.expiredTitle')}</h3>
+                <p className="text-sm text-gray-600 mb-6">{t('payments.expiredDescription')}</p>
+                <PrimaryButton onClick={onRenew}>{t('payments.newQr')}</PrimaryButton>
+            </div>
+        );
+    }
+    return (
+        <>
+            <p className="text-sm text-gray-600 mb-4 text-center">{t('payments.scanHint')}</p>
+            <QrCodeImage value={qrPayload} label={t('payments.qrLabel', { amount: formatTHB(payment.amount) })} size={240} />
+            <p className="text-sm font-semibold text-brand mt-2 text-center" role="timer">{t('payments.expiresIn', { time: formatCountdown(remaining) })}</p>
+            <div className="space-y-3 text-sm border-t pt-4 mt-4">
+                <div className="flex justify-between"><span className="font-medium text-gray-600">{t('payments.amount')}</span><span className="font-semibold">{formatTHB(payment.amount)}</span></div>
+                <div className="flex justify-between"><span className="font-medium text-gray-600">{t('payments.dueDate')}</span><span>{formatDate(payment.dueDate)}</span></div>
+                <div className="flex justify-between"><span className="font-medium text-gray-600">{t('payments.reference1')}</span><span className="font-mono">{payment.reference1}</span></div>
+                {payment.reference2 && <div className="flex justify-between"><span className="font-medium text-gray-600">{t('payments.reference2')}</span><span className="font-mono">{payment.reference2}</span></div>}
+            </div>
+            <p className="text-sm text-gray-600 mt-4 text-center" role="status">{checkFailed ? t('payments.checkFailed') : t('payments.waiting')}</p>
+        </>
+    );
+};
+
+const PremiumPaymentScreen = ({ setScreen, params, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.PREMIUM_PAYMENT, lineProfile, params.policyId);
+    const { t, formatTHB, formatDateTime } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: policy } = useResource((options) => api.getPolicy(userId, params.policyId, options), [userId, params.policyId], { enabled: Boolean(userId) });
+    const [payment, setPayment] = useState(null);
+    const [qrPayload, setQrPayload] = useState(null);
+    const [createError, setCreateError] = useState(null);
+    const [checkFailed, setCheckFailed] = useState(false);
+    // Bumped to replace an expired or failed QR code with a new payment.
+    const [attempt, setAttempt] = useState(0);
+    // A refreshed profile must not create another payment or restart polling.
+    const lineProfileRef = useRef(lineProfile);
+    useEffect(() => {
+        lineProfileRef.current = lineProfile;
+    });
+
+    // Starts the payment, or picks up the one still waiting to be paid. The QR
+    // payload is built here, so a payment it can't encode shows as a failure.
+    useEffect(() => {
+        if (!userId) return undefined;
+        let cancelled = false;
+        setPayment(null);
+        setQrPayload(null);
+        setCreateError(null);
+        api.createPayment(userId, params.policyId)
+            .then(created => ({ created, payload: created.status === 'pending' ? buildBillPaymentPayload(created) : null }))
+            .then(({ created, payload }) => {
+                if (cancelled) return;
+                setPayment(created);
+                setQrPayload(payload);
+                trackEvent(EVENTS.PREMIUM_PAYMENT, { screen: SCREENS.PREMIUM_PAYMENT, itemId: params.policyId, status: created.status }, lineProfileRef.current);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                console.error('Failed to create payment:', err);
+                setCreateError(err);
+            });
+        return () => { cancelled = true; };
+    }, [userId, params.policyId, attempt]);
+
+    const paymentId = payment?.id;
+    const isPending = payment?.status === 'pending';
+
+    useEffect(() => {
+        if (!paymentId || !isPending) return undefined;
+        const poller = pollPaymentStatus(() => api.getPayment(userId, paymentId), {
+            onUpdate: (updated) => {
+                setCheckFailed(false);
+                setPayment(updated);
+                if (updated.status !== 'pending') trackEvent(EVENTS.PREMIUM_PAYMENT, { screen: SCREENS.PREMIUM_PAYMENT, itemId: params.policyId, status: updated.status }, lineProfileRef.current);
+            },
+            onError: (err) => {
+                console.error('Failed to check payment status:', err);
+                setCheckFailed(true);
+            },
+        });
+        // Customers pay in their banking app, so check again as soon as they come back.
+        const handleVisibilityChange = () => { if (document.visibilityState === 'visible') poller.checkNow(); };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
         return () => {
-            window.removeEventListener('hashchange', handleHashChange);
+            poller.stop();
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
         };
+    }, [userId, paymentId, isPending, params.policyId]);
+
+    const handleRenew = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.PREMIUM_PAYMENT, element: 'new_qr_code', itemId: params.policyId }, lineProfile);
+        setAttempt(count => count + 1);
+    };
+
+    const renderContent = () => {
+        if (createError) return <ErrorState message={t(createError.status === 409 ? 'payments.notPayable' : 'payments.createFailed')} onRetry={createError.status === 409 ? null : handleRenew} />;
+        if (!payment) return <DetailSkeleton />;
+        if (payment.status === 'pending') return <PaymentQr payment={payment} qrPayload={qrPayload} checkFailed={checkFailed} onRenew={handleRenew} />;
+        if (payment.status === 'paid') {
+            return (
+                <div className="text-center">
+                    <div className="mx-auto mb-4 w-16 h-16 rounded-full bg-green-100 text-green-700 text-3xl flex items-center justify-center" aria-hidden="true">✓</div>
+                    <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('payments.paidTitle')}</h3>
+                    <p className="text-sm text-gray-600 mb-6">{t('payments.paidDescription', { amount: formatTHB(payment.amount), number: payment.reference1 })}</p>
+                    <div className="space-y-3 text-sm border-t pt-4 text-left">
+                        <div className="flex justify-between"><span className="font-medium text-gray-600">{t('payments.paidAt')}</span><span>{formatDateTime(payment.paidAt)}</span></div>
+                        {payment.reference2 && <div className="flex justify-between"><span className="font-medium text-gray-600">{t('payments.reference2')}</span><span className="font-mono">{payment.reference2}</span></div>}
+                    </div>
+                </div>
+            );
+        }
+        return (
+            <div className="text-center">
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">{t(`payments.${payment.status}Title`)}</h3>
+                <p className="text-sm text-gray-600 mb-6">{t(`payments.${payment.status}Description`)}</p>
+                <PrimaryButton onClick={handleRenew}>{t('payments.newQr')}</PrimaryButton>
+            </div>
+        );
+    };
+
+    return (
+        <Card ref={mainRef}>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-2">{t('payments.title')}</h2>
+            {policy && <p className="text-center text-gray-500 mb-6">{t('policies.itemDescription', { product: policy.productName, number: policy.policyNumber })}</p>}
+            {renderContent()}
+            <button onClick={() => setScreen('policy_details', { policyId: params.policyId })} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('payments.backToPolicy')}</button>
+        </Card>
+    );
+};
+
+const ConsentScreen = ({ setScreen, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.CONSENT_SETTINGS, lineProfile);
+    const { t, language, formatDateTime } = useI18n();
+    const [saved, setSaved] = useState(null);
+    const [decisions, setDecisions] = useState({});
+    const [status, setStatus] = useState({ saving: false, message: '', error: '' });
+
+    useEffect(() => {
+        if (!lineProfile) return;
+        const state = loadConsentState(lineProfile.userId);
+        setSaved(state);
+        setDecisions(state?.purposes || {});
+    }, [lineProfile]);
+
+    const isWithdrawing = CONSENT_PURPOSES.some(({ id }) => saved?.purposes[id] && !decisions[id]);
+    const hasChanges = CONSENT_PURPOSES.some(({ id }) => Boolean(saved?.purposes[id]) !== Boolean(decisions[id]));
+
+    const handleSave = () => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.CONSENT_SETTINGS, element: isWithdrawing ? 'withdraw_consent' : 'update_consent' }, lineProfile);
+        setStatus({ saving: true, message: '', error: '' });
+        recordConsent({ lineUserId: lineProfile?.userId, decisions, language, action: isWithdrawing ? 'withdraw' : 'grant' })
+            .then(state => {
+                setSaved(state);
+                setStatus({ saving: false, message: t('consent.saved'), error: '' });
+            })
+            .catch(err => {
+                console.error('Failed to record consent:', err);
+                setStatus({ saving: false, message: '', error: t('consent.saveFailed') });
+            });
+    };
+
+    return (
+        <Card ref={mainRef}>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-2">{t('consent.title')}</h2>
+            <p className="text-center text-gray-500 text-sm mb-6">
+                {saved ? t('consent.lastUpdated', { date: formatDateTime(saved.recordedAt), version: saved.version }) : t('consent.none')}
+            </p>
+            <fieldset className="space-y-4">
+                <legend className="sr-only">{t('consent.legend')}</legend>
+                {CONSENT_PURPOSES.map(({ id }) => (
+                    <ConsentOption key={id} id={`consent_${id}`} label={t(`consent.purpose.${id}`)} description={getConsentText(id, language)} checked={Boolean(decisions[id])} onChange={(e) => setDecisions(prev => ({ ...prev, [id]: e.target.checked }))} />
+                ))}
+            </fieldset>
+            {saved?.purposes.service && !decisions.service && (
+                <p className="text-amber-700 bg-amber-50 rounded-lg p-3 text-sm mt-4">{t('consent.serviceWarning')}</p>
+            )}
+            {status.error && <p role="alert" className="text-brand-dark text-sm mt-4 text-center">{status.error}</p>}
+            {status.message && <p role="status" className="text-green-700 text-sm mt-4 text-center">{status.message}</p>}
+            <PrimaryButton onClick={handleSave} className="mt-8" disabled={!hasChanges || !lineProfile?.userId || status.saving}>{isWithdrawing ? t('consent.withdraw') : t('consent.save')}</PrimaryButton>
+            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToFeatures')}</button>
+        </Card>
+    );
+};
+
+// Interests behind "Recommended for you"; new customers first choose them at registration.
+const ProfileScreen = ({ setScreen, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.PROFILE, lineProfile);
+    const { t } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: profile, error, isLoading, reload } = useResource((options) => api.getInterests(userId, options), [userId], { enabled: Boolean(userId) });
+    const [savedInterests, setSavedInterests] = useState(null);
+    const [interests, setInterests] = useState(null);
+    const [status, setStatus] = useState({ saving: false, message: '', error: '' });
+
+    const saved = savedInterests || profile?.interests || [];
+    const selected = interests || saved;
+    const hasChanges = selected.length !== saved.length || selected.some(topic => !saved.includes(topic));
+
+    const handleInterestChange = (e) => {
+        const { value, checked } = e.target;
+        setInterests(checked ? [...selected, value] : selected.filter(topic => topic !== value));
+        setStatus({ saving: false, message: '', error: '' });
+    };
+
+    const handleSave = () => {
+        trackEvent(EVENTS.INTERESTS_UPDATE, { screen: SCREENS.PROFILE, interests: selected }, lineProfile);
+        setStatus({ saving: true, message: '', error: '' });
+        api.saveInterests(userId, selected)
+            .then(result => {
+                setSavedInterests(result.interests);
+                setInterests(null);
+                setStatus({ saving: false, message: t('profile.saved'), error: '' });
+            })
+            .catch(err => {
+                console.error('Failed to save interests:', err);
+                if (isQueuedOffline(err)) {
+                    setSavedInterests(selected);
+                    setStatus({ saving: false, message: t('offline.queued'), error: '' });
+                    return;
+                }
+                setStatus({ saving: false, message: '', error: t('profile.saveFailed') });
+            });
+    };
+
+    return (
+        <Card ref={mainRef}>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-2">{t('profile.title')}</h2>
+            {lineProfile && <p className="text-center text-gray-500 text-sm mb-6">{t('profile.lineName', { name: lineProfile.displayName })}</p>}
+            {isLoading && <ListSkeleton rows={1} />}
+            {error && <ErrorState message={t('profile.loadFailed')} onRetry={reload} />}
+            {profile && (
+                <>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.interestsLabel')}</label>
+                    <div className="space-y-2">{PRODUCT_CATEGORIES.map(category => <Checkbox key={category} id={`interest_${category}`} label={t(`interests.${category}`)} checked={selected.includes(category)} onChange={handleInterestChange} value={category}/>)}</div>
+                    <p className="text-xs text-gray-500 mt-4">{t('profile.interestsHint')}</p>
+                    {status.error && <p role="alert" className="text-brand-dark text-sm mt-4 text-center">{status.error}</p>}
+                    {status.message && <p role="status" className="text-green-700 text-sm mt-4 text-center">{status.message}</p>}
+                    <PrimaryButton onClick={handleSave} className="mt-8" disabled={!hasChanges || status.saving}>{t('profile.save')}</PrimaryButton>
+                </>
+            )}
+            <button onClick={() => setScreen('features_menu')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToFeatures')}</button>
+        </Card>
+    );
+};
+
+// --- New Claim Wizard ---
+
+const CLAIM_STEPS = ['policy', 'details', 'documents', 'review'];
+const CLAIM_FUNNEL = 'claim_submission';
+
+const trackClaimStep = (step, action, lineProfile, properties = {}) => trackEvent(EVENTS.FUNNEL_STEP, {
+    screen: SCREENS.NEW_CLAIM,
+    funnel: CLAIM_FUNNEL,
+    step,
+    stepName: CLAIM_STEPS[step - 1],
+    action,
+    ...properties,
+}, lineProfile);
+
+const StepIndicator = ({ step }) => {
+    const { t } = useI18n();
+    return (
+        <div className="mb-6">
+            <div className="flex space-x-1 mb-2" aria-hidden="true">
+                {CLAIM_STEPS.map((name, i) => <div key={name} className={`h-1 flex-1 rounded ${i < step ? 'bg-brand' : 'bg-gray-200'}`} />)}
+            </div>
+            <p className="text-sm text-gray-500">{t('newClaim.stepOf', { step, total: CLAIM_STEPS.length, name: t(`newClaim.steps.${CLAIM_STEPS[step - 1]}`) })}</p>
+        </div>
+    );
+};
+
+const ClaimPolicyStep = ({ policies, policyId, onSelect, error }) => {
+    const { t } = useI18n();
+    if (!policies.some(p => p.status === 'active')) return <EmptyState message={t('newClaim.noActivePolicies')} />;
+    return (
+        <fieldset aria-describedby={error ? 'policyId-error' : undefined}>
+            <legend className="text-sm text-gray-600 mb-4">{t('newClaim.policyHint')}</legend>
+            <div className="space-y-3">
+                {policies.map(p => (
+                    <label key={p.id} className={`flex items-start p-4 border rounded-lg ${p.status === 'active' ? 'cursor-pointer hover:bg-gray-50' : 'opacity-50'} ${policyId === p.id ? 'border-brand' : ''}`}>
+                        <input type="radio" name="policy" value={p.id} checked={policyId === p.id} disabled={p.status !== 'active'} onChange={() => onSelect(p.id)} className="mt-1 h-4 w-4 text-brand focus:ring-brand-dark" />
+                        <span className="ml-3">
+                            <span className="block font-semibold text-gray-800">{p.name}</span>
+                            <span className="block text-sm text-gray-600">{t('policies.itemDescription', { product: p.productName, number: p.policyNumber })}</span>
+                            {p.status !== 'active' && <span className="block text-xs text-gray-500">{t('newClaim.policyNotClaimable', { status: t(`policyStatus.${p.status}`) })}</span>}
+                        </span>
+                    </label>
+                ))}
+            </div>
+            {error && <p id="policyId-error" role="alert" className="text-brand-dark text-sm mt-2">{t(error)}</p>}
+        </fieldset>
+    );
+};
+
+const ClaimDetailsStep = ({ draft, onChange, errors }) => {
+    const { t } = useI18n();
+    return (
+        <div className="space-y-4">
+            <fieldset aria-describedby={errors.type ? 'type-error' : undefined}>
+                <legend className="block text-sm font-medium text-gray-700 mb-2">{t('newClaim.type')}</legend>
+                <div className="grid grid-cols-2 gap-2">
+                    {CLAIM_TYPES.map(type => (
+                        <label key={type} className={`flex items-center p-3 border rounded-lg cursor-pointer text-sm ${draft.type === type ? 'border-brand bg-red-50' : 'border-gray-300'}`}>
+                            <input type="radio" name="claimType" value={type} checked={draft.type === type} onChange={() => onChange({ type })} className="h-4 w-4 text-brand focus:ring-brand-dark" />
+                            <span className="ml-2">{t(`claimType.${type}`)}</span>
+                        </label>
+                    ))}
+                </div>
+                {errors.type && <p id="type-error" role="alert" className="text-brand-dark text-sm mt-1">{t(errors.type)}</p>}
+            </fieldset>
+            <InputField id="incidentDate" label={t('newClaim.incidentDate')} type="date" max={toThaiDateString()} value={draft.incidentDate} onChange={(e) => onChange({ incidentDate: e.target.value })} error={errors.incidentDate && t(errors.incidentDate)} />
+            <InputField id="amount" label={t('newClaim.amount')} inputMode="decimal" value={draft.amount} onChange={(e) => onChange({ amount: e.target.value.replace(/[^\d.]/g, '') })} error={errors.amount && t(errors.amount)} placeholder={t('newClaim.amountPlaceholder')} />
+        </div>
+    );
+};
+
+// Upload lists for `documentTypes`, with the `required` ones marked.
+const ClaimDocumentsStep = ({ documentTypes = DOCUMENT_TYPES, required, documents, uploads, onAddFiles, onRemoveDocument, onRetryUpload, onRemoveUpload, error }) => {
+    const { t } = useI18n();
+    return (
+        <div>
+            <p className="text-sm text-gray-600 mb-4">{t('newClaim.documentsHint')}</p>
+            <div className="space-y-6">
+                {documentTypes.map(documentType => (
+                    <section key={documentType}>
+                        <h3 className="font-semibold text-gray-800 mb-2">{t(`documentType.${documentType}`)}{required.includes(documentType) && <><span className="text-brand" aria-hidden="true"> *</span><span className="sr-only"> {t('common.required')}</span></>}</h3>
+                        <ul className="space-y-2 mb-2">
+                            {documents.filter(doc => doc.documentType === documentType).map(doc => (
+                                <li key={doc.documentId} className="flex items-center justify-between text-sm border rounded-lg p-2">
+                                    <span className="truncate">{doc.name} <span className="text-gray-500">({formatFileSize(doc.size)}) - {t('newClaim.uploaded')}</span></span>
+                                    <button onClick={() => onRemoveDocument(doc.documentId)} className="text-brand ml-2 hover:underline">{t('newClaim.remove')}</button>
+                                </li>
+                            ))}
+                            {uploads.filter(upload => upload.documentType === documentType).map(upload => (
+                                <li key={upload.key} className="text-sm border rounded-lg p-2">
+                                    <div className="flex items-center justify-between">
+                                        <span className="truncate">{upload.name}</span>
+                                        {upload.error && (
+                                            <span className="ml-2 whitespace-nowrap">
+                                                <button onClick={() => onRetryUpload(upload)} className="text-brand hover:underline">{t('newClaim.retryUpload')}</button>
+                                                <button onClick={() => onRemoveUpload(upload.key)} className="text-gray-500 ml-2 hover:underline">{t('newClaim.remove')}</button>
+                                            </span>
+                                        )}
+                                    </div>
+                                    {upload.error
+                                        ? <p role="alert" className="text-brand-dark mt-1">{t(upload.error)}</p>
+                                        : (
+                                            <>
+                                                <div className="h-1 bg-gray-200 rounded mt-2" role="progressbar" aria-label={upload.name} aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(upload.progress * 100)}>
+                                                    <div className="h-1 bg-brand rounded" style={{ width: `${Math.round(upload.progress * 100)}%` }} />
+                                                </div>
+                                                <p className="text-gray-500 mt-1">{t('newClaim.uploading', { percent: Math.round(upload.progress * 100) })}</p>
+                                            </>
+                                        )}
+                                </li>
+                            ))}
+                        </ul>
+                        <label className="inline-block text-sm font-semibold text-brand border border-brand rounded-lg px-3 py-2 cursor-pointer hover:bg-red-50">
+                            {t('newClaim.addDocument', { document: t(`documentType.${documentType}`) })}
+                            <input type="file" accept={ACCEPTED_FILE_TYPES.join(',')} multiple className="sr-only" onChange={(e) => { onAddFiles(documentType, [...e.target.files]); e.target.value = ''; }} />
+                        </label>
+                    </section>
+                ))}
+            </div>
+            {error && <p role="alert" className="text-brand-dark text-sm mt-4">{error}</p>}
+        </div>
+    );
+};
+
+const ClaimReviewStep = ({ draft, policy, declared, onDeclaredChange, error }) => {
+    const { t, formatTHB, formatDate } = useI18n();
+    const rows = [
+        [t('newClaim.policy'), policy ? `${policy.name} (#${policy.policyNumber})` : '-'],
+        [t('newClaim.type'), t(`claimType.${draft.type}`)],
+        [t('newClaim.incidentDate'), formatDate(draft.incidentDate)],
+        [t('newClaim.amount'), formatTHB(draft.amount)],
+        [t('newClaim.documents'), draft.documents.map(doc => `${t(`documentType.${doc.documentType}`)}: ${doc.name}`).join(', ')],
+    ];
+    return (
+        <div>
+            <p className="text-sm text-gray-600 mb-4">{t('newClaim.reviewHint')}</p>
+            <dl className="space-y-3 border-t pt-4 mb-6">
+                {rows.map(([label, value]) => (
+                    <div key={label} className="flex justify-between gap-4"><dt className="font-medium text-gray-600">{label}</dt><dd className="text-right">{value}</dd></div>
+                ))}
+            </dl>
+            <ConsentOption id="claim_declaration" label={t('newClaim.declaration')} checked={declared} onChange={(e) => onDeclaredChange(e.target.checked)} />
+            {error && <p role="alert" className="text-brand-dark text-sm mt-4 text-center">{error}</p>}
+        </div>
+    );
+};
+
+// Compresses, checks and uploads claim documents one by one. Uploads in
+// progress or failed stay here; finished ones are handed to `onUploaded`.
+const useDocumentUploads = ({ userId, onUploaded }) => {
+    const [uploads, setUploads] = useState([]);
+    const uploadCounter = useRef(0);
+
+    const updateUpload = (key, changes) => setUploads(prev => prev.map(upload => (upload.key === key ? { ...upload, ...changes } : upload)));
+
+    const startUpload = (documentType, original) => {
+        uploadCounter.current += 1;
+        const key = uploadCounter.current;
+        setUploads(prev => [...prev, { key, documentType, name: original.name, file: original, progress: 0, error: null }]);
+        compressImage(original)
+            .then(file => {
+                const fileError = validateClaimFile(file);
+                if (fileError) throw Object.assign(new Error(fileError), { messageKey: fileError });
+                updateUpload(key, { file, name: file.name });
+                return api.uploadClaimDocument(userId, file, { documentType, onProgress: (progress) => updateUpload(key, { progress }) });
+            })
+            .then(document => {
+                setUploads(prev => prev.filter(upload => upload.key !== key));
+                onUploaded(document);
+            })
+            .catch(err => {
+                if (!err.messageKey) console.error('Failed to upload claim document:', err);
+                updateUpload(key, { error: err.messageKey || 'newClaim.uploadFailed', progress: 0 });
+            });
+    };
+
+    return {
+        uploads,
+        // Returns false when some files were skipped because of MAX_DOCUMENTS.
+        addFiles: (documentType, files, documentCount) => {
+            const room = Math.max(0, MAX_DOCUMENTS - documentCount - uploads.length);
+            files.slice(0, room).forEach(file => startUpload(documentType, file));
+            return files.length <= room;
+        },
+        retryUpload: (upload) => {
+            setUploads(prev => prev.filter(u => u.key !== upload.key));
+            startUpload(upload.documentType, upload.file);
+        },
+        removeUpload: (key) => setUploads(prev => prev.filter(u => u.key !== key)),
+    };
+};
+
+// Four-step claim submission. The draft is saved per LINE user after every
+// change, so closing LIFF part-way lets the customer resume later.
+const NewClaimScreen = ({ setScreen, session, lineProfile }) => {
+    const mainRef = useInteractionTracking(SCREENS.NEW_CLAIM, lineProfile);
+    const { t, formatDate } = useI18n();
+    const userId = lineProfile?.userId;
+    const { data: policies, error: policiesError, isLoading, reload } = useResource((options) => api.getPolicies(userId, options), [userId], { enabled: Boolean(userId) });
+    const [phase, setPhase] = useState('loading');
+    const [savedDraft, setSavedDraft] = useState(null);
+    const [draft, setDraft] = useState(createClaimDraft);
+    const [errors, setErrors] = useState({});
+    const [declared, setDeclared] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [submittedClaim, setSubmittedClaim] = useState(null);
+    const { uploads, addFiles, retryUpload, removeUpload } = useDocumentUploads({
+        userId,
+        onUploaded: (document) => {
+            setDraft(prev => ({ ...prev, documents: [...prev.documents, document] }));
+            setErrors({});
+        },
+    });
+
+    const step = draft.step;
+    const policy = policies?.find(p => p.id === draft.policyId);
+
+    useEffect(() => {
+        if (!userId || phase !== 'loading') return;
+        const existing = loadClaimDraft(userId);
+        if (existing) {
+            setSavedDraft(existing);
+            setPhase('prompt');
+        } else {
+            setPhase('editing');
+        }
+    }, [userId, phase]);
+
+    useEffect(() => {
+        if (phase === 'editing') trackClaimStep(step, 'view', lineProfile);
+    }, [phase, step, lineProfile]);
+
+    // Autosave once the customer has made a choice.
+    useEffect(() => {
+        if (phase === 'editing' && userId && draft.policyId !== null) saveClaimDraft(userId, draft);
+    }, [phase, userId, draft]);
+
+    const updateDraft = (changes) => {
+        setDraft(prev => ({ ...prev, ...changes }));
+        setErrors(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !(key in changes))));
+    };
+
+    const handleResume = () => {
+        trackClaimStep(savedDraft.step, 'resume', lineProfile);
+        setDraft(savedDraft);
+        setPhase('editing');
+    };
+
+    const handleRestart = () => {
+        trackClaimStep(1, 'restart', lineProfile);
+        clearClaimDraft(userId);
+        setDraft(createClaimDraft());
+        setPhase('editing');
+    };
+
+    const validateStep = () => {
+        if (step === 1) return policy?.status === 'active' ? {} : { policyId: 'newClaim.errors.policyRequired' };
+        if (step === 2) return validateClaimDetails(draft, { policy });
+        if (step === 3) {
+            const missing = getMissingDocuments(draft.type, draft.documents);
+            if (uploads.length > 0 || missing.length > 0) {
+                return { documents: t('newClaim.errors.documentsMissing', { documents: missing.map(type => t(`documentType.${type}`)).join(', ') || '-' }) };
+            }
+        }
+        return {};
+    };
+
+    const handleNext = () => {
+        const stepErrors = validateStep();
+        setErrors(stepErrors);
+        if (Object.keys(stepErrors).length > 0) return;
+        trackClaimStep(step, 'complete', lineProfile);
+        updateDraft({ step: step + 1 });
+    };
+
+    const handleBack = () => {
+        trackClaimStep(step, 'back', lineProfile);
+        setErrors({});
+        if (step === 1) {
+            setScreen('my_claims');
+        } else {
+            updateDraft({ step: step - 1 });
+        }
+    };
+
+    const handleSaveDraft = () => {
+        trackClaimStep(step, 'save_draft', lineProfile);
+        saveClaimDraft(userId, draft);
+        setScreen('my_claims');
+    };
+
+    const handleAddFiles = (documentType, files) => {
+        trackEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.NEW_CLAIM, element: 'add_document', value: documentType }, lineProfile);
+        if (!addFiles(documentType, files, draft.documents.length)) setErrors({ documents: t('newClaim.maxDocuments', { count: MAX_DOCUMENTS }) });
+    };
+
+    const handleSubmit = () => {
+        if (!declared) {
+            setErrors({ submit: t('newClaim.errors.declarationRequired') });
+            return;
+        }
+        trackClaimStep(4, 'submit', lineProfile);
+        setErrors({});
+        setIsSubmitting(true);
+        api.submitClaim(userId, {
+            clientReference: draft.draftId,
+            policyId: draft.policyId,
+            type: draft.type,
+            incidentDate: draft.incidentDate,
+            amount: Number(draft.amount),
+            documentIds: draft.documents.map(doc => doc.documentId),
+        })
+            .then(claim => {
+                trackClaimStep(4, 'complete', lineProfile, { itemId: claim.id });
+                clearClaimDraft(userId);
+                setSubmittedClaim(claim);
+                setPhase('submitted');
+            })
+            .catch(err => {
+                console.error('Failed to submit claim:', err);
+                trackClaimStep(4, 'submit_failed', lineProfile);
+                // A queued claim is sent later with the same clientReference, so
+                // the draft stays and submitting again returns that claim.
+                setErrors({ submit: t(isQueuedOffline(err) ? 'offline.queued' : 'newClaim.submitFailed') });
+            })
+            .finally(() => setIsSubmitting(false));
+    };
+
+    const renderBody = () => {
+        if (phase === 'submitted') {
+            return (
+                <div className="text-center">
+                    <h3 className="text-xl font-bold text-gray-800 mb-2">{t('newClaim.successTitle')}</h3>
+                    <p className="text-gray-600 mb-8">{t('newClaim.successDescription', { number: submittedClaim.claimNumber })}</p>
+                    <PrimaryButton onClick={() => setScreen('claim_details', { claimId: submittedClaim.id })}>{t('newClaim.viewClaim')}</PrimaryButton>
+                </div>
+            );
+        }
+        if (phase === 'prompt') {
+            return (
+                <div className="text-center">
+                    <h3 className="font-semibold text-gray-800 mb-2">{t('newClaim.resumeTitle')}</h3>
+                    <p className="text-gray-600 text-sm mb-6">{t('newClaim.resumeDescription', { date: formatDate(savedDraft.savedAt) })}</p>
+                    <div className="space-y-3">
+                        <PrimaryButton onClick={handleResume}>{t('newClaim.resume')}</PrimaryButton>
+                        <SecondaryButton onClick={handleRestart}>{t('newClaim.startNew')}</SecondaryButton>
+                    </div>
+                </div>
+            );
+        }
+        if (phase === 'loading' || isLoading) return <ListSkeleton />;
+        if (policiesError) return <ErrorState message={t('policies.loadFailed')} onRetry={reload} />;
+        if (!policies) return null;
+        return (
+            <>
+                <StepIndicator step={step} />
+                {step === 1 && <ClaimPolicyStep policies={policies} policyId={draft.policyId} onSelect={(policyId) => updateDraft({ policyId })} error={errors.policyId} />}
+                {step === 2 && <ClaimDetailsStep draft={draft} onChange={updateDraft} errors={errors} />}
+                {step === 3 && <ClaimDocumentsStep required={REQUIRED_DOCUMENTS[draft.type] || []} documents={draft.documents} uploads={uploads} onAddFiles={handleAddFiles} onRemoveDocument={(documentId) => updateDraft({ documents: draft.documents.filter(doc => doc.documentId !== documentId) })} onRetryUpload={retryUpload} onRemoveUpload={removeUpload} error={errors.documents} />}
+                {step === 4 && <ClaimReviewStep draft={draft} policy={policy} declared={declared} onDeclaredChange={setDeclared} error={errors.submit} />}
+                <div className="flex space-x-3 mt-8">
+                    <SecondaryButton onClick={handleBack}>{t('newClaim.back')}</SecondaryButton>
+                    {step < CLAIM_STEPS.length
+                        ? <PrimaryButton onClick={handleNext}>{t('newClaim.next')}</PrimaryButton>
+                        : <PrimaryButton onClick={handleSubmit} disabled={isSubmitting}>{isSubmitting ? t('newClaim.submitting') : t('newClaim.submit')}</PrimaryButton>}
+                </div>
+                {draft.policyId !== null && <button onClick={handleSaveDraft} className="w-full text-center text-gray-500 mt-4 text-sm hover:underline">{t('newClaim.saveDraft')}</button>}
+            </>
+        );
+    };
+
+    return (
+        <Card ref={mainRef}>
+            <h2 className="text-xl font-semibold text-center text-gray-800 mb-6">{t('newClaim.title')}</h2>
+            {renderBody()}
+            {phase !== 'editing' && <button onClick={() => setScreen('my_claims')} className="w-full text-center text-gray-500 mt-8 text-sm hover:underline">{t('common.backToMyClaims')}</button>}
+        </Card>
+    );
+};
+
+// --- Routing ---
+
+// Route table: URL paths (inside the hash) to screen components.
+// `requiresAuth` routes need an OKTA session; without one they redirect to the
+// login and come back afterwards. `title` is the i18n key of the page title.
+const router = createRouter([
+    { name: 'welcome', path: '/', component: WelcomeScreen, title: 'welcome.title' },
+    { name: 'existing_customer_login', path: '/login', component: ExistingCustomerLogin, title: 'login.title' },
+    { name: 'auth_callback', path: CALLBACK_PATH, component: AuthCallbackScreen, title: 'login.title' },
+    { name: 'new_customer_form', path: '/register', component: NewCustomerForm, title: 'register.title' },
+    { name: 'otp', path: '/register/otp', component: OtpScreen, title: 'otp.title' },
+    { name: 'completed', path: '/completed', component: CompletedScreen, title: 'completed.title' },
+    { name: 'features_menu', path: '/features', component: FeaturesMenuScreen, title: 'features.title' },
+    { name: 'my_policies', path: '/policies', component: MyPoliciesScreen, title: 'policies.title', requiresAuth: true },
+    { name: 'premium_payment', path: '/policies/:policyId/pay', component: PremiumPaymentScreen, title: 'payments.title', requiresAuth: true },
+    { name: 'policy_details', path: '/policies/:policyId', component: PolicyDetailsScreen, title: 'policies.detailTitle', requiresAuth: true },
+    { name: 'my_claims', path: '/claims', component: MyClaimsScreen, title: 'claims.title', requiresAuth: true },
+    { name: 'new_claim', path: '/claims/new', component: NewClaimScreen, title: 'newClaim.title', requiresAuth: true },
+    { name: 'claim_documents', path: '/claims/:claimId/documents', component: ClaimDocumentsScreen, title: 'claimDocuments.title', requiresAuth: true },
+    { name: 'claim_details', path: '/claims/:claimId', component: ClaimDetailsScreen, title: 'claims.detailTitle', requiresAuth: true },
+    { name: 'privileges', path: '/privileges', component: PrivilegesScreen, title: 'privileges.title' },
+    { name: 'redeemed_privileges', path: '/privileges/redeemed', component: RedeemedPrivilegesScreen, title: 'redeemedPrivileges.title' },
+    { name: 'privilege_details', path: '/privileges/:privilegeId', component: PrivilegeDetailsScreen, title: 'privilegeDetails.title' },
+    { name: 'consent_settings', path: '/consent', component: ConsentScreen, title: 'consent.title' },
+    { name: 'profile', path: '/profile', component: ProfileScreen, title: 'profile.title' },
+], { fallback: 'welcome' });
+
+// Keeps the page title in step with the screen. When the screen changes, focus
+// moves to its heading (or to <main> while it loads) and the title is
+// announced, so keyboard and screen reader users start at the new screen.
+const ScreenChangeAnnouncer = ({ route, mainRef }) => {
+    const { t } = useI18n();
+    const [announcement, setAnnouncement] = useState('');
+    const lastPath = useRef(route.path);
+    const title = t(route.title);
+
+    useEffect(() => {
+        document.title = `${title} - AIA`;
+        // The first screen is announced by the page load itself.
+        if (lastPath.current === route.path) return;
+        lastPath.current = route.path;
+        const main = mainRef.current;
+        const heading = main?.querySelector('h2');
+        heading?.setAttribute('tabindex', '-1');
+        (heading || main)?.focus();
+        setAnnouncement(title);
+    }, [route.path, title, mainRef]);
+
+    return <p role="status" className="sr-only">{announcement}</p>;
+};
+
+// --- Main App Component ---
+export default function App() {
+    const { route, navigate, navigateToPath } = useHashRouter(router);
+    const [userData, setUserData] = useState({ isNew: true });
+    const [lineProfile, setLineProfile] = useState(null);
+    const [liffLanguage, setLiffLanguage] = useState(null);
+    const session = useAuthSession();
+    const mainRef = useRef(null);
+
+    const isBlocked = route.requiresAuth && !session;
+
+    useEffect(() => startTracking(), []);
+    useEffect(() => startConsentDelivery(), []);
+    useEffect(() => auth.startSilentRefresh(), []);
+    useEffect(() => { experiments.load(); }, []);
+
+    // Link the OKTA customer identity to the LINE user once both are known.
+    const lineUserId = lineProfile?.userId;
+    const accessToken = session?.accessToken;
+    const isLinked = Boolean(session) && session.linkedLineUserId === lineUserId;
+    useEffect(() => {
+        if (!lineUserId || !accessToken || isLinked) return;
+        api.linkLineAccount(lineUserId)
+            .then(() => auth.setLinkedLineUserId(lineUserId))
+            .catch(err => console.error('Failed to link LINE account:', err));
+    }, [lineUserId, accessToken, isLinked]);
+
+    useEffect(() => {
+        liff.init()
+            .then(() => {
+                setLiffLanguage(liff.getLanguage());
+                tracker.setContext({ liffContextType: liff.getContext().type });
+                return liff.isLoggedIn() ? liff.getProfile() : null;
+            })
+            .then(profile => {
+                if (!profile) return;
+                // Variants seen on earlier visits apply from the first event on.
+                tracker.setContext({ experiments: experiments.getExposures(profile.userId) });
+                // Policy and claim copies of another account on this device go.
+                api.clearOtherUsersData(profile.userId);
+                setLineProfile(profile);
+            })
+            .catch(err => console.error(err));
     }, []);
 
-    const renderScreen = () => {
-        switch (screen) {
-            case 'existing_customer_login': return <ExistingCustomerLogin setScreen={setScreen} setUserData={setUserData} lineProfile={lineProfile} />;
-            case 'new_customer_form': return <NewCustomerForm setScreen={setScreen} setUserData={setUserData} lineProfile={lineProfile} />;
-            case 'otp': return <OtpScreen setScreen={setScreen} lineProfile={lineProfile} />;
-            case 'completed': return <CompletedScreen setScreen={setScreen} userData={userData} lineProfile={lineProfile} />;
-            case 'features_menu': return <FeaturesMenuScreen setScreen={setScreen} userData={userData} lineProfile={lineProfile} />;
-            case 'my_policies': return <MyPoliciesScreen setScreen={setScreen} setSelectedPolicy={setSelectedPolicy} lineProfile={lineProfile} />;
-            case 'policy_details': return <PolicyDetailsScreen setScreen={setScreen} policy={selectedPolicy} lineProfile={lineProfile} />;
-            case 'my_claims': return <MyClaimsScreen setScreen={setScreen} setSelectedClaim={setSelectedClaim} lineProfile={lineProfile} />;
-            case 'claim_details': return <ClaimDetailsScreen setScreen={setScreen} claim={selectedClaim} lineProfile={lineProfile} />;
-            case 'privileges': return <PrivilegesScreen setScreen={setScreen} lineProfile={lineProfile} />;
-            case 'welcome':
-            default:
-                return <WelcomeScreen setScreen={setScreen} setUserData={setUserData} lineProfile={lineProfile} />;
+    useEffect(() => {
+        if (isBlocked) {
+            navigate('existing_customer_login', {}, { replace: true, query: { redirect: route.path } });
         }
+    }, [isBlocked, navigate, route.path]);
+
+    const renderScreen = () => {
+        if (isBlocked) return null;
+        const Screen = route.component;
+        return (
+            <Screen
+                key={route.path}
+                setScreen={navigate}
+                navigateToPath={navigateToPath}
+                query={route.query}
+                userData={userData}
+                setUserData={setUserData}
+                session={session}
+                params={route.params}
+                lineProfile={lineProfile}
+            />
+        );
     };
 
     return (
+        <I18nProvider detectedLanguage={liffLanguage}>
         <div className="font-sans bg-gray-100 min-h-screen flex flex-col items-center">
-            <style>{`@import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap'); body { font-family: 'Inter', sans-serif; }`}</style>
-            <AIAHeader />
-            <main className="w-full flex-grow flex items-center justify-center p-4 h-[calc(100vh-80px)]">
+            <AIAHeader lineProfile={lineProfile} />
+            <main ref={mainRef} tabIndex={-1} className="w-full flex-grow flex items-center justify-center p-4 h-[calc(100vh-80px)] focus:outline-none">
                 {renderScreen()}
             </main>
+            <ScreenChangeAnnouncer route={route} mainRef={mainRef} />
         </div>
+        </I18nProvider>
     );
 }
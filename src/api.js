@@ -0,0 +1,389 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { auth, useAuthSession } from './auth';
+import { createMockFetch, createMockUpload } from './mockBackend';
+import { createOfflineCache } from './offlineCache';
+
+// Client for the customer API (policies, claims, privileges, offers). Requests
+// are made on behalf of one LINE user and GET responses are cached per user.
+// Policy, claim, payment and reminder endpoints also need the OKTA session's
+// access token, which `getAccessToken()` supplies on every request; the LINE
+// user ID alone only gives access to privileges, offers and interests.
+// With an `offlineCache`, GETs fall back to the last copy fetched online when
+// there is no connection.
+
+/**
+ * @typedef {Object} Policy
+ * @property {number} id
+ * @property {'health'|'life'|'savings'} type
+ * @property {string} name
+ * @property {string} productName
+ * @property {string} policyNumber
+ * @property {'active'|'lapsed'|'terminated'} status
+ * @property {number} coverageAmount   THB
+ * @property {number} premium          THB per premiumFrequency
+ * @property {'monthly'|'quarterly'|'yearly'} premiumFrequency
+ * @property {string} nextDueDate      ISO date
+ * @property {string} startDate        ISO date
+ */
+
+/**
+ * @typedef {Object} Claim
+ * @property {number} id
+ * @property {string} claimNumber
+ * @property {'opd'|'ipd'|'dental'|'accident'} type
+ * @property {string} name
+ * @property {number} policyId
+ * @property {string} submittedAt      ISO date
+ * @property {string} incidentDate     ISO date
+ * @property {number} amount           THB claimed
+ * @property {number} approvedAmount   THB approved
+ * @property {'submitted'|'documents_requested'|'under_review'|'approved'|'rejected'|'paid'} status
+ * @property {{status: string, at: string, note?: string}[]} [history]  Status transitions, oldest first
+ * @property {string[]} [requestedDocuments]  Document types asked for while status is documents_requested
+ * @property {string} [rejectionReason]
+ * @property {{amount: number, method: 'bank_transfer'|'promptpay'|'cheque', account: string, paidAt: string}} [payout]
+ */
+
+/**
+ * @typedef {Object} Privilege
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} imageUrl
+ * @property {string} category
+ * @property {string} validUntil       ISO date
+ * @property {{policyTypes: string[]}} [eligibility]  Active policy types that qualify; empty for everyone
+ * @property {'qr'|'barcode'} [codeType]
+ * @property {number|null} [codeTtlMinutes]  How long a redeemed code stays valid; null for no limit
+ * @property {string[]} [terms]
+ */
+
+/**
+ * @typedef {Object} Voucher
+ * @property {string} id
+ * @property {string} privilegeId
+ * @property {string} privilegeName
+ * @property {string} code
+ * @property {'qr'|'barcode'} codeType
+ * @property {string} redeemedAt       ISO date-time
+ * @property {string|null} expiresAt   ISO date-time; null if the code does not time out
+ * @property {string|null} usedAt      ISO date-time the partner accepted the code
+ */
+
+/**
+ * @typedef {Object} Payment
+ * @property {string} id
+ * @property {number} policyId
+ * @property {number} amount           THB
+ * @property {string} dueDate          ISO date of the premium being paid
+ * @property {'pending'|'paid'|'expired'|'failed'} status
+ * @property {'promptpay'|'credit_card'|'bank_counter'|null} channel
+ * @property {string} [billerId]       PromptPay biller ID (pending payments)
+ * @property {string} [reference1]
+ * @property {string} [reference2]
+ * @property {string} createdAt        ISO date-time
+ * @property {string} [expiresAt]      ISO date-time the QR code stops being accepted
+ * @property {string|null} paidAt      ISO date-time
+ */
+
+/**
+ * @typedef {Object} Offer
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} imageUrl
+ * @property {'health'|'life'|'tax_saving'} category  Interest topic
+ * @property {string} productType      Policy type the product is sold as, e.g. 'health'
+ * @property {string} url              Product page
+ */
+
+/**
+ * @typedef {Object} InterestProfile
+ * @property {('health'|'life'|'tax_saving')[]} interests
+ */
+
+/**
+ * @typedef {Object} ReminderPreference
+ * @property {boolean} enabled         Send a LINE message before each premium due date
+ * @property {3|7|14} daysBefore
+ */
+
+export class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+// The service worker answers a request it queued for Background Sync with 202
+// and this code (see service-worker.js).
+const QUEUED_OFFLINE = 'QUEUED_OFFLINE';
+
+// Whether a failed request will be sent once the device is back online.
+export const isQueuedOffline = (error) => error?.code === QUEUED_OFFLINE;
+
+// Offline copies returned by cachedGet, mapped to the time they were saved.
+const offlineCopies = new WeakMap();
+
+// When `data` is an offline copy: the time (ms) it was fetched; otherwise null.
+export const getOfflineSavedAt = (data) => (data && typeof data === 'object' ? offlineCopies.get(data) || null : null);
+
+// fetch() can't report upload progress, so file uploads go through XMLHttpRequest.
+// Resolves with a fetch-like response.
+const xhrUpload = (url, { headers = {}, body, onProgress }) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', url);
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+  xhr.upload.onprogress = (event) => {
+    if (event.lengthComputable && onProgress) onProgress(event.loaded / event.total);
+  };
+  xhr.onload = () => resolve({
+    ok: xhr.status >= 200 && xhr.status < 300,
+    status: xhr.status,
+    json: () => Promise.resolve().then(() => JSON.parse(xhr.responseText)),
+  });
+  xhr.onerror = () => reject(new Error('Upload failed.'));
+  xhr.send(body);
+});
+
+export const createApiClient = ({ baseUrl, fetchImpl = (...args) => fetch(...args), uploadImpl = xhrUpload, cacheTtlMs = 5 * 60 * 1000, offlineCache = null, getAccessToken = () => null }) => {
+  const cache = new Map();
+  const pendingRedemptions = new Map();
+
+  // The current access token, if any, is sent as a bearer token.
+  const authorization = () => {
+    const accessToken = getAccessToken();
+    return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+  };
+
+  const request = (path, { userId, method = 'GET', body, headers = {} } = {}) => {
+    if (!userId) return Promise.reject(new ApiError(401, 'Not signed in.'));
+    return fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Line-User-Id': userId,
+        ...authorization(),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    })
+      .catch(error => {
+        throw new ApiError(0, 'Network error. Please check your connection.', { cause: error });
+      })
+      .then(handleResponse);
+  };
+
+  const clearCache = (userId) => {
+    for (const key of cache.keys()) {
+      if (!userId || key.startsWith(`${userId}:`)) cache.delete(key);
+    }
+  };
+
+  const handleResponse = (response) => response.json().catch(() => null).then(data => {
+    if (response.status === 202 && data?.code === QUEUED_OFFLINE) throw new ApiError(202, data.message, { code: data.code });
+    if (!response.ok) {
+      throw new ApiError(response.status, data?.message || `Request failed. Status: ${response.status}`, { code: data?.code });
+    }
+    return data;
+  });
+
+  // Concurrent callers share one in-flight request; failures and offline
+  // copies are not cached, so the next call tries the network again. Entries
+  // are kept per access token, so a response fetched without a session (or
+  // with another one) is never served to a signed-in read.
+  const cachedGet = (path, { userId, force = false } = {}) => {
+    const key = `${userId}:${getAccessToken() || ''}:${path}`;
+    const entry = cache.get(key);
+    if (!force && entry && Date.now() - entry.createdAt < cacheTtlMs) return entry.promise;
+    const promise = request(path, { userId })
+      .then(data => {
+        offlineCache?.save(userId, path, data);
+        return data;
+      })
+      .catch(error => {
+        if (cache.get(key)?.promise === promise) cache.delete(key);
+        if (error.status !== 0 || !offlineCache) throw error;
+        return offlineCache.load(userId, path).then(copy => {
+          if (!copy) throw error;
+          offlineCopies.set(copy.data, copy.savedAt);
+          return copy.data;
+        });
+      });
+    cache.set(key, { promise, createdAt: Date.now() });
+    return promise;
+  };
+
+  return {
+    request,
+    /** @returns {Promise<Policy[]>} */
+    getPolicies: (userId, options) => cachedGet('/policies', { userId, ...options }),
+    /** @returns {Promise<Policy>} */
+    getPolicy: (userId, policyId, options) => cachedGet(`/policies/${encodeURIComponent(policyId)}`, { userId, ...options }),
+    /** @returns {Promise<Claim[]>} */
+    getClaims: (userId, options) => cachedGet('/claims', { userId, ...options }),
+    /** @returns {Promise<Claim>} */
+    getClaim: (userId, claimId, options) => cachedGet(`/claims/${encodeURIComponent(claimId)}`, { userId, ...options }),
+    /** @returns {Promise<Privilege[]>} */
+    getPrivileges: (userId, options) => cachedGet('/privileges', { userId, ...options }),
+    /** @returns {Promise<Privilege>} */
+    getPrivilege: (userId, privilegeId, options) => cachedGet(`/privileges/${encodeURIComponent(privilegeId)}`, { userId, ...options }),
+    /** @returns {Promise<Voucher[]>} */
+    getRedemptions: (userId, options) => cachedGet('/privileges/redemptions', { userId, ...options }),
+    // Reserves a voucher. Repeated calls with the same `idempotencyKey` (or while
+    // one is in flight) return the same voucher instead of using up another.
+    /** @returns {Promise<Voucher>} */
+    redeemPrivilege: (userId, privilegeId, { idempotencyKey } = {}) => {
+      const key = `${userId}:${privilegeId}`;
+      if (!pendingRedemptions.has(key)) {
+        const promise = request(`/privileges/${encodeURIComponent(privilegeId)}/redeem`, { userId, method: 'POST', headers: { 'Idempotency-Key': idempotencyKey } })
+          .then(voucher => {
+            clearCache(userId);
+            return voucher;
+          })
+          .finally(() => pendingRedemptions.delete(key));
+        pendingRedemptions.set(key, promise);
+      }
+      return pendingRedemptions.get(key);
+    },
+    // Starts a PromptPay payment of the policy's next premium, or returns the
+    // one already waiting to be paid.
+    /** @returns {Promise<Payment>} */
+    createPayment: (userId, policyId) => request(`/policies/${encodeURIComponent(policyId)}/payments`, { userId, method: 'POST' }),
+    // Never cached: the payment screen polls this until the status is final.
+    /** @returns {Promise<Payment>} */
+    getPayment: (userId, paymentId) => request(`/payments/${encodeURIComponent(paymentId)}`, { userId })
+      .then(payment => {
+        if (payment.status !== 'pending') clearCache(userId);
+        return payment;
+      }),
+    /** @returns {Promise<Payment[]>} */
+    getPayments: (userId, policyId, options) => cachedGet(`/policies/${encodeURIComponent(policyId)}/payments`, { userId, ...options }),
+    /** @returns {Promise<ReminderPreference>} */
+    getReminderPreference: (userId, options) => cachedGet('/customers/me/reminders', { userId, ...options }),
+    /** @returns {Promise<ReminderPreference>} */
+    saveReminderPreference: (userId, preference) => request('/customers/me/reminders', { userId, method: 'PUT', body: preference })
+      .then(saved => {
+        clearCache(userId);
+        return saved;
+      }),
+    /** @returns {Promise<Offer[]>} */
+    getOffers: (userId, options) => cachedGet('/offers', { userId, ...options }),
+    /** @returns {Promise<InterestProfile>} */
+    getInterests: (userId, options) => cachedGet('/customers/me/interests', { userId, ...options }),
+    /** @returns {Promise<InterestProfile>} */
+    saveInterests: (userId, interests) => request('/customers/me/interests', { userId, method: 'PUT', body: { interests } })
+      .then(saved => {
+        clearCache(userId);
+        return saved;
+      }),
+    // `onProgress(fraction)` is called as the file is sent.
+    uploadClaimDocument: (userId, file, { documentType, onProgress } = {}) => {
+      if (!userId) return Promise.reject(new ApiError(401, 'Not signed in.'));
+      const body = new FormData();
+      body.append('documentType', documentType);
+      body.append('file', file, file.name);
+      return uploadImpl(`${baseUrl}/claims/documents`, {
+        headers: { 'X-Line-User-Id': userId, ...authorization() },
+        body,
+        onProgress,
+      })
+        .catch(error => {
+          throw new ApiError(0, 'Network error. Please check your connection.', { cause: error });
+        })
+        .then(handleResponse);
+    },
+    // `claim.clientReference` makes resubmitting the same draft return the existing claim.
+    /** @returns {Promise<Claim>} */
+    submitClaim: (userId, claim) => request('/claims', { userId, method: 'POST', body: claim })
+      .then(created => {
+        clearCache(userId);
+        return created;
+      }),
+    // Attaches documents the insurer asked for to an existing claim.
+    submitClaimDocuments: (userId, claimId, documentIds) => request(`/claims/${encodeURIComponent(claimId)}/documents`, { userId, method: 'POST', body: { documentIds } })
+      .then(updated => {
+        clearCache(userId);
+        return updated;
+      }),
+    // Links the signed-in customer (identified by the access token) to a LINE user.
+    linkLineAccount: (userId) => request('/customers/me/line-link', { userId, method: 'POST', body: { lineUserId: userId } }),
+    clearCache,
+    // Forgets everything kept for the user, e.g. on logout.
+    clearUserData: (userId) => {
+      clearCache(userId);
+      offlineCache?.clear(userId);
+    },
+    // Forgets the offline copies of any other LINE user.
+    clearOtherUsersData: (userId) => {
+      offlineCache?.clearOtherUsers(userId);
+    },
+  };
+};
+
+const getSessionToken = () => auth.getSession()?.accessToken || null;
+
+export const api = process.env.REACT_APP_API_URL
+  ? createApiClient({ baseUrl: process.env.REACT_APP_API_URL, offlineCache: createOfflineCache(), getAccessToken: getSessionToken })
+  : createApiClient({
+    baseUrl: '',
+    getAccessToken: getSessionToken,
+    fetchImpl: createMockFetch({ latencyMs: process.env.NODE_ENV === 'test' ? 0 : 300 }),
+    uploadImpl: createMockUpload({ latencyMs: process.env.NODE_ENV === 'test' ? 0 : 1500 }),
+    offlineCache: createOfflineCache(),
+  });
+
+// Loads data for a screen. `load(options)` returns a promise; it runs again
+// when `deps` change and is skipped while `enabled` is false (e.g. before the
+// LINE profile is known). It also runs again when the OKTA access token
+// changes (sign-in, refresh, sign-out), since `api` sends the current one.
+// `reload()` bypasses the cache for that one load. `offlineSavedAt` is set
+// while `data` is an offline copy; the resource reloads when the connection
+// comes back.
+export const useResource = (load, deps, { enabled = true } = {}) => {
+  const [state, setState] = useState({ data: null, error: null, isLoading: enabled });
+  const [wasEnabled, setWasEnabled] = useState(enabled);
+  const [reloadCount, setReloadCount] = useState(0);
+  const loadRef = useRef(load);
+  const forceRef = useRef(false);
+  const depsKey = JSON.stringify(deps);
+  const accessToken = useAuthSession()?.accessToken;
+
+  if (enabled !== wasEnabled) {
+    setWasEnabled(enabled);
+    setState(prev => ({ ...prev, isLoading: enabled }));
+  }
+
+  // The latest `load` is used, but only `deps` decide when it runs.
+  useEffect(() => {
+    loadRef.current = load;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+    const force = forceRef.current;
+    forceRef.current = false;
+    setState(prev => ({ ...prev, error: null, isLoading: true }));
+    loadRef.current({ force })
+      .then(data => { if (!cancelled) setState({ data, error: null, isLoading: false }); })
+      .catch(error => { if (!cancelled) setState({ data: null, error, isLoading: false }); });
+    return () => { cancelled = true; };
+  }, [depsKey, accessToken, enabled, reloadCount]);
+
+  const reload = useCallback(() => {
+    forceRef.current = true;
+    setReloadCount(count => count + 1);
+  }, []);
+
+  const offlineSavedAt = getOfflineSavedAt(state.data);
+  useEffect(() => {
+    if (!offlineSavedAt) return undefined;
+    window.addEventListener('online', reload);
+    return () => window.removeEventListener('online', reload);
+  }, [offlineSavedAt, reload]);
+
+  return { ...state, offlineSavedAt, reload };
+};
@@ -0,0 +1,256 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { ApiError, createApiClient, getOfflineSavedAt, isQueuedOffline, useResource } from './api';
+import { auth } from './auth';
+import { createOfflineCache } from './offlineCache';
+import { MOCK_PAYMENT_CONFIRM_MS, createMockFetch, createMockUpload, fixtures } from './mockBackend';
+import { parseHash } from './router';
+
+// Policies, claims, payments and reminders need the OKTA session's token.
+let accessToken;
+const getAccessToken = () => accessToken;
+
+beforeEach(() => {
+  accessToken = 'token-1';
+});
+
+const createClient = (options = {}) => {
+  const fetchImpl = jest.fn(createMockFetch({ latencyMs: 0, ...options }));
+  return { client: createApiClient({ baseUrl: 'https://api.example.com', fetchImpl, getAccessToken }), fetchImpl };
+};
+
+test('fetches resources for the given LINE user', async () => {
+  const { client, fetchImpl } = createClient();
+
+  await expect(client.getPolicies('U1')).resolves.toEqual(fixtures.policies);
+  await expect(client.getClaim('U1', 3)).resolves.toMatchObject({ claimNumber: 'CLM-2025-04-1502', status: 'rejected' });
+  expect(fetchImpl.mock.calls[0][1].headers['X-Line-User-Id']).toBe('U1');
+});
+
+test('sends the current OKTA access token, which policy and claim reads require', async () => {
+  const { client, fetchImpl } = createClient();
+
+  accessToken = null;
+  await expect(client.getPolicies('U1')).rejects.toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+  await expect(client.getClaims('U1')).rejects.toMatchObject({ status: 401 });
+  accessToken = 'token-1';
+  await expect(client.getPolicies('U1')).resolves.toEqual(fixtures.policies);
+  expect(fetchImpl.mock.calls[2][1].headers.Authorization).toBe('Bearer token-1');
+  // Privileges are open to any LINE user.
+  await expect(client.getPrivileges('U1')).resolves.toEqual(fixtures.privileges);
+});
+
+test('caches responses per access token', async () => {
+  const { client, fetchImpl } = createClient();
+
+  await client.getPolicies('U1');
+  await client.getPolicies('U1');
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+  accessToken = 'token-2';
+  await client.getPolicies('U1');
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test('caches responses per user until forced or cleared', async () => {
+  const { client, fetchImpl } = createClient();
+
+  await client.getPrivileges('U1');
+  await client.getPrivileges('U1');
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+  await client.getPrivileges('U2');
+  await client.getPrivileges('U1', { force: true });
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+
+  client.clearCache('U1');
+  await client.getPrivileges('U1');
+  expect(fetchImpl).toHaveBeenCalledTimes(4);
+});
+
+test('rejects with ApiError and does not cache failures', async () => {
+  const { client, fetchImpl } = createClient();
+
+  await expect(client.getPolicy('U1', 99)).rejects.toMatchObject({ name: 'ApiError', status: 404 });
+  await expect(client.getPolicy('U1', 99)).rejects.toBeInstanceOf(ApiError);
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test('requires a signed-in user', async () => {
+  const { client, fetchImpl } = createClient();
+
+  await expect(client.getClaims(null)).rejects.toMatchObject({ status: 401 });
+  expect(fetchImpl).not.toHaveBeenCalled();
+});
+
+test('reports network failures with status 0', async () => {
+  const client = createApiClient({ baseUrl: '', getAccessToken, fetchImpl: () => Promise.reject(new TypeError('Failed to fetch')) });
+
+  await expect(client.getClaims('U1')).rejects.toMatchObject({ status: 0 });
+});
+
+test('uploads claim documents with progress and submits claims idempotently', async () => {
+  const fetchImpl = createMockFetch({ latencyMs: 0 });
+  const client = createApiClient({ baseUrl: 'https://api.example.com', getAccessToken, fetchImpl, uploadImpl: createMockUpload({ latencyMs: 0 }) });
+  const onProgress = jest.fn();
+
+  const document = await client.uploadClaimDocument('U1', new File(['receipt'], 'receipt.pdf', { type: 'application/pdf' }), { documentType: 'receipt', onProgress });
+  expect(document).toMatchObject({ documentId: 'doc-1', documentType: 'receipt', name: 'receipt.pdf' });
+  expect(onProgress).toHaveBeenLastCalledWith(1);
+
+  await client.getClaims('U1');
+  const claim = { clientReference: 'draft-1', policyId: 1, type: 'opd', incidentDate: '2025-06-01', amount: 900, documentIds: [document.documentId] };
+  const created = await client.submitClaim('U1', claim);
+  expect(created).toMatchObject({ status: 'submitted', policyId: 1, amount: 900 });
+  await expect(client.submitClaim('U1', claim)).resolves.toEqual(created);
+  // Submitting clears the cached list, so the new claim shows up.
+  await expect(client.getClaims('U1')).resolves.toHaveLength(fixtures.claims.length + 1);
+  await expect(client.submitClaim('U1', { ...claim, clientReference: 'draft-2', policyId: 99 })).rejects.toMatchObject({ status: 422 });
+});
+
+test('sends requested documents and returns the claim to review', async () => {
+  const { client } = createClient();
+
+  await client.getClaim('U1', 4);
+  const updated = await client.submitClaimDocuments('U1', 4, ['doc-9']);
+  expect(updated).toMatchObject({ status: 'under_review', requestedDocuments: [], documentIds: ['doc-9'] });
+  await expect(client.getClaim('U1', 4)).resolves.toMatchObject({ status: 'under_review' });
+  await expect(client.submitClaimDocuments('U1', 3, ['doc-9'])).rejects.toMatchObject({ status: 409 });
+});
+
+const JUNE_2025 = () => new Date('2025-06-20T10:00:00+07:00').getTime();
+
+test('redeems a privilege once per idempotency key and per double tap', async () => {
+  const { client, fetchImpl } = createClient({ now: JUNE_2025 });
+
+  const [first, second] = await Promise.all([
+    client.redeemPrivilege('U1', 'grab-food-100', { idempotencyKey: 'key-1' }),
+    client.redeemPrivilege('U1', 'grab-food-100', { idempotencyKey: 'key-1' }),
+  ]);
+  expect(second).toBe(first);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(fetchImpl.mock.calls[0][1].headers['Idempotency-Key']).toBe('key-1');
+  expect(first).toMatchObject({ privilegeId: 'grab-food-100', codeType: 'barcode', code: expect.stringMatching(/^GRAB-/) });
+
+  // A retry with a new key still returns the unused voucher.
+  await expect(client.redeemPrivilege('U1', 'grab-food-100', { idempotencyKey: 'key-2' })).resolves.toEqual(first);
+  await expect(client.getRedemptions('U1')).resolves.toHaveLength(fixtures.redemptions.length + 1);
+});
+
+test('refuses privileges that have ended or the customer is not eligible for', async () => {
+  const { client } = createClient({ now: JUNE_2025 });
+
+  // The only savings policy in the fixtures has lapsed.
+  await expect(client.redeemPrivilege('U1', 'tax-consult', { idempotencyKey: 'key-1' })).rejects.toMatchObject({ status: 403, code: 'NOT_ELIGIBLE' });
+
+  const { client: later } = createClient({ now: () => new Date('2027-01-01T00:00:00+07:00').getTime() });
+  await expect(later.redeemPrivilege('U1', 'grab-food-100', { idempotencyKey: 'key-1' })).rejects.toMatchObject({ status: 410 });
+});
+
+test('creates a PromptPay payment and reports it paid once confirmed', async () => {
+  let time = JUNE_2025();
+  const { client } = createClient({ now: () => time });
+
+  const payment = await client.createPayment('U1', 2);
+  expect(payment).toMatchObject({ policyId: 2, amount: 3150, status: 'pending', reference1: '58493028' });
+  await expect(client.createPayment('U1', 2)).resolves.toEqual(payment);
+  await expect(client.getPayment('U1', payment.id)).resolves.toMatchObject({ status: 'pending' });
+
+  time += MOCK_PAYMENT_CONFIRM_MS;
+  await expect(client.getPayment('U1', payment.id)).resolves.toMatchObject({ status: 'paid', channel: 'promptpay' });
+  await expect(client.getPolicy('U1', 2)).resolves.toMatchObject({ nextDueDate: '2025-08-15' });
+  const history = await client.getPayments('U1', 2);
+  expect(history[0]).toMatchObject({ id: payment.id, status: 'paid' });
+
+  await expect(client.createPayment('U1', 3)).rejects.toMatchObject({ status: 409, code: 'POLICY_NOT_ACTIVE' });
+});
+
+test('stores due-date reminder preferences per LINE user', async () => {
+  const { client } = createClient();
+
+  await expect(client.getReminderPreference('U1')).resolves.toEqual({ enabled: false, daysBefore: 7 });
+  await client.saveReminderPreference('U1', { enabled: true, daysBefore: 3 });
+  await expect(client.getReminderPreference('U1')).resolves.toEqual({ enabled: true, daysBefore: 3 });
+  await expect(client.getReminderPreference('U2')).resolves.toEqual({ enabled: false, daysBefore: 7 });
+  await expect(client.saveReminderPreference('U1', { enabled: true, daysBefore: 5 })).rejects.toMatchObject({ status: 422 });
+});
+
+test('stores interests per LINE user', async () => {
+  const { client } = createClient();
+
+  await expect(client.getInterests('U1')).resolves.toEqual({ interests: [] });
+  await client.saveInterests('U1', ['health', 'tax_saving']);
+  await expect(client.getInterests('U1')).resolves.toEqual({ interests: ['health', 'tax_saving'] });
+  await expect(client.getInterests('U2')).resolves.toEqual({ interests: [] });
+  await expect(client.saveInterests('U1', ['travel'])).rejects.toMatchObject({ status: 422, code: 'INVALID_INTERESTS' });
+});
+
+test('falls back to the last copy fetched online when offline', async () => {
+  window.localStorage.clear();
+  const online = createMockFetch({ latencyMs: 0 });
+  const fetchImpl = jest.fn(online);
+  const offlineCache = createOfflineCache({ now: () => 1000 });
+  const client = createApiClient({ baseUrl: '', getAccessToken, fetchImpl, offlineCache });
+
+  const policies = await client.getPolicies('U1');
+  expect(getOfflineSavedAt(policies)).toBeNull();
+
+  fetchImpl.mockRejectedValue(new TypeError('Failed to fetch'));
+  const copy = await client.getPolicies('U1', { force: true });
+  expect(copy).toEqual(fixtures.policies);
+  expect(getOfflineSavedAt(copy)).toBe(1000);
+  await expect(client.getClaims('U1')).rejects.toMatchObject({ status: 0 });
+
+  // The copy isn't cached, so the next call goes back to the network.
+  fetchImpl.mockImplementation(online);
+  expect(getOfflineSavedAt(await client.getPolicies('U1'))).toBeNull();
+
+  client.clearUserData('U1');
+  expect(await offlineCache.load('U1', '/policies')).toBeNull();
+});
+
+test('reports requests the service worker queued for later', async () => {
+  const fetchImpl = () => Promise.resolve({ ok: true, status: 202, json: () => Promise.resolve({ code: 'QUEUED_OFFLINE', message: 'Queued.' }) });
+  const client = createApiClient({ baseUrl: '', getAccessToken, fetchImpl });
+
+  const error = await client.submitClaim('U1', { clientReference: 'draft-1' }).catch(err => err);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(isQueuedOffline(error)).toBe(true);
+});
+
+test('useResource does not load, or show loading, while disabled', async () => {
+  const load = jest.fn(() => Promise.resolve('data'));
+  const { result, rerender } = renderHook(({ enabled }) => useResource(load, ['U1'], { enabled }), { initialProps: { enabled: false } });
+  expect(result.current.isLoading).toBe(false);
+  expect(load).not.toHaveBeenCalled();
+
+  rerender({ enabled: true });
+  expect(result.current.isLoading).toBe(true);
+  await waitFor(() => expect(result.current.data).toBe('data'));
+});
+
+test('useResource bypasses the cache only for the load a reload starts', async () => {
+  const load = jest.fn(() => Promise.resolve('data'));
+  const { result, rerender } = renderHook(({ id }) => useResource(load, [id]), { initialProps: { id: 1 } });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+  act(() => result.current.reload());
+  await waitFor(() => expect(load).toHaveBeenCalledTimes(2));
+  rerender({ id: 2 });
+  await waitFor(() => expect(load).toHaveBeenCalledTimes(3));
+  expect(load.mock.calls.map(([options]) => options.force)).toEqual([false, true, false]);
+});
+
+test('useResource loads again when the access token changes', async () => {
+  const load = jest.fn(() => Promise.resolve('data'));
+  const { result } = renderHook(() => useResource(load, ['U1']));
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+  await act(async () => {
+    await auth.login({ returnTo: '/' });
+    await auth.handleCallback(parseHash(window.location.hash).query);
+  });
+  await waitFor(() => expect(load).toHaveBeenCalledTimes(2));
+
+  await act(() => auth.logout());
+  await waitFor(() => expect(load).toHaveBeenCalledTimes(3));
+});
@@ -0,0 +1,324 @@
+import { useEffect, useState } from 'react';
+import { createCodeChallenge, createCodeVerifier, decodeJwt, randomString } from './pkce';
+import { createMockOidcProvider } from './mockOidc';
+
+// OKTA sign-in for existing customers: OpenID Connect Authorization Code flow
+// with PKCE, run entirely in the browser (public client, no client secret).
+//
+//   login({ returnTo })     -> redirects to the issuer's hosted login page
+//   handleCallback(params)  -> Session, after the issuer redirects back
+//   refresh()               -> Session, using the refresh token
+//   logout()                -> clears the session and ends the OKTA session
+//
+// Session is { accessToken, idToken, refreshToken, expiresAt, claims, linkedLineUserId }.
+// Failures reject with an AuthError carrying one of the codes below.
+
+export const AUTH_ERROR_CODES = {
+  STATE_MISMATCH: 'STATE_MISMATCH',
+  INVALID_ID_TOKEN: 'INVALID_ID_TOKEN',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  TOKEN_REQUEST_FAILED: 'TOKEN_REQUEST_FAILED',
+  NETWORK: 'NETWORK',
+};
+
+export class AuthError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+const SESSION_STORAGE_KEY = 'icelbc_auth_session';
+const TRANSACTION_STORAGE_KEY = 'icelbc_auth_transaction';
+
+const getStorage = (name) => {
+  try {
+    return typeof window !== 'undefined' ? window[name] : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const readJson = (storage, key) => {
+  try {
+    return JSON.parse(storage?.getItem(key)) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeJson = (storage, key, value) => {
+  try {
+    if (value === null) storage?.removeItem(key);
+    else storage?.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // Without storage the session lasts only as long as this page.
+  }
+};
+
+export const createOidcClient = ({
+  issuer,
+  clientId,
+  redirectUri,
+  postLogoutRedirectUri = redirectUri,
+  scope = 'openid profile email offline_access',
+  fetchImpl = (...args) => fetch(...args),
+  // Tokens persist across LIFF launches; the PKCE transaction only needs to
+  // survive the redirect in this tab.
+  storage = getStorage('localStorage'),
+  transactionStorage = getStorage('sessionStorage'),
+  redirect = (url) => window.location.assign(url),
+  // Refresh this long before the access token expires.
+  refreshLeewayMs = 60 * 1000,
+  retryDelayMs = 30 * 1000,
+  now = () => Date.now(),
+}) => {
+  let session = readJson(storage, SESSION_STORAGE_KEY);
+  let discovery = null;
+  let refreshPromise = null;
+  const callbacks = new Map();
+  const listeners = new Set();
+
+  const setSession = (next) => {
+    session = next;
+    writeJson(storage, SESSION_STORAGE_KEY, next);
+    listeners.forEach(listener => listener(next));
+    return next;
+  };
+
+  const request = (url, options) => fetchImpl(url, options)
+    .catch(error => {
+      throw new AuthError(AUTH_ERROR_CODES.NETWORK, 'Could not reach the sign-in service.', { cause: error });
+    })
+    .then(response => response.json().catch(() => ({})).then(data => {
+      if (!response.ok) {
+        throw new AuthError(AUTH_ERROR_CODES.TOKEN_REQUEST_FAILED, data.error_description || `Sign-in request failed. Status: ${response.status}`, { status: response.status, error: data.error });
+      }
+      return data;
+    }));
+
+  const discover = () => {
+    if (!discovery) {
+      discovery = request(`${issuer}/.well-known/openid-configuration`).catch(error => {
+        discovery = null;
+        throw error;
+      });
+    }
+    return discovery;
+  };
+
+  const requestTokens = (params) => discover().then(config => request(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: clientId, ...params }).toString(),
+  }));
+
+  // Checks the ID token claims the browser can check; the signature is verified by the API.
+  const createSession = (tokens, { nonce, previous = null } = {}) => {
+    let claims;
+    try {
+      claims = decodeJwt(tokens.id_token);
+    } catch (e) {
+      throw new AuthError(AUTH_ERROR_CODES.INVALID_ID_TOKEN, 'The ID token could not be read.');
+    }
+    const audiences = [].concat(claims.aud);
+    if (claims.iss !== issuer || !audiences.includes(clientId)) {
+      throw new AuthError(AUTH_ERROR_CODES.INVALID_ID_TOKEN, 'The ID token was not issued for this app.');
+    }
+    if (nonce !== undefined && claims.nonce !== nonce) {
+      throw new AuthError(AUTH_ERROR_CODES.INVALID_ID_TOKEN, 'The ID token does not match the sign-in request.');
+    }
+    if (claims.exp * 1000 <= now()) {
+      throw new AuthError(AUTH_ERROR_CODES.INVALID_ID_TOKEN, 'The ID token has expired.');
+    }
+    return {
+      accessToken: tokens.access_token,
+      idToken: tokens.id_token,
+      refreshToken: tokens.refresh_token || previous?.refreshToken || null,
+      expiresAt: now() + Number(tokens.expires_in || 0) * 1000,
+      claims,
+      linkedLineUserId: previous?.claims.sub === claims.sub ? previous.linkedLineUserId : null,
+    };
+  };
+
+  const login = ({ returnTo = '/' } = {}) => {
+    const verifier = createCodeVerifier();
+    const state = randomString(16);
+    const nonce = randomString(16);
+    return Promise.all([discover(), createCodeChallenge(verifier)]).then(([config, challenge]) => {
+      writeJson(transactionStorage, TRANSACTION_STORAGE_KEY, { state, nonce, verifier, returnTo, createdAt: now() });
+      const url = new URL(config.authorization_endpoint);
+      url.search = new URLSearchParams({
+        client_id: clientId,
+        response_type: 'code',
+        scope,
+        redirect_uri: redirectUri,
+        state,
+        nonce,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+      }).toString();
+      redirect(url.toString());
+    });
+  };
+
+  // `params` holds the callback query: code and state, or error and error_description.
+  // Repeated calls for the same state share one token exchange.
+  const handleCallback = ({ code, state, error, error_description: errorDescription } = {}) => {
+    if (callbacks.has(state)) return callbacks.get(state);
+    const transaction = readJson(transactionStorage, TRANSACTION_STORAGE_KEY);
+    let promise;
+    if (!state || !transaction || transaction.state !== state) {
+      promise = Promise.reject(new AuthError(AUTH_ERROR_CODES.STATE_MISMATCH, 'This sign-in link is no longer valid. Please sign in again.'));
+    } else if (error || !code) {
+      promise = Promise.reject(new AuthError(AUTH_ERROR_CODES.LOGIN_FAILED, errorDescription || 'Sign-in was cancelled or failed.', { error }));
+    } else {
+      promise = requestTokens({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: transaction.verifier,
+      }).then(tokens => ({
+        session: setSession(createSession(tokens, { nonce: transaction.nonce })),
+        returnTo: transaction.returnTo,
+      }));
+    }
+    writeJson(transactionStorage, TRANSACTION_STORAGE_KEY, null);
+    callbacks.set(state, promise);
+    return promise;
+  };
+
+  // An expired access token still counts as signed in while it can be refreshed.
+  const getSession = () => {
+    if (!session) return null;
+    if (session.expiresAt > now() || session.refreshToken) return session;
+    setSession(null);
+    return null;
+  };
+
+  // Concurrent callers share one request. A rejected refresh token ends the
+  // session; network failures leave it for the next attempt.
+  const refresh = () => {
+    if (!session?.refreshToken) return Promise.reject(new AuthError(AUTH_ERROR_CODES.TOKEN_REQUEST_FAILED, 'There is no session to refresh.'));
+    if (!refreshPromise) {
+      const previous = session;
+      refreshPromise = requestTokens({ grant_type: 'refresh_token', refresh_token: previous.refreshToken, scope })
+        .then(tokens => setSession(createSession(tokens, { previous })))
+        .catch(error => {
+          if (error.code !== AUTH_ERROR_CODES.NETWORK) setSession(null);
+          throw error;
+        })
+        .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+  };
+
+  // Keeps the access token fresh in the background; returns a stop function.
+  const startSilentRefresh = () => {
+    let timer = null;
+    const schedule = (current) => {
+      clearTimeout(timer);
+      if (!current) return;
+      const delay = Math.max(0, current.expiresAt - refreshLeewayMs - now());
+      timer = setTimeout(() => {
+        if (!session?.refreshToken) {
+          getSession();
+          return;
+        }
+        refresh().catch(error => {
+          console.error('Silent token refresh failed:', error);
+          if (error.code === AUTH_ERROR_CODES.NETWORK) timer = setTimeout(() => schedule(session), retryDelayMs);
+        });
+      }, delay);
+    };
+    listeners.add(schedule);
+    schedule(getSession());
+    return () => {
+      listeners.delete(schedule);
+      clearTimeout(timer);
+    };
+  };
+
+  const logout = () => {
+    const idToken = session?.idToken;
+    setSession(null);
+    return discover()
+      .catch(() => ({}))
+      .then(config => {
+        if (!config.end_session_endpoint || !idToken) return;
+        const url = new URL(config.end_session_endpoint);
+        url.search = new URLSearchParams({ id_token_hint: idToken, post_logout_redirect_uri: postLogoutRedirectUri }).toString();
+        redirect(url.toString());
+      });
+  };
+
+  return {
+    login,
+    handleCallback,
+    getSession,
+    refresh,
+    startSilentRefresh,
+    logout,
+    // Records that the customer identity has been linked to this LINE user.
+    setLinkedLineUserId: (lineUserId) => session && setSession({ ...session, linkedLineUserId: lineUserId }),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// --- Callback URL ---
+
+export const CALLBACK_PATH = '/auth/callback';
+
+// The issuer redirects to `redirectUri?code=...&state=...`, but screens are
+// addressed by the hash. Moves the callback query into the hash route so the
+// router can render the callback screen (and the code leaves the query string).
+export const moveCallbackToHash = () => {
+  const { search, pathname } = window.location;
+  const params = new URLSearchParams(search);
+  if (!params.has('state') || (!params.has('code') && !params.has('error'))) return;
+  window.history.replaceState(null, '', `${pathname}#${CALLBACK_PATH}?${params.toString()}`);
+};
+
+// --- Default client ---
+
+const defaultRedirectUri = () => (typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : '');
+
+const createDefaultClient = () => {
+  if (process.env.REACT_APP_OIDC_ISSUER) {
+    return createOidcClient({
+      issuer: process.env.REACT_APP_OIDC_ISSUER,
+      clientId: process.env.REACT_APP_OIDC_CLIENT_ID,
+      redirectUri: process.env.REACT_APP_OIDC_REDIRECT_URI || defaultRedirectUri(),
+    });
+  }
+  // Without an issuer, sign-in runs against the local mock provider. Its
+  // "redirects" only change the hash, so no page load is involved.
+  const provider = createMockOidcProvider();
+  return createOidcClient({
+    issuer: provider.issuer,
+    clientId: provider.clientId,
+    redirectUri: defaultRedirectUri(),
+    fetchImpl: provider.fetch,
+    redirect: (url) => {
+      if (url.startsWith(`${provider.issuer}/v1/authorize`)) {
+        window.location.hash = `${CALLBACK_PATH}${new URL(provider.authorize(url)).search}`;
+      } else {
+        window.location.hash = '/';
+      }
+    },
+  });
+};
+
+export const auth = createDefaultClient();
+
+// Current session, updated on login, refresh and logout.
+export const useAuthSession = (client = auth) => {
+  const [session, setSession] = useState(() => client.getSession());
+  useEffect(() => client.subscribe(setSession), [client]);
+  return session;
+};
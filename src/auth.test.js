@@ -0,0 +1,154 @@
+import { AUTH_ERROR_CODES, createOidcClient } from './auth';
+import { createMockOidcProvider } from './mockOidc';
+
+const createMemoryStorage = () => {
+  const data = {};
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = value; },
+    removeItem: (key) => { delete data[key]; },
+  };
+};
+
+const REDIRECT_URI = 'https://app.example.com/';
+
+const setup = ({ provider = createMockOidcProvider(), ...options } = {}) => {
+  const redirect = jest.fn();
+  const fetchImpl = jest.fn(provider.fetch);
+  const client = createOidcClient({
+    issuer: provider.issuer,
+    clientId: provider.clientId,
+    redirectUri: REDIRECT_URI,
+    fetchImpl,
+    storage: createMemoryStorage(),
+    transactionStorage: createMemoryStorage(),
+    redirect,
+    ...options,
+  });
+  const callbackParams = () => Object.fromEntries(new URL(provider.authorize(redirect.mock.calls[0][0])).searchParams);
+  return { client, provider, redirect, fetchImpl, callbackParams };
+};
+
+test('redirects to the authorize endpoint with a PKCE challenge', async () => {
+  const { client, provider, redirect } = setup();
+  await client.login({ returnTo: '/policies' });
+
+  const url = new URL(redirect.mock.calls[0][0]);
+  expect(`${url.origin}${url.pathname}`).toBe(`${provider.issuer}/v1/authorize`);
+  expect(Object.fromEntries(url.searchParams)).toMatchObject({
+    client_id: provider.clientId,
+    response_type: 'code',
+    redirect_uri: REDIRECT_URI,
+    code_challenge_method: 'S256',
+  });
+  expect(url.searchParams.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+  expect(url.searchParams.get('state')).toBeTruthy();
+});
+
+test('exchanges the code for a session and returns to the requested path', async () => {
+  const { client, callbackParams } = setup();
+  const listener = jest.fn();
+  client.subscribe(listener);
+  await client.login({ returnTo: '/policies' });
+
+  const { session, returnTo } = await client.handleCallback(callbackParams());
+
+  expect(returnTo).toBe('/policies');
+  expect(session.claims).toMatchObject({ sub: '00u1mockcustomer', given_name: 'Somchai' });
+  expect(session.accessToken).toBeTruthy();
+  expect(session.refreshToken).toBeTruthy();
+  expect(client.getSession()).toEqual(session);
+  expect(listener).toHaveBeenCalledWith(session);
+});
+
+test('shares one token exchange between repeated callbacks', async () => {
+  const { client, callbackParams, fetchImpl } = setup();
+  await client.login();
+  const params = callbackParams();
+
+  const [first, second] = await Promise.all([client.handleCallback(params), client.handleCallback(params)]);
+  expect(second).toBe(first);
+  expect(fetchImpl.mock.calls.filter(([url]) => url.endsWith('/v1/token'))).toHaveLength(1);
+});
+
+test('rejects a callback whose state does not match the login request', async () => {
+  const { client, callbackParams } = setup();
+  await client.login();
+  const params = { ...callbackParams(), state: 'forged' };
+
+  await expect(client.handleCallback(params)).rejects.toMatchObject({ code: AUTH_ERROR_CODES.STATE_MISMATCH });
+  expect(client.getSession()).toBeNull();
+});
+
+test('rejects a code redeemed with the wrong verifier', async () => {
+  const provider = createMockOidcProvider();
+  const { client, redirect } = setup({ provider });
+  await client.login();
+  // A second login overwrites the stored verifier, so the first code no longer matches.
+  const staleParams = Object.fromEntries(new URL(provider.authorize(redirect.mock.calls[0][0])).searchParams);
+  await client.login();
+  const freshState = new URL(redirect.mock.calls[1][0]).searchParams.get('state');
+
+  await expect(client.handleCallback({ ...staleParams, state: freshState })).rejects.toMatchObject({ code: AUTH_ERROR_CODES.TOKEN_REQUEST_FAILED });
+});
+
+test('reports errors returned by the issuer', async () => {
+  const { client, redirect } = setup();
+  await client.login();
+  const state = new URL(redirect.mock.calls[0][0]).searchParams.get('state');
+
+  await expect(client.handleCallback({ state, error: 'access_denied', error_description: 'User cancelled.' }))
+    .rejects.toMatchObject({ code: AUTH_ERROR_CODES.LOGIN_FAILED, message: 'User cancelled.' });
+});
+
+test('refreshes tokens and ends the session when the refresh token is revoked', async () => {
+  const { client, provider, callbackParams } = setup();
+  await client.login();
+  await client.handleCallback(callbackParams());
+  client.setLinkedLineUserId('U1');
+
+  const refreshed = await client.refresh();
+  expect(refreshed.linkedLineUserId).toBe('U1');
+
+  provider.revokeRefreshTokens();
+  await expect(client.refresh()).rejects.toMatchObject({ code: AUTH_ERROR_CODES.TOKEN_REQUEST_FAILED });
+  expect(client.getSession()).toBeNull();
+});
+
+test('refreshes silently before the access token expires', async () => {
+  jest.useFakeTimers();
+  try {
+    const { client, callbackParams, fetchImpl } = setup({ provider: createMockOidcProvider({ accessTokenTtlSeconds: 120 }) });
+    await client.login();
+    await client.handleCallback(callbackParams());
+    const stop = client.startSilentRefresh();
+    const tokenCalls = () => fetchImpl.mock.calls.filter(([url]) => url.endsWith('/v1/token')).length;
+
+    // The token request is made after discovery resolves.
+    const flushPromises = async () => { for (let i = 0; i < 5; i += 1) await Promise.resolve(); };
+
+    jest.advanceTimersByTime(59 * 1000);
+    await flushPromises();
+    expect(tokenCalls()).toBe(1);
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(tokenCalls()).toBe(2);
+    stop();
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('logs out locally and at the issuer', async () => {
+  const { client, provider, callbackParams, redirect } = setup();
+  await client.login();
+  const { session } = await client.handleCallback(callbackParams());
+
+  await client.logout();
+
+  expect(client.getSession()).toBeNull();
+  const url = new URL(redirect.mock.calls[1][0]);
+  expect(`${url.origin}${url.pathname}`).toBe(`${provider.issuer}/v1/logout`);
+  expect(url.searchParams.get('id_token_hint')).toBe(session.idToken);
+  expect(url.searchParams.get('post_logout_redirect_uri')).toBe(REDIRECT_URI);
+});
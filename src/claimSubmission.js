@@ -0,0 +1,146 @@
+import { generateEventId } from './eventQueue';
+
+// Claim submission rules (claim types, required documents, validation),
+// client-side image compression and per-user draft storage for the New Claim
+// wizard.
+
+export const CLAIM_TYPES = ['opd', 'ipd', 'dental', 'accident'];
+
+export const DOCUMENT_TYPES = ['receipt', 'medical_certificate'];
+
+// Receipts are always needed; in-patient and accident claims also need a medical certificate.
+export const REQUIRED_DOCUMENTS = {
+  opd: ['receipt'],
+  ipd: ['receipt', 'medical_certificate'],
+  dental: ['receipt'],
+  accident: ['receipt', 'medical_certificate'],
+};
+
+export const ACCEPTED_FILE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+export const MAX_FILE_BYTES = 10 * 1024 * 1024;
+export const MAX_DOCUMENTS = 10;
+
+// Calendar date in Thailand as YYYY-MM-DD (the format of <input type="date">).
+export const toThaiDateString = (date = new Date()) => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Bangkok' });
+
+// --- Validation ---
+
+// Returns `{ [field]: messageKey }` (see the `newClaim.errors` catalog section).
+export const validateClaimDetails = ({ type, incidentDate, amount }, { policy, today = new Date() } = {}) => {
+  const errors = {};
+  if (!CLAIM_TYPES.includes(type)) errors.type = 'newClaim.errors.typeRequired';
+
+  if (!incidentDate) errors.incidentDate = 'newClaim.errors.incidentDateRequired';
+  else if (incidentDate > toThaiDateString(today)) errors.incidentDate = 'newClaim.errors.incidentDateFuture';
+  else if (policy?.startDate && incidentDate < policy.startDate) errors.incidentDate = 'newClaim.errors.incidentDateBeforePolicy';
+
+  const value = Number(amount);
+  if (amount === '' || amount === undefined || amount === null) errors.amount = 'newClaim.errors.amountRequired';
+  else if (!Number.isFinite(value) || value <= 0 || !/^\d+(\.\d{1,2})?$/.test(String(amount))) errors.amount = 'newClaim.errors.amountInvalid';
+  else if (policy?.coverageAmount && value > policy.coverageAmount) errors.amount = 'newClaim.errors.amountOverCoverage';
+
+  return errors;
+};
+
+// Checks a file after compression; returns a message key or null.
+export const validateClaimFile = (file) => {
+  if (!ACCEPTED_FILE_TYPES.includes(file.type)) return 'newClaim.errors.fileType';
+  if (file.size > MAX_FILE_BYTES) return 'newClaim.errors.fileSize';
+  return null;
+};
+
+// Document types required for `type` that have no uploaded document yet.
+export const getMissingDocuments = (type, documents) => (REQUIRED_DOCUMENTS[type] || ['receipt'])
+  .filter(documentType => !documents.some(doc => doc.documentType === documentType && doc.documentId));
+
+// --- Image compression ---
+
+// Scales photos down to `maxDimension` and re-encodes them as JPEG. PDFs,
+// browsers without createImageBitmap and images that would not get smaller
+// are returned unchanged.
+export const compressImage = (file, { maxDimension = 1600, quality = 0.8 } = {}) => {
+  if (!file.type.startsWith('image/') || typeof createImageBitmap !== 'function') return Promise.resolve(file);
+
+  return createImageBitmap(file)
+    .then(image => {
+      const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    })
+    .then(blob => {
+      if (!blob || blob.size >= file.size) return file;
+      const name = file.name.replace(/\.\w+$/, '') + '.jpg';
+      return new File([blob], name, { type: 'image/jpeg', lastModified: file.lastModified });
+    })
+    .catch(() => file);
+};
+
+// --- Drafts ---
+
+export const DRAFT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const draftKey = (lineUserId) => `icelbc_claim_draft_${lineUserId}`;
+
+/**
+ * @typedef {Object} ClaimDraft
+ * @property {string} draftId           Also sent as the claim's clientReference, so resubmits are idempotent
+ * @property {number} step              Wizard step to resume at (1-4)
+ * @property {number|null} policyId
+ * @property {string} type
+ * @property {string} incidentDate     ISO date
+ * @property {string} amount
+ * @property {{documentId: string, documentType: string, name: string, size: number}[]} documents  Uploaded documents only
+ * @property {number} savedAt
+ */
+
+/** @returns {ClaimDraft} */
+export const createClaimDraft = () => ({
+  draftId: generateEventId(),
+  step: 1,
+  policyId: null,
+  type: '',
+  incidentDate: '',
+  amount: '',
+  documents: [],
+  savedAt: null,
+});
+
+/** @returns {ClaimDraft|null} */
+export const loadClaimDraft = (lineUserId, { now = Date.now() } = {}) => {
+  if (!lineUserId) return null;
+  try {
+    const draft = JSON.parse(window.localStorage.getItem(draftKey(lineUserId)));
+    if (!draft || now - draft.savedAt > DRAFT_TTL_MS) return null;
+    return draft;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveClaimDraft = (lineUserId, draft, { now = Date.now() } = {}) => {
+  const saved = {
+    ...draft,
+    // Files still uploading can't be restored, so only finished uploads are kept.
+    documents: draft.documents
+      .filter(doc => doc.documentId)
+      .map(({ documentId, documentType, name, size }) => ({ documentId, documentType, name, size })),
+    savedAt: now,
+  };
+  try {
+    window.localStorage.setItem(draftKey(lineUserId), JSON.stringify(saved));
+  } catch (e) {
+    console.error('Failed to save claim draft:', e);
+  }
+  return saved;
+};
+
+export const clearClaimDraft = (lineUserId) => {
+  try {
+    window.localStorage.removeItem(draftKey(lineUserId));
+  } catch (e) {
+    // Nothing to clear.
+  }
+};
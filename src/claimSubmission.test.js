@@ -0,0 +1,85 @@
+import {
+  DRAFT_TTL_MS,
+  MAX_FILE_BYTES,
+  clearClaimDraft,
+  compressImage,
+  createClaimDraft,
+  getMissingDocuments,
+  loadClaimDraft,
+  saveClaimDraft,
+  validateClaimDetails,
+  validateClaimFile,
+} from './claimSubmission';
+
+const policy = { id: 1, status: 'active', coverageAmount: 50000, startDate: '2021-08-01' };
+const today = new Date('2025-06-20T03:00:00Z');
+
+afterEach(() => window.localStorage.clear());
+
+test('accepts complete claim details', () => {
+  expect(validateClaimDetails({ type: 'opd', incidentDate: '2025-06-19', amount: '1250.50' }, { policy, today })).toEqual({});
+});
+
+test('rejects missing, future, pre-policy and out-of-range details', () => {
+  expect(validateClaimDetails({ type: '', incidentDate: '', amount: '' }, { policy, today })).toEqual({
+    type: 'newClaim.errors.typeRequired',
+    incidentDate: 'newClaim.errors.incidentDateRequired',
+    amount: 'newClaim.errors.amountRequired',
+  });
+  expect(validateClaimDetails({ type: 'ipd', incidentDate: '2025-06-21', amount: '0' }, { policy, today })).toEqual({
+    incidentDate: 'newClaim.errors.incidentDateFuture',
+    amount: 'newClaim.errors.amountInvalid',
+  });
+  expect(validateClaimDetails({ type: 'ipd', incidentDate: '2020-01-01', amount: '60000' }, { policy, today })).toEqual({
+    incidentDate: 'newClaim.errors.incidentDateBeforePolicy',
+    amount: 'newClaim.errors.amountOverCoverage',
+  });
+});
+
+test('uses the Thai calendar date for "today"', () => {
+  // 20:00 UTC on 19 June is already 20 June in Bangkok.
+  const lateEvening = new Date('2025-06-19T20:00:00Z');
+  expect(validateClaimDetails({ type: 'opd', incidentDate: '2025-06-20', amount: '100' }, { policy, today: lateEvening })).toEqual({});
+});
+
+test('validates file type and size', () => {
+  expect(validateClaimFile({ type: 'image/jpeg', size: 1024 })).toBeNull();
+  expect(validateClaimFile({ type: 'image/gif', size: 1024 })).toBe('newClaim.errors.fileType');
+  expect(validateClaimFile({ type: 'application/pdf', size: MAX_FILE_BYTES + 1 })).toBe('newClaim.errors.fileSize');
+});
+
+test('lists the required documents that are still missing', () => {
+  const receipt = { documentId: 'doc-1', documentType: 'receipt' };
+  expect(getMissingDocuments('opd', [receipt])).toEqual([]);
+  expect(getMissingDocuments('accident', [receipt])).toEqual(['medical_certificate']);
+  expect(getMissingDocuments('ipd', [])).toEqual(['receipt', 'medical_certificate']);
+});
+
+test('returns files unchanged when they cannot be compressed', async () => {
+  const pdf = new File(['%PDF'], 'receipt.pdf', { type: 'application/pdf' });
+  const photo = new File(['jpeg'], 'photo.jpg', { type: 'image/jpeg' });
+  await expect(compressImage(pdf)).resolves.toBe(pdf);
+  // jsdom has no createImageBitmap.
+  await expect(compressImage(photo)).resolves.toBe(photo);
+});
+
+test('saves drafts per LINE user with uploaded documents only', () => {
+  const draft = {
+    ...createClaimDraft(),
+    step: 3,
+    policyId: 1,
+    documents: [{ documentId: 'doc-1', documentType: 'receipt', name: 'r.pdf', size: 10, file: {} }, { documentType: 'receipt', name: 'pending.jpg' }],
+  };
+  saveClaimDraft('U1', draft, { now: 1000 });
+
+  expect(loadClaimDraft('U2')).toBeNull();
+  expect(loadClaimDraft('U1', { now: 2000 })).toEqual({
+    ...draft,
+    documents: [{ documentId: 'doc-1', documentType: 'receipt', name: 'r.pdf', size: 10 }],
+    savedAt: 1000,
+  });
+  expect(loadClaimDraft('U1', { now: 1000 + DRAFT_TTL_MS + 1 })).toBeNull();
+
+  clearClaimDraft('U1');
+  expect(loadClaimDraft('U1', { now: 2000 })).toBeNull();
+});
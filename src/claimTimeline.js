@@ -0,0 +1,44 @@
+// Claim status history for the Claim Details timeline.
+//
+// The API returns `history` as the claim's status transitions, oldest first:
+// [{ status, at, note? }]. The timeline shows those as done, followed by the
+// steps the claim still has to pass through.
+
+export const CLAIM_STATUSES = ['submitted', 'documents_requested', 'under_review', 'approved', 'rejected', 'paid'];
+
+const FINAL_STATUSES = ['rejected', 'paid'];
+
+// 'decision' stands for approved or rejected before the insurer has decided.
+const REMAINING_STEPS = {
+  submitted: ['under_review', 'decision', 'paid'],
+  documents_requested: ['under_review', 'decision', 'paid'],
+  under_review: ['decision', 'paid'],
+  approved: ['paid'],
+  rejected: [],
+  paid: [],
+};
+
+/**
+ * @typedef {Object} TimelineStep
+ * @property {string} status      A claim status, or 'decision' for an upcoming approval/rejection
+ * @property {string|null} date   ISO date the claim reached this status; null if upcoming or unknown
+ * @property {string} [note]
+ * @property {'done'|'current'|'upcoming'} state
+ */
+
+/** @returns {TimelineStep[]} */
+export const buildClaimTimeline = (claim) => {
+  // Claims created before history was recorded only have their submission date.
+  const history = claim.history?.length
+    ? claim.history
+    : [{ status: 'submitted', at: claim.submittedAt }, ...(claim.status !== 'submitted' ? [{ status: claim.status, at: null }] : [])];
+
+  const reached = history.map((entry, index) => ({
+    status: entry.status,
+    date: entry.at || null,
+    ...(entry.note ? { note: entry.note } : {}),
+    state: index === history.length - 1 && !FINAL_STATUSES.includes(entry.status) ? 'current' : 'done',
+  }));
+  const upcoming = (REMAINING_STEPS[claim.status] || []).map(status => ({ status, date: null, state: 'upcoming' }));
+  return [...reached, ...upcoming];
+};
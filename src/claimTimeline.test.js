@@ -0,0 +1,35 @@
+import { buildClaimTimeline } from './claimTimeline';
+
+test('marks the latest transition as current and lists the remaining steps', () => {
+  const claim = {
+    status: 'documents_requested',
+    submittedAt: '2025-06-18',
+    history: [
+      { status: 'submitted', at: '2025-06-18' },
+      { status: 'documents_requested', at: '2025-06-19', note: 'Discharge summary' },
+    ],
+  };
+  expect(buildClaimTimeline(claim)).toEqual([
+    { status: 'submitted', date: '2025-06-18', state: 'done' },
+    { status: 'documents_requested', date: '2025-06-19', note: 'Discharge summary', state: 'current' },
+    { status: 'under_review', date: null, state: 'upcoming' },
+    { status: 'decision', date: null, state: 'upcoming' },
+    { status: 'paid', date: null, state: 'upcoming' },
+  ]);
+});
+
+test('has no upcoming steps once a claim is rejected or paid', () => {
+  const rejected = buildClaimTimeline({ status: 'rejected', history: [{ status: 'submitted', at: '2025-04-20' }, { status: 'rejected', at: '2025-04-25' }] });
+  expect(rejected.map(step => [step.status, step.state])).toEqual([['submitted', 'done'], ['rejected', 'done']]);
+
+  const paid = buildClaimTimeline({ status: 'paid', history: [{ status: 'approved', at: '2025-06-18' }, { status: 'paid', at: '2025-06-20' }] });
+  expect(paid.every(step => step.state === 'done')).toBe(true);
+});
+
+test('falls back to the submission date for claims without history', () => {
+  expect(buildClaimTimeline({ status: 'approved', submittedAt: '2025-05-02' })).toEqual([
+    { status: 'submitted', date: '2025-05-02', state: 'done' },
+    { status: 'approved', date: null, state: 'current' },
+    { status: 'paid', date: null, state: 'upcoming' },
+  ]);
+});
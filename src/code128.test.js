@@ -0,0 +1,10 @@
+import { encodeCode128 } from './code128';
+
+test('encodes Code 128 with start, checksum and stop symbols', () => {
+  const widths = encodeCode128('AB');
+  // Start B, two characters and the checksum are 11 modules each; stop is 13.
+  expect(widths.reduce((sum, width) => sum + width, 0)).toBe(4 * 11 + 13);
+  // Start B, "A" (33), "B" (34), checksum (104 + 33 + 2 * 34) % 103 = 102, stop.
+  expect(widths.join('')).toBe(['211214', '111323', '131123', '411131', '2331112'].join(''));
+  expect(() => encodeCode128('ทดสอบ')).toThrow(RangeError);
+});
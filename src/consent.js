@@ -0,0 +1,120 @@
+import { createEventQueue, generateEventId } from './eventQueue';
+
+// PDPA consent: purposes, versioned consent texts and the audit records sent
+// to the consent endpoint. Every grant or withdrawal produces one record; the
+// latest decision per LINE user is also kept locally for the review screen.
+
+export const CONSENT_VERSION = '2025-07-01';
+
+export const CONSENT_PURPOSES = [
+  { id: 'service', required: true },
+  { id: 'marketing', required: false },
+  { id: 'data_sharing', required: false },
+];
+
+// Any change to this copy must come with a new CONSENT_VERSION.
+export const CONSENT_TEXTS = {
+  en: {
+    service: 'I consent to AIA collecting and using my name, phone number and National ID to register me, verify my identity and provide insurance services through LINE. (Required)',
+    marketing: 'I consent to AIA using my information and interests to send me offers, news and privileges about AIA products and services.',
+    data_sharing: 'I consent to AIA sharing my information with AIA group companies and business partners so they can offer me relevant products and privileges.',
+  },
+  th: {
+    service: 'ข้าพเจ้ายินยอมให้ เอไอเอ เก็บรวบรวมและใช้ชื่อ หมายเลขโทรศัพท์ และเลขประจำตัวประชาชนของข้าพเจ้า เพื่อการลงทะเบียน ยืนยันตัวตน และให้บริการด้านประกันภัยผ่าน LINE (จำเป็น)',
+    marketing: 'ข้าพเจ้ายินยอมให้ เอไอเอ ใช้ข้อมูลและความสนใจของข้าพเจ้า เพื่อส่งข้อเสนอ ข่าวสาร และสิทธิพิเศษเกี่ยวกับผลิตภัณฑ์และบริการของ เอไอเอ',
+    data_sharing: 'ข้าพเจ้ายินยอมให้ เอไอเอ เปิดเผยข้อมูลของข้าพเจ้าแก่บริษัทในกลุ่ม เอไอเอ และพันธมิตรทางธุรกิจ เพื่อนำเสนอผลิตภัณฑ์และสิทธิพิเศษที่เกี่ยวข้อง',
+  },
+};
+
+export const getConsentText = (purpose, language = 'en') => (CONSENT_TEXTS[language] || CONSENT_TEXTS.en)[purpose];
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+const sha256 = (text) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return Promise.reject(new Error('WebCrypto is not available.'));
+  }
+  return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(toHex);
+};
+
+// SHA-256 over the exact texts the user was shown, so the record proves which wording was accepted.
+export const hashConsentText = (language = 'en', { version = CONSENT_VERSION, digest = sha256 } = {}) => {
+  const texts = CONSENT_TEXTS[language] || CONSENT_TEXTS.en;
+  const payload = [version, language, ...CONSENT_PURPOSES.map(p => `${p.id}:${texts[p.id]}`)].join('\n');
+  return digest(payload);
+};
+
+export const createConsentRecord = ({ lineUserId, decisions, language = 'en', action = 'grant', digest }) => (
+  hashConsentText(language, { digest }).then(versionHash => ({
+    recordId: generateEventId(),
+    lineUserId,
+    action,
+    purposes: CONSENT_PURPOSES.map(({ id }) => ({ purpose: id, granted: Boolean(decisions[id]) })),
+    version: CONSENT_VERSION,
+    versionHash,
+    language,
+    recordedAt: new Date().toISOString(),
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : undefined,
+  }))
+);
+
+// --- Local consent state ---
+
+const storageKey = (lineUserId) => `icelbc_consent_${lineUserId}`;
+
+export const loadConsentState = (lineUserId) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(storageKey(lineUserId))) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const saveConsentState = (record) => {
+  const state = {
+    version: record.version,
+    versionHash: record.versionHash,
+    language: record.language,
+    recordedAt: record.recordedAt,
+    purposes: Object.fromEntries(record.purposes.map(p => [p.purpose, p.granted])),
+  };
+  try {
+    window.localStorage.setItem(storageKey(record.lineUserId), JSON.stringify(state));
+  } catch (e) {
+    console.error('Failed to store consent state:', e);
+  }
+  return state;
+};
+
+// --- Delivery ---
+
+// Consent records share the tracking queue's persistence and retry logic, with
+// their own endpoint and storage. Unlike analytics they are audit records: a
+// record stays queued, however long the queue grows, until the endpoint
+// answers 2xx. One it rejects with a client error is kept in the dead-letter
+// store for follow-up, and the records behind it are still sent. Beacons and
+// the service worker's outbox are not used, since neither says anything about
+// delivery.
+const consentQueue = createEventQueue({
+  endpoint: process.env.REACT_APP_CONSENT_API_URL || 'https://icecdp.onrender.com/consents',
+  storageKey: 'icelbc_consent_queue',
+  deadLetterKey: 'icelbc_consent_dead_letters',
+  idKey: 'recordId',
+  payloadKey: 'records',
+  batchSize: 10,
+  flushDelay: 0,
+  maxQueueSize: Infinity,
+  useBeacon: false,
+});
+
+export const startConsentDelivery = () => consentQueue.start();
+
+// Builds, queues and locally stores a consent decision; resolves with the new
+// local state. Rejects without a LINE user ID: a record must name its subject.
+export const recordConsent = ({ lineUserId, decisions, language, action }) => {
+  if (!lineUserId) return Promise.reject(new Error('Consent can only be recorded for a LINE user.'));
+  return createConsentRecord({ lineUserId, decisions, language, action }).then(record => {
+    consentQueue.enqueue(record);
+    return saveConsentState(record);
+  });
+};
@@ -0,0 +1,41 @@
+import { createConsentRecord, hashConsentText, loadConsentState, recordConsent } from './consent';
+
+beforeEach(() => window.localStorage.clear());
+
+test('hashes the consent texts per language and version', async () => {
+  const en = await hashConsentText('en');
+  expect(en).toMatch(/^[0-9a-f]{64}$/);
+  expect(await hashConsentText('en')).toBe(en);
+  expect(await hashConsentText('th')).not.toBe(en);
+  expect(await hashConsentText('en', { version: 'next' })).not.toBe(en);
+});
+
+test('records every purpose as granted or denied', async () => {
+  const record = await createConsentRecord({ lineUserId: 'U1', decisions: { service: true, marketing: false }, language: 'th' });
+
+  expect(record).toMatchObject({
+    lineUserId: 'U1',
+    action: 'grant',
+    language: 'th',
+    purposes: [
+      { purpose: 'service', granted: true },
+      { purpose: 'marketing', granted: false },
+      { purpose: 'data_sharing', granted: false },
+    ],
+  });
+  expect(record.recordId).toBeTruthy();
+  expect(new Date(record.recordedAt).toString()).not.toBe('Invalid Date');
+});
+
+test('keeps the latest decision per LINE user', async () => {
+  await recordConsent({ lineUserId: 'U1', decisions: { service: true, marketing: true } });
+  await recordConsent({ lineUserId: 'U1', decisions: { service: true, marketing: false }, action: 'withdraw' });
+
+  expect(loadConsentState('U1').purposes).toEqual({ service: true, marketing: false, data_sharing: false });
+  expect(loadConsentState('U2')).toBeNull();
+});
+
+test('refuses to record consent without a LINE user', async () => {
+  await expect(recordConsent({ lineUserId: undefined, decisions: { service: true } })).rejects.toThrow('LINE user');
+  expect(window.localStorage.getItem('icelbc_consent_undefined')).toBeNull();
+});
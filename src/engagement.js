@@ -0,0 +1,97 @@
+import { SCREENS } from './tracking';
+
+// Engagement measurement helpers used by the screen tracking hooks: scroll
+// milestones, active dwell time and list item impressions.
+
+/**
+ * @typedef {Object} EngagementConfig
+ * @property {number[]} scrollMilestones        Scroll depths (%) reported once each
+ * @property {number} idleTimeoutMs             Dwell time stops counting after this long without input
+ * @property {number} impressionThreshold       Share of an item (0-1) that must be visible
+ * @property {number} impressionMinVisibleMs    How long it must stay visible to count
+ */
+
+/** @type {EngagementConfig} */
+export const DEFAULT_ENGAGEMENT_CONFIG = Object.freeze({
+  scrollMilestones: [25, 50, 75, 100],
+  idleTimeoutMs: 30 * 1000,
+  impressionThreshold: 0.5,
+  impressionMinVisibleMs: 1000,
+});
+
+// Per-screen overrides of DEFAULT_ENGAGEMENT_CONFIG.
+export const SCREEN_ENGAGEMENT_CONFIG = {
+  // Privilege cards are image-led; count them only when mostly on screen.
+  [SCREENS.PRIVILEGES]: { impressionThreshold: 0.75 },
+  // Customers read policy and claim details slowly before acting.
+  [SCREENS.POLICY_DETAILS]: { idleTimeoutMs: 60 * 1000 },
+  [SCREENS.CLAIM_DETAILS]: { idleTimeoutMs: 60 * 1000 },
+  [SCREENS.CONSENT_SETTINGS]: { scrollMilestones: [50, 100] },
+};
+
+export const getEngagementConfig = (screen, overrides = {}) => ({
+  ...DEFAULT_ENGAGEMENT_CONFIG,
+  ...SCREEN_ENGAGEMENT_CONFIG[screen],
+  ...overrides,
+});
+
+// Scroll position of an element as 0-100, or null when its content fits
+// without scrolling. The last couple of pixels count as the bottom.
+export const getScrollPercent = ({ scrollTop, scrollHeight, clientHeight }) => {
+  const scrollable = scrollHeight - clientHeight;
+  if (scrollable <= 0) return null;
+  if (scrollable - scrollTop <= 2) return 100;
+  return Math.min(100, Math.max(0, (scrollTop / scrollable) * 100));
+};
+
+// Returns a function that, given the current scroll percent, yields the
+// milestones passed for the first time (in ascending order).
+export const createScrollMilestones = (milestones) => {
+  const pending = [...milestones].sort((a, b) => a - b);
+  return (percent) => {
+    const reached = [];
+    while (pending.length > 0 && percent >= pending[0]) reached.push(pending.shift());
+    return reached;
+  };
+};
+
+// Counts time only while the page is visible and the user has interacted
+// within `idleTimeoutMs`. Idle time is cut off retroactively: a segment ends
+// `idleTimeoutMs` after the last activity, not when the idleness is noticed.
+export const createActiveTimer = ({ idleTimeoutMs = DEFAULT_ENGAGEMENT_CONFIG.idleTimeoutMs, now = () => Date.now() } = {}) => {
+  let accumulated = 0;
+  let segmentStart = null;
+  let lastActivity = null;
+
+  const segmentLength = (time) => Math.max(0, Math.min(time, lastActivity + idleTimeoutMs) - segmentStart);
+
+  const pause = () => {
+    if (segmentStart === null) return;
+    accumulated += segmentLength(now());
+    segmentStart = null;
+  };
+
+  const resume = () => {
+    if (segmentStart !== null) return;
+    segmentStart = now();
+    lastActivity = segmentStart;
+  };
+
+  const recordActivity = () => {
+    if (segmentStart === null) return;
+    const time = now();
+    if (time - lastActivity > idleTimeoutMs) {
+      accumulated += segmentLength(time);
+      segmentStart = time;
+    }
+    lastActivity = time;
+  };
+
+  return {
+    start: resume,
+    pause,
+    resume,
+    recordActivity,
+    getActiveMs: () => accumulated + (segmentStart === null ? 0 : segmentLength(now())),
+  };
+};
@@ -0,0 +1,54 @@
+import { createActiveTimer, createScrollMilestones, getEngagementConfig, getScrollPercent } from './engagement';
+import { SCREENS } from './tracking';
+
+const createClock = () => {
+  let time = 0;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('reports each scroll milestone once, in order', () => {
+  const next = createScrollMilestones([50, 25, 100, 75]);
+  expect(next(10)).toEqual([]);
+  expect(next(60)).toEqual([25, 50]);
+  expect(next(55)).toEqual([]);
+  expect(next(100)).toEqual([75, 100]);
+  expect(next(100)).toEqual([]);
+});
+
+test('computes scroll percent and treats the last pixels as the bottom', () => {
+  expect(getScrollPercent({ scrollTop: 0, scrollHeight: 500, clientHeight: 500 })).toBeNull();
+  expect(getScrollPercent({ scrollTop: 250, scrollHeight: 1000, clientHeight: 500 })).toBe(50);
+  expect(getScrollPercent({ scrollTop: 499, scrollHeight: 1000, clientHeight: 500 })).toBe(100);
+});
+
+test('pauses active time while the page is hidden', () => {
+  const clock = createClock();
+  const timer = createActiveTimer({ idleTimeoutMs: 60000, now: clock.now });
+  timer.start();
+  clock.advance(5000);
+  timer.pause();
+  clock.advance(20000);
+  timer.resume();
+  clock.advance(3000);
+  expect(timer.getActiveMs()).toBe(8000);
+});
+
+test('stops counting idle time after the timeout and resumes on activity', () => {
+  const clock = createClock();
+  const timer = createActiveTimer({ idleTimeoutMs: 10000, now: clock.now });
+  timer.start();
+  clock.advance(4000);
+  timer.recordActivity();
+  clock.advance(60000);
+  expect(timer.getActiveMs()).toBe(14000);
+
+  timer.recordActivity();
+  clock.advance(2000);
+  expect(timer.getActiveMs()).toBe(16000);
+});
+
+test('merges per-screen overrides into the defaults', () => {
+  expect(getEngagementConfig(SCREENS.WELCOME).scrollMilestones).toEqual([25, 50, 75, 100]);
+  expect(getEngagementConfig(SCREENS.PRIVILEGES).impressionThreshold).toBe(0.75);
+  expect(getEngagementConfig(SCREENS.PRIVILEGES, { impressionMinVisibleMs: 0 }).impressionMinVisibleMs).toBe(0);
+});
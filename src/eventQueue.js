@@ -0,0 +1,245 @@
+// Persistent, batched delivery queue for tracking events.
+//
+// Events are written to localStorage before any network attempt so they
+// survive flaky LINE in-app browser connections and page reloads. Batches are
+// POSTed to the CDP with exponential backoff, and whatever is still pending
+// when the page is hidden is handed to navigator.sendBeacon. Without a
+// `payloadKey`, each event is POSTed on its own as the request body.
+
+const DEFAULT_STORAGE_KEY = 'icelbc_event_queue';
+const SENT_IDS_LIMIT = 500;
+
+export const generateEventId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws in some sandboxed webviews.
+    return null;
+  }
+};
+
+export const createEventQueue = ({
+  endpoint,
+  storage = getDefaultStorage(),
+  storageKey = DEFAULT_STORAGE_KEY,
+  batchSize = 20,
+  flushDelay = 2000,
+  baseRetryDelay = 1000,
+  maxRetryDelay = 60000,
+  maxQueueSize = 1000,
+  // Analytics drops a batch the collector rejects with a client error, since a
+  // retry won't succeed, and hands what's left to sendBeacon when the page is
+  // hidden. Records that must arrive turn beacons off and name a dead-letter
+  // store: they stay queued until the server acknowledges them, and one the
+  // server rejects moves to the store under `deadLetterKey` while the rest of
+  // the queue goes on.
+  deadLetterKey = null,
+  useBeacon = true,
+  // Field holding each item's dedup ID, and the key the batch is sent under
+  // (null to send one bare item per request).
+  idKey = 'eventId',
+  payloadKey = 'events',
+  fetchImpl = (...args) => fetch(...args),
+  sendBeacon = (url, data) => (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function' ? navigator.sendBeacon(url, data) : false),
+} = {}) => {
+  let pending = [];
+  let sentIds = [];
+  let deadLetters = [];
+  // Items left to send one per request, to find the rejected ones in a batch.
+  let singles = 0;
+  let attempt = 0;
+  let timer = null;
+  let inFlight = null;
+  let started = false;
+
+  const itemsPerRequest = payloadKey ? batchSize : 1;
+  const toBody = (batch) => JSON.stringify(payloadKey ? { [payloadKey]: batch } : batch[0]);
+
+  const load = () => {
+    if (!storage) return;
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey) || '{}');
+      pending = Array.isArray(saved.pending) ? saved.pending : [];
+      sentIds = Array.isArray(saved.sentIds) ? saved.sentIds : [];
+    } catch (e) {
+      pending = [];
+      sentIds = [];
+    }
+    if (!deadLetterKey) return;
+    try {
+      const saved = JSON.parse(storage.getItem(deadLetterKey) || '[]');
+      deadLetters = Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      deadLetters = [];
+    }
+  };
+
+  const persist = () => {
+    if (!storage) return;
+    try {
+      storage.setItem(storageKey, JSON.stringify({ pending, sentIds }));
+      if (deadLetterKey) storage.setItem(deadLetterKey, JSON.stringify(deadLetters));
+    } catch (e) {
+      console.error('Failed to persist tracking queue:', e);
+    }
+  };
+
+  const markSent = (events) => {
+    const ids = new Set(events.map(e => e[idKey]));
+    pending = pending.filter(e => !ids.has(e[idKey]));
+    sentIds = [...sentIds, ...ids].slice(-SENT_IDS_LIMIT);
+    persist();
+  };
+
+  // Client errors other than 408 and 429 will not succeed on retry.
+  const isRejection = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+  const reject = (batch, status) => {
+    if (!deadLetterKey) {
+      // Drop the batch instead of blocking the queue.
+      console.error(`Tracking batch rejected. Status: ${status}`);
+      markSent(batch);
+      return;
+    }
+    if (batch.length > 1) {
+      singles = batch.length;
+      return;
+    }
+    console.error(`Record ${batch[0][idKey]} rejected and kept as a dead letter. Status: ${status}`);
+    deadLetters = [...deadLetters, { item: batch[0], status, rejectedAt: new Date().toISOString() }];
+    markSent(batch);
+  };
+
+  const schedule = (delay) => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  };
+
+  const retryDelay = () => {
+    const delay = Math.min(baseRetryDelay * 2 ** (attempt - 1), maxRetryDelay);
+    // Full jitter keeps many clients from retrying in lockstep after an outage.
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  };
+
+  const flush = () => {
+    if (inFlight) return inFlight;
+    if (pending.length === 0) return Promise.resolve();
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      attempt += 1;
+      schedule(retryDelay());
+      return Promise.resolve();
+    }
+
+    const isolating = singles > 0;
+    const batch = pending.slice(0, isolating ? 1 : itemsPerRequest);
+    inFlight = Promise.resolve()
+      .then(() => fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: toBody(batch),
+        keepalive: true,
+      }))
+      .then(response => {
+        if (!response.ok && !isRejection(response.status)) {
+          throw new Error(`Failed to send tracking batch. Status: ${response.status}`);
+        }
+        if (response.ok) markSent(batch);
+        else reject(batch, response.status);
+        if (isolating) singles -= 1;
+        attempt = 0;
+      })
+      .catch(error => {
+        console.error('Error sending tracking batch:', error);
+        attempt += 1;
+      })
+      .finally(() => {
+        inFlight = null;
+        if (pending.length > 0) {
+          schedule(attempt > 0 ? retryDelay() : 0);
+        }
+      });
+    return inFlight;
+  };
+
+  const enqueue = (event) => {
+    const eventWithId = event[idKey] ? event : { ...event, [idKey]: generateEventId() };
+    const eventId = eventWithId[idKey];
+    if (sentIds.includes(eventId) || pending.some(e => e[idKey] === eventId)) {
+      return eventId;
+    }
+    pending = [...pending, eventWithId].slice(-maxQueueSize);
+    persist();
+    if (!timer && !inFlight) {
+      schedule(pending.length >= itemsPerRequest ? 0 : flushDelay);
+    }
+    return eventId;
+  };
+
+  // Beacons are fire-and-forget; a queued beacon counts as delivered. Without
+  // `useBeacon`, a keepalive fetch is sent instead and only a response counts.
+  const flushWithBeacon = () => {
+    if (!useBeacon) {
+      flush();
+      return;
+    }
+    if (inFlight) return;
+    while (pending.length > 0) {
+      const batch = pending.slice(0, itemsPerRequest);
+      const blob = new Blob([toBody(batch)], { type: 'application/json' });
+      if (!sendBeacon(endpoint, blob)) break;
+      markSent(batch);
+    }
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flushWithBeacon();
+  };
+
+  const handleOnline = () => {
+    attempt = 0;
+    flush();
+  };
+
+  const start = () => {
+    if (started) return stop;
+    started = true;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flushWithBeacon);
+    window.addEventListener('online', handleOnline);
+    if (pending.length > 0) schedule(0);
+    return stop;
+  };
+
+  const stop = () => {
+    if (!started) return;
+    started = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', flushWithBeacon);
+    window.removeEventListener('online', handleOnline);
+  };
+
+  load();
+
+  return {
+    enqueue,
+    flush,
+    flushWithBeacon,
+    start,
+    stop,
+    getPending: () => [...pending],
+    // Items the server rejected, as { item, status, rejectedAt }.
+    getDeadLetters: () => [...deadLetters],
+  };
+};
@@ -0,0 +1,146 @@
+import { createEventQueue } from './eventQueue';
+
+const memoryStorage = () => {
+  const data = {};
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+  };
+};
+
+const okResponse = { ok: true, status: 200 };
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.error.mockRestore();
+});
+
+test('sends queued events as one batch', async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve(okResponse));
+  const queue = createEventQueue({ endpoint: '/events', storage: memoryStorage(), fetchImpl });
+
+  queue.enqueue({ eventName: 'a' });
+  queue.enqueue({ eventName: 'b' });
+  await queue.flush();
+
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  const { events } = JSON.parse(fetchImpl.mock.calls[0][1].body);
+  expect(events.map(e => e.eventName)).toEqual(['a', 'b']);
+  expect(queue.getPending()).toHaveLength(0);
+});
+
+test('sends each event on its own without a payload key', async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve(okResponse));
+  const queue = createEventQueue({ endpoint: '/events', storage: memoryStorage(), fetchImpl, payloadKey: null });
+
+  queue.enqueue({ eventName: 'a' });
+  queue.enqueue({ eventName: 'b' });
+  await queue.flush();
+  await queue.flush();
+
+  expect(fetchImpl.mock.calls.map(([, init]) => JSON.parse(init.body).eventName)).toEqual(['a', 'b']);
+  expect(queue.getPending()).toHaveLength(0);
+});
+
+test('drops events whose id was already queued or sent', async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve(okResponse));
+  const queue = createEventQueue({ endpoint: '/events', storage: memoryStorage(), fetchImpl });
+
+  queue.enqueue({ eventId: 'x', eventName: 'a' });
+  queue.enqueue({ eventId: 'x', eventName: 'a' });
+  expect(queue.getPending()).toHaveLength(1);
+
+  await queue.flush();
+  queue.enqueue({ eventId: 'x', eventName: 'a' });
+  expect(queue.getPending()).toHaveLength(0);
+});
+
+test('keeps events and backs off when delivery fails', async () => {
+  const fetchImpl = jest.fn()
+    .mockReturnValueOnce(Promise.reject(new Error('offline')))
+    .mockReturnValue(Promise.resolve(okResponse));
+  const queue = createEventQueue({ endpoint: '/events', storage: memoryStorage(), fetchImpl, baseRetryDelay: 1000 });
+
+  queue.enqueue({ eventName: 'a' });
+  await queue.flush();
+  expect(queue.getPending()).toHaveLength(1);
+
+  jest.advanceTimersByTime(1000);
+  await Promise.resolve();
+  await queue.flush();
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+  expect(queue.getPending()).toHaveLength(0);
+});
+
+test('restores pending events from storage', () => {
+  const storage = memoryStorage();
+  createEventQueue({ endpoint: '/events', storage, fetchImpl: jest.fn() }).enqueue({ eventName: 'a' });
+
+  const restored = createEventQueue({ endpoint: '/events', storage, fetchImpl: jest.fn() });
+  expect(restored.getPending().map(e => e.eventName)).toEqual(['a']);
+});
+
+test('hands pending events to sendBeacon', () => {
+  const sendBeacon = jest.fn(() => true);
+  const queue = createEventQueue({ endpoint: '/events', storage: memoryStorage(), fetchImpl: jest.fn(), sendBeacon });
+
+  queue.enqueue({ eventName: 'a' });
+  queue.flushWithBeacon();
+
+  expect(sendBeacon).toHaveBeenCalledWith('/events', expect.any(Blob));
+  expect(queue.getPending()).toHaveLength(0);
+});
+
+test('keeps every queued record when a dead-letter store is set', () => {
+  const queue = createEventQueue({
+    endpoint: '/consents', storage: memoryStorage(), fetchImpl: jest.fn(), deadLetterKey: 'dead', maxQueueSize: Infinity,
+  });
+
+  for (let i = 0; i < 1500; i += 1) queue.enqueue({ eventName: `e${i}` });
+  expect(queue.getPending()).toHaveLength(1500);
+});
+
+test('moves only the rejected record to the dead-letter store and sends the rest', async () => {
+  const storage = memoryStorage();
+  const fetchImpl = jest.fn((url, { body }) => {
+    const { records } = JSON.parse(body);
+    return Promise.resolve(records.some(r => r.recordId === 'bad') ? { ok: false, status: 400 } : okResponse);
+  });
+  const queue = createEventQueue({
+    endpoint: '/consents', storage, fetchImpl, batchSize: 10, idKey: 'recordId', payloadKey: 'records', deadLetterKey: 'dead',
+  });
+
+  ['a', 'bad', 'c'].forEach(recordId => queue.enqueue({ recordId }));
+  for (let i = 0; i < 4; i += 1) await queue.flush();
+
+  expect(fetchImpl.mock.calls.map(([, init]) => JSON.parse(init.body).records.map(r => r.recordId)))
+    .toEqual([['a', 'bad', 'c'], ['a'], ['bad'], ['c']]);
+  expect(queue.getPending()).toHaveLength(0);
+  expect(queue.getDeadLetters()).toEqual([{ item: { recordId: 'bad' }, status: 400, rejectedAt: expect.any(String) }]);
+
+  queue.enqueue({ recordId: 'd' });
+  await queue.flush();
+  expect(queue.getPending()).toHaveLength(0);
+
+  const restored = createEventQueue({ endpoint: '/consents', storage, fetchImpl, idKey: 'recordId', deadLetterKey: 'dead' });
+  expect(restored.getDeadLetters().map(entry => entry.item.recordId)).toEqual(['bad']);
+});
+
+test('flushes with fetch instead of sendBeacon when beacons are off', async () => {
+  const sendBeacon = jest.fn(() => true);
+  const fetchImpl = jest.fn(() => Promise.resolve({ ok: false, status: 503 }));
+  const queue = createEventQueue({ endpoint: '/consents', storage: memoryStorage(), fetchImpl, sendBeacon, useBeacon: false });
+
+  queue.enqueue({ eventName: 'a' });
+  queue.flushWithBeacon();
+  await Promise.resolve();
+
+  expect(sendBeacon).not.toHaveBeenCalled();
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(queue.getPending()).toHaveLength(1);
+});
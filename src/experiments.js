@@ -0,0 +1,160 @@
+import bundledConfig from './experiments.json';
+
+// A/B experiments on copy and layout. Definitions come from a remote JSON
+// config (REACT_APP_EXPERIMENTS_URL), so experiments can be started, changed
+// or stopped without a release; src/experiments.json is used until the remote
+// config has loaded and whenever it can't be fetched.
+//
+// Variants are assigned by hashing the experiment ID with the LINE user ID: a
+// customer gets the same variant on every visit and device, and nothing needs
+// storing. The variants a customer has actually seen (exposures) are kept per
+// LINE user and added to the tracking context, so every event can be
+// attributed to them.
+
+/**
+ * @typedef {Object} ExperimentVariant
+ * @property {string} id
+ * @property {number} weight           Relative share of the experiment's users
+ * @property {Object} [params]         Read by the screen; text can be given per language, e.g. { en, th }
+ */
+
+/**
+ * @typedef {Object} Experiment
+ * @property {string} id
+ * @property {'running'|'paused'} status  Only running experiments assign variants
+ * @property {number} [traffic]        Share of users (0-1) in the experiment; the rest see the control. Defaults to 1
+ * @property {ExperimentVariant[]} variants  The first one is the control
+ */
+
+/**
+ * @typedef {Object} Assignment
+ * @property {string|null} variant     null when the user is not in the experiment
+ * @property {Object} params           The variant's params, or the control's when not in the experiment
+ */
+
+const EXPOSURES_PREFIX = 'icelbc_experiment_exposures_';
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// FNV-1a over the UTF-8 bytes, scaled to [0, 1).
+export const hashToUnit = (text) => {
+  let hash = 0x811c9dc5;
+  for (const byte of new TextEncoder().encode(text)) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 2 ** 32;
+};
+
+const isValidExperiment = (experiment) => ID_PATTERN.test(experiment?.id)
+  && Array.isArray(experiment.variants)
+  && experiment.variants.length > 0
+  && experiment.variants.every(variant => ID_PATTERN.test(variant?.id) && Number.isFinite(variant.weight) && variant.weight >= 0)
+  && experiment.variants.some(variant => variant.weight > 0);
+
+// Drops malformed experiments, so one bad entry doesn't disable the others.
+export const parseExperimentConfig = (json) => {
+  const experiments = Array.isArray(json?.experiments) ? json.experiments : [];
+  const valid = experiments.filter(isValidExperiment);
+  if (valid.length < experiments.length) console.warn(`Ignoring ${experiments.length - valid.length} invalid experiment(s).`);
+  return { experiments: valid };
+};
+
+/** @returns {Assignment} */
+export const assignExperiment = (config, experimentId, userId) => {
+  const experiment = config.experiments.find(candidate => candidate.id === experimentId);
+  if (!experiment) return { variant: null, params: {} };
+  const control = { variant: null, params: experiment.variants[0].params || {} };
+  if (!userId || experiment.status !== 'running') return control;
+  if (hashToUnit(`${experimentId}:traffic:${userId}`) >= (experiment.traffic ?? 1)) return control;
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = hashToUnit(`${experimentId}:${userId}`) * totalWeight;
+  const variant = experiment.variants.find(candidate => {
+    point -= candidate.weight;
+    return candidate.weight > 0 && point < 0;
+  }) || experiment.variants.filter(candidate => candidate.weight > 0).pop();
+  return { variant: variant.id, params: variant.params || {} };
+};
+
+// Picks the text for `language` from a { en, th } param; plain strings are used as they are.
+export const localizeParam = (value, language) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value[language] ?? value.en ?? null;
+  return value ?? null;
+};
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws in some sandboxed webviews.
+    return null;
+  }
+};
+
+export const createExperiments = ({
+  url,
+  fetchImpl = (...args) => fetch(...args),
+  fallback = bundledConfig,
+  storage = getDefaultStorage(),
+} = {}) => {
+  let config = parseExperimentConfig(fallback);
+  const listeners = new Set();
+
+  // Resolves once the remote config is in use, or the bundled one is kept.
+  const load = () => {
+    if (!url) return Promise.resolve(config);
+    return fetchImpl(url, { cache: 'no-cache' })
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load experiments. Status: ${response.status}`);
+        return response.json();
+      })
+      .then(json => {
+        config = parseExperimentConfig(json);
+        listeners.forEach(listener => listener());
+        return config;
+      })
+      .catch(error => {
+        console.warn('Using the bundled experiment config:', error);
+        return config;
+      });
+  };
+
+  const storageKey = (userId) => `${EXPOSURES_PREFIX}${userId}`;
+
+  // Variant seen per experiment; experiments no longer in the config are left out.
+  /** @returns {Object<string, string>} */
+  const getExposures = (userId) => {
+    if (!storage || !userId) return {};
+    let stored;
+    try {
+      stored = JSON.parse(storage.getItem(storageKey(userId))) || {};
+    } catch (e) {
+      stored = {};
+    }
+    return Object.fromEntries(Object.entries(stored).filter(([id]) => config.experiments.some(experiment => experiment.id === id)));
+  };
+
+  const recordExposure = (userId, experimentId, variant) => {
+    if (!storage || !userId || !variant) return;
+    try {
+      storage.setItem(storageKey(userId), JSON.stringify({ ...getExposures(userId), [experimentId]: variant }));
+    } catch (e) {
+      console.error('Failed to save experiment exposure:', e);
+    }
+  };
+
+  return {
+    load,
+    getConfig: () => config,
+    // For useSyncExternalStore: `listener` is called when the remote config replaces the current one.
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    assign: (experimentId, userId) => assignExperiment(config, experimentId, userId),
+    getExposures,
+    recordExposure,
+  };
+};
+
+export const experiments = createExperiments({ url: process.env.REACT_APP_EXPERIMENTS_URL });
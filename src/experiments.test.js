@@ -0,0 +1,72 @@
+import { assignExperiment, createExperiments, localizeParam, parseExperimentConfig } from './experiments';
+
+const config = parseExperimentConfig({
+  experiments: [
+    { id: 'cta_copy', status: 'running', variants: [{ id: 'control', weight: 50 }, { id: 'short', weight: 50, params: { label: { en: 'Go', th: 'ไป' } } }] },
+    { id: 'half_traffic', status: 'running', traffic: 0.5, variants: [{ id: 'control', weight: 1, params: { order: 'default' } }, { id: 'b', weight: 1 }] },
+    { id: 'paused_test', status: 'paused', variants: [{ id: 'control', weight: 1 }, { id: 'b', weight: 1 }] },
+  ],
+});
+
+const users = Array.from({ length: 2000 }, (_, i) => `U${i}`);
+const share = (experimentId, variant) => users.filter(userId => assignExperiment(config, experimentId, userId).variant === variant).length / users.length;
+
+test('assigns the same variant to a user every time, split by weight', () => {
+  expect(assignExperiment(config, 'cta_copy', 'U42')).toEqual(assignExperiment(config, 'cta_copy', 'U42'));
+  expect(share('cta_copy', 'short')).toBeGreaterThan(0.45);
+  expect(share('cta_copy', 'short')).toBeLessThan(0.55);
+});
+
+test('leaves users out of paused experiments and outside the traffic share', () => {
+  expect(share('half_traffic', null)).toBeGreaterThan(0.45);
+  expect(share('half_traffic', null)).toBeLessThan(0.55);
+  expect(share('paused_test', null)).toBe(1);
+  expect(assignExperiment(config, 'cta_copy', null)).toEqual({ variant: null, params: {} });
+  expect(assignExperiment(config, 'unknown', 'U1')).toEqual({ variant: null, params: {} });
+  // Users outside an experiment see the control.
+  const outside = users.find(userId => assignExperiment(config, 'half_traffic', userId).variant === null);
+  expect(assignExperiment(config, 'half_traffic', outside).params).toEqual({ order: 'default' });
+});
+
+test('drops malformed experiments from a config', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const parsed = parseExperimentConfig({ experiments: [{ id: 'Bad Id', variants: [{ id: 'a', weight: 1 }] }, { id: 'no_variants', variants: [] }, config.experiments[0]] });
+  expect(parsed.experiments.map(e => e.id)).toEqual(['cta_copy']);
+  expect(parseExperimentConfig(null)).toEqual({ experiments: [] });
+  console.warn.mockRestore();
+});
+
+test('uses the remote config once loaded and the bundled one when it fails', async () => {
+  const remote = { experiments: [{ id: 'remote_only', status: 'running', variants: [{ id: 'b', weight: 1 }] }] };
+  const loaded = createExperiments({ url: 'https://config.example/experiments.json', fetchImpl: () => Promise.resolve({ ok: true, json: () => Promise.resolve(remote) }), fallback: config });
+  const listener = jest.fn();
+  loaded.subscribe(listener);
+  expect(loaded.assign('remote_only', 'U1').variant).toBeNull();
+  await loaded.load();
+  expect(loaded.assign('remote_only', 'U1').variant).toBe('b');
+  expect(listener).toHaveBeenCalled();
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const failing = createExperiments({ url: 'https://config.example/experiments.json', fetchImpl: () => Promise.reject(new TypeError('Failed to fetch')), fallback: config });
+  await failing.load();
+  expect(failing.getConfig()).toEqual(config);
+  console.warn.mockRestore();
+});
+
+test('keeps exposures per user for experiments still in the config', () => {
+  window.localStorage.clear();
+  window.localStorage.setItem('icelbc_experiment_exposures_U1', JSON.stringify({ ended_test: 'b' }));
+  const client = createExperiments({ fallback: config });
+  client.recordExposure('U1', 'cta_copy', 'short');
+  client.recordExposure('U1', 'half_traffic', null);
+
+  expect(client.getExposures('U1')).toEqual({ cta_copy: 'short' });
+  expect(client.getExposures('U2')).toEqual({});
+});
+
+test('localizes text params', () => {
+  expect(localizeParam({ en: 'Go', th: 'ไป' }, 'th')).toBe('ไป');
+  expect(localizeParam({ en: 'Go' }, 'th')).toBe('Go');
+  expect(localizeParam('Go', 'th')).toBe('Go');
+  expect(localizeParam(undefined, 'th')).toBeNull();
+});
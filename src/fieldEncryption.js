@@ -0,0 +1,94 @@
+import { base64UrlToBytes, bytesToBase64Url } from './pkce';
+
+// AES-GCM encryption for sensitive values kept on the device, such as the NID
+// in a registration draft. The key is generated on the device, can't be
+// exported and is kept in IndexedDB, so a copy of localStorage alone can't be
+// read. Each value is bound to a context (e.g. the LINE user ID) as
+// additional data, so it only decrypts for the same context.
+
+const DB_NAME = 'icelbc_keys';
+const STORE_NAME = 'keys';
+const KEY_ID = 'field_encryption';
+const IV_BYTES = 12;
+
+// Keeps the key for the current page only (tests, browsers without IndexedDB).
+export const createMemoryKeyStore = () => {
+  let key = null;
+  return {
+    get: () => Promise.resolve(key),
+    set: (value) => {
+      key = value;
+      return Promise.resolve();
+    },
+  };
+};
+
+export const createIndexedDbKeyStore = () => {
+  const open = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  }));
+  return {
+    get: () => run('readonly', store => store.get(KEY_ID)).then(key => key || null),
+    set: (key) => run('readwrite', store => store.put(key, KEY_ID)).then(() => undefined),
+  };
+};
+
+const getDefaultKeyStore = () => (typeof indexedDB !== 'undefined' ? createIndexedDbKeyStore() : createMemoryKeyStore());
+
+const getDefaultSubtle = () => (typeof crypto !== 'undefined' ? crypto.subtle : undefined);
+
+/**
+ * @typedef {Object} EncryptedValue
+ * @property {string} iv    base64url
+ * @property {string} data  base64url ciphertext and tag
+ */
+
+export const createFieldEncryption = ({ subtle = getDefaultSubtle(), keyStore = getDefaultKeyStore() } = {}) => {
+  const encoder = new TextEncoder();
+  let keyPromise = null;
+
+  const getKey = () => {
+    if (!subtle) return Promise.reject(new Error('WebCrypto is not available.'));
+    if (!keyPromise) {
+      keyPromise = keyStore.get()
+        .then(existing => existing || subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+          .then(key => keyStore.set(key).then(() => key)))
+        .catch(error => {
+          keyPromise = null;
+          throw error;
+        });
+    }
+    return keyPromise;
+  };
+
+  /** @returns {Promise<EncryptedValue>} */
+  const encrypt = (text, context = '') => getKey().then(key => {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    return subtle.encrypt({ name: 'AES-GCM', iv, additionalData: encoder.encode(context) }, key, encoder.encode(text))
+      .then(data => ({ iv: bytesToBase64Url(iv), data: bytesToBase64Url(new Uint8Array(data)) }));
+  });
+
+  // Rejects when the value was encrypted with another key (e.g. site data was
+  // partly cleared) or for another context.
+  /** @returns {Promise<string>} */
+  const decrypt = (value, context = '') => getKey()
+    .then(key => subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(value.iv), additionalData: encoder.encode(context) }, key, base64UrlToBytes(value.data)))
+    .then(data => new TextDecoder().decode(data));
+
+  return { encrypt, decrypt };
+};
@@ -0,0 +1,33 @@
+import { createFieldEncryption, createMemoryKeyStore } from './fieldEncryption';
+
+test('encrypts values that only decrypt for the same context', () => {
+  const encryption = createFieldEncryption({ keyStore: createMemoryKeyStore() });
+  return encryption.encrypt('1234567890121', 'U1').then(value => {
+    expect(value.data).not.toContain('1234567890121');
+    return Promise.all([
+      encryption.decrypt(value, 'U1'),
+      encryption.decrypt(value, 'U2').then(() => 'decrypted', () => 'rejected'),
+    ]);
+  }).then(([plain, otherContext]) => {
+    expect(plain).toBe('1234567890121');
+    expect(otherContext).toBe('rejected');
+  });
+});
+
+test('reuses the stored key and cannot read values from another key', () => {
+  const keyStore = createMemoryKeyStore();
+  return createFieldEncryption({ keyStore }).encrypt('secret', 'U1')
+    .then(value => Promise.all([
+      createFieldEncryption({ keyStore }).decrypt(value, 'U1'),
+      createFieldEncryption({ keyStore: createMemoryKeyStore() }).decrypt(value, 'U1').then(() => 'decrypted', () => 'rejected'),
+    ]))
+    .then(([plain, otherKey]) => {
+      expect(plain).toBe('secret');
+      expect(otherKey).toBe('rejected');
+    });
+});
+
+test('rejects when WebCrypto is not available', () => {
+  const encryption = createFieldEncryption({ subtle: null, keyStore: createMemoryKeyStore() });
+  return expect(encryption.encrypt('secret', 'U1')).rejects.toThrow('WebCrypto is not available.');
+});
@@ -0,0 +1,46 @@
+// Locale-aware display formatting for amounts and dates.
+// Thai uses the Buddhist-era calendar (2025 CE -> 2568 BE) as customers expect.
+
+const LOCALES = {
+  en: { number: 'en-US', date: 'en-GB' },
+  th: { number: 'th-TH', date: 'th-TH-u-ca-buddhist' },
+};
+
+const localesFor = (language) => LOCALES[language] || LOCALES.en;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// en: THB 5,000,000  th: ฿5,000,000
+export const formatTHB = (amount, language = 'en') => new Intl.NumberFormat(localesFor(language).number, {
+  style: 'currency',
+  currency: 'THB',
+  currencyDisplay: language === 'th' ? 'symbol' : 'code',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 2,
+}).format(Number(amount));
+
+// en: 15/06/2025  th: 15 มิ.ย. 2568
+export const formatDate = (value, language = 'en') => {
+  const date = toDate(value);
+  if (!date) return '-';
+  const options = language === 'th'
+    ? { day: 'numeric', month: 'short', year: 'numeric' }
+    : { day: '2-digit', month: '2-digit', year: 'numeric' };
+  return date.toLocaleDateString(localesFor(language).date, { ...options, timeZone: 'Asia/Bangkok' });
+};
+
+// 350 KB, 1.2 MB
+export const formatFileSize = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+export const formatDateTime = (value, language = 'en') => {
+  const date = toDate(value);
+  if (!date) return '-';
+  const time = date.toLocaleTimeString(localesFor(language).date, { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Bangkok' });
+  return `${formatDate(date, language)} ${time}`;
+};
@@ -0,0 +1,79 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import en from './locales/en.json';
+import th from './locales/th.json';
+import { formatDate, formatDateTime, formatTHB } from './format';
+
+// Thai/English message catalogs and the React context that exposes them.
+// Language preference order: the user's explicit choice (persisted), the LINE
+// app language from LIFF, the browser language, then Thai.
+
+export const SUPPORTED_LANGUAGES = ['th', 'en'];
+const DEFAULT_LANGUAGE = 'th';
+const STORAGE_KEY = 'icelbc_language';
+
+const catalogs = { en, th };
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+// Missing keys fall back to English, then to the key itself so gaps are visible.
+export const translate = (language, key, params = {}) => {
+  const message = lookup(catalogs[language], key) ?? lookup(catalogs.en, key) ?? key;
+  return typeof message === 'string'
+    ? message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match))
+    : key;
+};
+
+// First supported language among candidates such as 'th', 'en-US' or 'th_TH'.
+export const resolveLanguage = (...candidates) => {
+  for (const candidate of candidates) {
+    const base = String(candidate || '').toLowerCase().split(/[-_]/)[0];
+    if (SUPPORTED_LANGUAGES.includes(base)) return base;
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+const loadPreferredLanguage = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return SUPPORTED_LANGUAGES.includes(stored) ? stored : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ detectedLanguage, children }) => {
+  const [preferredLanguage, setPreferredLanguage] = useState(loadPreferredLanguage);
+  const language = preferredLanguage || resolveLanguage(detectedLanguage, typeof navigator !== 'undefined' ? navigator.language : null);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((next) => {
+    setPreferredLanguage(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch (e) {
+      // Preference just won't survive a reload.
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    t: (key, params) => translate(language, key, params),
+    formatTHB: (amount) => formatTHB(amount, language),
+    formatDate: (date) => formatDate(date, language),
+    formatDateTime: (date) => formatDateTime(date, language),
+  }), [language, setLanguage]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useI18n must be used inside an I18nProvider.');
+  return context;
+};
@@ -0,0 +1,31 @@
+import en from './locales/en.json';
+import th from './locales/th.json';
+import { resolveLanguage, translate } from './i18n';
+import { formatDate, formatTHB } from './format';
+
+const keysOf = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+  typeof value === 'string' ? [`${prefix}${key}`] : keysOf(value, `${prefix}${key}.`)
+));
+
+test('Thai and English catalogs define the same keys', () => {
+  expect(keysOf(th).sort()).toEqual(keysOf(en).sort());
+});
+
+test('interpolates parameters and falls back to English, then the key', () => {
+  expect(translate('en', 'completed.thankYou', { name: 'Somchai' })).toContain('Somchai');
+  expect(translate('fr', 'welcome.title')).toBe(en.welcome.title);
+  expect(translate('th', 'no.such.key')).toBe('no.such.key');
+});
+
+test('resolves the first supported language', () => {
+  expect(resolveLanguage('th-TH')).toBe('th');
+  expect(resolveLanguage(null, 'fr-FR', 'en_US')).toBe('en');
+  expect(resolveLanguage('ja')).toBe('th');
+});
+
+test('formats dates in the Buddhist era for Thai', () => {
+  expect(formatDate('2025-06-15', 'en')).toBe('15/06/2025');
+  expect(formatDate('2025-06-15', 'th')).toContain('2568');
+  expect(formatDate(null, 'th')).toBe('-');
+  expect(formatTHB(5000000, 'en')).toMatch(/THB\s?5,000,000/);
+});
@@ -0,0 +1,147 @@
+// LIFF adapter: wraps the LINE Front-end Framework SDK behind a small,
+// promise-based interface so screens never talk to `window.liff` directly.
+//
+// The real SDK is used when REACT_APP_LIFF_ID is configured. Without it (local
+// development) and under Jest, `mockLiff` is used instead so the whole flow
+// runs offline.
+
+const MOCK_USER_ID = 'U1234567890abcdef1234567890abcdef';
+
+// Mock LINE LIFF object to simulate user data
+export const createMockLiff = ({
+  profile = {
+    displayName: 'LINE User',
+    userId: MOCK_USER_ID, // Mock LINE MID
+    pictureUrl: 'https://placehold.co/100x100/28a745/FFFFFF?text=L',
+  },
+  loggedIn = true,
+  inClient = true,
+  contextType = 'utou',
+  friend = true,
+  language = typeof navigator !== 'undefined' ? navigator.language : 'th',
+} = {}) => {
+  let isLoggedIn = loggedIn;
+  const decodedIdToken = {
+    iss: 'https://access.line.me',
+    sub: profile.userId,
+    aud: 'mock-channel-id',
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    iat: Math.floor(Date.now() / 1000),
+    name: profile.displayName,
+    picture: profile.pictureUrl,
+  };
+
+  return {
+    id: null,
+    init: ({ liffId }) => {
+      decodedIdToken.aud = liffId || decodedIdToken.aud;
+      return Promise.resolve();
+    },
+    isInClient: () => inClient,
+    isLoggedIn: () => isLoggedIn,
+    login: () => { isLoggedIn = true; },
+    logout: () => { isLoggedIn = false; },
+    getProfile: () => Promise.resolve({ ...profile }),
+    getIDToken: () => (isLoggedIn ? 'mock.id.token' : null),
+    getDecodedIDToken: () => (isLoggedIn ? { ...decodedIdToken } : null),
+    getContext: () => ({
+      type: inClient ? contextType : 'external',
+      userId: profile.userId,
+      viewType: 'full',
+    }),
+    getLanguage: () => language,
+    getFriendship: () => Promise.resolve({ friendFlag: friend }),
+    openWindow: ({ url }) => { window.open(url, '_blank', 'noopener'); },
+    getOS: () => 'web',
+    closeWindow: () => {},
+  };
+};
+
+export const mockLiff = createMockLiff();
+
+const CONTEXT_TYPES = ['utou', 'group', 'room', 'square_chat', 'external', 'none'];
+
+// Wraps a LIFF SDK (real or mock) with init, login and context helpers.
+export const createLiffAdapter = ({ liffId, loadSdk, redirectUri } = {}) => {
+  let sdk = null;
+  let initPromise = null;
+
+  const requireSdk = () => {
+    if (!sdk) throw new Error('LIFF is not initialized. Call init() first.');
+    return sdk;
+  };
+
+  const init = ({ withLogin = true } = {}) => {
+    if (!initPromise) {
+      initPromise = Promise.resolve()
+        .then(loadSdk)
+        .then(loaded => {
+          sdk = loaded;
+          return sdk.init({ liffId });
+        })
+        .then(() => {
+          if (withLogin && !sdk.isLoggedIn()) {
+            // login() redirects away from the page; the promise never needs to settle.
+            sdk.login({ redirectUri: redirectUri || window.location.href });
+          }
+        })
+        .catch(error => {
+          initPromise = null;
+          throw error;
+        });
+    }
+    return initPromise;
+  };
+
+  const getContext = () => {
+    const current = requireSdk();
+    const context = current.getContext() || {};
+    const isInClient = current.isInClient();
+    const type = CONTEXT_TYPES.includes(context.type) ? context.type : 'none';
+    return {
+      ...context,
+      type: isInClient ? type : 'external',
+      isInClient,
+      isExternalBrowser: !isInClient,
+    };
+  };
+
+  return {
+    init,
+    isLoggedIn: () => requireSdk().isLoggedIn(),
+    login: (options) => requireSdk().login({ redirectUri: redirectUri || window.location.href, ...options }),
+    logout: () => requireSdk().logout(),
+    getProfile: () => requireSdk().getProfile(),
+    getIDToken: () => requireSdk().getIDToken(),
+    getDecodedIDToken: () => requireSdk().getDecodedIDToken(),
+    getContext,
+    // Whether the customer has added the Official Account as a friend; LINE
+    // only delivers push messages (e.g. due-date reminders) to friends.
+    getFriendship: () => requireSdk().getFriendship().then(({ friendFlag }) => friendFlag),
+    getLanguage: () => (sdk && typeof sdk.getLanguage === 'function' ? sdk.getLanguage() : null),
+    // `external: true` opens the URL in the device browser instead of LINE's in-app browser.
+    openWindow: ({ url, external = false }) => requireSdk().openWindow({ url, external }),
+    closeWindow: () => {
+      const current = requireSdk();
+      // closeWindow is only supported inside the LINE app.
+      if (current.isInClient()) {
+        current.closeWindow();
+      } else {
+        window.close();
+      }
+    },
+  };
+};
+
+const shouldUseMock = () => (
+  process.env.NODE_ENV === 'test'
+  || process.env.REACT_APP_USE_MOCK_LIFF === 'true'
+  || !process.env.REACT_APP_LIFF_ID
+);
+
+export const liff = createLiffAdapter({
+  liffId: process.env.REACT_APP_LIFF_ID,
+  loadSdk: () => (shouldUseMock()
+    ? mockLiff
+    : import('@line/liff').then(module => module.default)),
+});
@@ -0,0 +1,48 @@
+import { createLiffAdapter, createMockLiff } from './liff';
+
+test('initializes the SDK with the configured LIFF ID', async () => {
+  const sdk = createMockLiff();
+  const init = jest.spyOn(sdk, 'init');
+  const adapter = createLiffAdapter({ liffId: '1234-abcd', loadSdk: () => sdk });
+
+  await adapter.init();
+
+  expect(init).toHaveBeenCalledWith({ liffId: '1234-abcd' });
+  expect(adapter.getDecodedIDToken().aud).toBe('1234-abcd');
+});
+
+test('starts the LINE login when the user is not logged in', async () => {
+  const sdk = createMockLiff({ loggedIn: false });
+  const login = jest.spyOn(sdk, 'login');
+  const adapter = createLiffAdapter({ liffId: 'id', loadSdk: () => sdk, redirectUri: 'https://example.com/' });
+
+  await adapter.init();
+
+  expect(login).toHaveBeenCalledWith({ redirectUri: 'https://example.com/' });
+});
+
+test('reports the external browser context', async () => {
+  const adapter = createLiffAdapter({ loadSdk: () => createMockLiff({ inClient: false }) });
+  await adapter.init();
+
+  expect(adapter.getContext()).toMatchObject({ type: 'external', isExternalBrowser: true });
+});
+
+test('reports chat context types inside LINE', async () => {
+  const adapter = createLiffAdapter({ loadSdk: () => createMockLiff({ contextType: 'group' }) });
+  await adapter.init();
+
+  expect(adapter.getContext()).toMatchObject({ type: 'group', isInClient: true });
+});
+
+test('reports whether the customer is a friend of the Official Account', async () => {
+  const adapter = createLiffAdapter({ loadSdk: () => createMockLiff({ friend: false }) });
+  await adapter.init();
+
+  await expect(adapter.getFriendship()).resolves.toBe(false);
+});
+
+test('throws when used before init', () => {
+  const adapter = createLiffAdapter({ loadSdk: () => createMockLiff() });
+  expect(() => adapter.getProfile()).toThrow(/not initialized/);
+});
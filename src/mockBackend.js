@@ -0,0 +1,365 @@
+import healthImage from './icons/privilege-health.svg';
+import foodImage from './icons/privilege-food.svg';
+import movieImage from './icons/privilege-movie.svg';
+import taxImage from './icons/privilege-tax.svg';
+import lifeImage from './icons/offer-life.svg';
+import criticalIllnessImage from './icons/offer-ci.svg';
+
+// Fixture-backed stand-in for the customer API. `createMockFetch` answers the
+// same routes as the real backend with fetch-like responses, so the API client
+// and every screen can be developed and tested offline.
+
+export const fixtures = {
+  policies: [
+    { id: 1, type: 'health', name: 'Health Insurance', productName: 'AIA Health Happy', policyNumber: '74839201', status: 'active', coverageAmount: 5000000, premium: 25000, premiumFrequency: 'yearly', nextDueDate: '2025-08-01', startDate: '2021-08-01' },
+    { id: 2, type: 'life', name: 'Life Insurance', productName: 'AIA 20 Pay Life (Par)', policyNumber: '58493028', status: 'active', coverageAmount: 2000000, premium: 3150, premiumFrequency: 'monthly', nextDueDate: '2025-07-15', startDate: '2019-03-15' },
+    { id: 3, type: 'savings', name: 'Tax Saving', productName: 'AIA Annuity Fix', policyNumber: '94820134', status: 'lapsed', coverageAmount: 1000000, premium: 100000, premiumFrequency: 'yearly', nextDueDate: '2025-01-10', startDate: '2020-01-10' },
+  ],
+  claims: [
+    {
+      id: 4, claimNumber: 'CLM-2025-06-4120', type: 'ipd', name: 'IPD Claim', policyId: 1, submittedAt: '2025-06-18', incidentDate: '2025-06-14', amount: 42800, approvedAmount: 0, status: 'documents_requested',
+      requestedDocuments: ['medical_certificate'],
+      history: [
+        { status: 'submitted', at: '2025-06-18' },
+        { status: 'documents_requested', at: '2025-06-19', note: 'Please send the medical certificate from your hospital stay.' },
+      ],
+    },
+    {
+      id: 1, claimNumber: 'CLM-2025-06-3984', type: 'opd', name: 'OPD Claim', policyId: 1, submittedAt: '2025-06-15', incidentDate: '2025-06-12', amount: 1250, approvedAmount: 1250, status: 'paid',
+      payout: { amount: 1250, method: 'bank_transfer', account: 'KBANK xxx-x-x4821', paidAt: '2025-06-20' },
+      history: [
+        { status: 'submitted', at: '2025-06-15' },
+        { status: 'under_review', at: '2025-06-16' },
+        { status: 'approved', at: '2025-06-18' },
+        { status: 'paid', at: '2025-06-20' },
+      ],
+    },
+    {
+      id: 2, claimNumber: 'CLM-2025-05-2217', type: 'accident', name: 'Accident Claim', policyId: 1, submittedAt: '2025-05-02', incidentDate: '2025-04-28', amount: 18400, approvedAmount: 15000, status: 'approved',
+      history: [
+        { status: 'submitted', at: '2025-05-02' },
+        { status: 'documents_requested', at: '2025-05-05' },
+        { status: 'under_review', at: '2025-05-08' },
+        { status: 'approved', at: '2025-05-14', note: 'Approved up to the accident benefit limit.' },
+      ],
+    },
+    {
+      id: 3, claimNumber: 'CLM-2025-04-1502', type: 'dental', name: 'Dental Claim', policyId: 1, submittedAt: '2025-04-20', incidentDate: '2025-04-18', amount: 3500, approvedAmount: 0, status: 'rejected',
+      rejectionReason: 'Cosmetic dental treatment is not covered by this policy.',
+      history: [
+        { status: 'submitted', at: '2025-04-20' },
+        { status: 'under_review', at: '2025-04-21' },
+        { status: 'rejected', at: '2025-04-25' },
+      ],
+    },
+  ],
+  privileges: [
+    {
+      id: 'free-coverage', name: 'Free coverage campaign', description: 'Additional COVID-19 coverage until Dec 2026.', imageUrl: healthImage, category: 'health', validUntil: '2026-12-31',
+      eligibility: { policyTypes: ['health'] }, codeType: 'qr', codePrefix: 'COV', codeTtlMinutes: null,
+      terms: ['For customers with an active AIA health policy.', 'One redemption per customer.', 'Show the code at any AIA service centre to activate the coverage.'],
+    },
+    {
+      id: 'grab-food-100', name: 'GRAB food voucher', description: 'THB 100 voucher. Valid until 31/12/2026.', imageUrl: foodImage, category: 'lifestyle', validUntil: '2026-12-31',
+      eligibility: { policyTypes: [] }, codeType: 'barcode', codePrefix: 'GRAB', codeTtlMinutes: 15,
+      terms: ['Minimum order THB 200.', 'The code must be used within 15 minutes of redeeming.', 'Cannot be combined with other GRAB promotions.'],
+    },
+    {
+      id: 'major-b1g1', name: 'Major Cineplex voucher', description: 'Buy 1 Get 1 Free for any movie.', imageUrl: movieImage, category: 'lifestyle', validUntil: '2026-12-31',
+      eligibility: { policyTypes: ['life', 'health'] }, codeType: 'qr', codePrefix: 'MJR', codeTtlMinutes: null,
+      terms: ['Valid for 2D standard seats, Monday to Thursday.', 'Not valid on public holidays.'],
+    },
+    {
+      id: 'tax-consult', name: 'Free tax planning session', description: 'One-to-one session with an AIA tax planning advisor.', imageUrl: taxImage, category: 'finance', validUntil: '2026-12-31',
+      eligibility: { policyTypes: ['savings'] }, codeType: 'qr', codePrefix: 'TAX', codeTtlMinutes: null,
+      terms: ['For customers with an active AIA tax saving policy.', 'Book the session at least 3 days in advance.'],
+    },
+  ],
+  redemptions: [
+    { id: 'rdm-1', privilegeId: 'major-b1g1', privilegeName: 'Major Cineplex voucher', code: 'MJR-4K7Q2PXD', codeType: 'qr', redeemedAt: '2025-05-10T12:00:00+07:00', expiresAt: null, usedAt: '2025-05-12T19:30:00+07:00' },
+  ],
+  payments: [
+    { id: 'pay-3', policyId: 2, amount: 3150, dueDate: '2025-06-15', channel: 'promptpay', status: 'paid', createdAt: '2025-06-14T20:05:00+07:00', paidAt: '2025-06-14T20:06:12+07:00' },
+    { id: 'pay-2', policyId: 2, amount: 3150, dueDate: '2025-05-15', channel: 'credit_card', status: 'paid', createdAt: '2025-05-15T08:00:00+07:00', paidAt: '2025-05-15T08:00:00+07:00' },
+    { id: 'pay-1', policyId: 1, amount: 25000, dueDate: '2024-08-01', channel: 'bank_counter', status: 'paid', createdAt: '2024-07-29T13:40:00+07:00', paidAt: '2024-07-29T13:40:00+07:00' },
+  ],
+  // Products recommended to customers who don't hold them yet.
+  offers: [
+    { id: 'health-saver', name: 'AIA Health Saver', description: 'Inpatient cover with room and board up to THB 5,000 a night.', imageUrl: healthImage, category: 'health', productType: 'health', url: 'https://www.aia.co.th/en/our-products/health-protection' },
+    { id: 'ci-supercare', name: 'AIA CI SuperCare', description: 'A lump sum when diagnosed with any of 70 critical illnesses.', imageUrl: criticalIllnessImage, category: 'health', productType: 'critical_illness', url: 'https://www.aia.co.th/en/our-products/critical-illness' },
+    { id: 'legacy-prestige', name: 'AIA Legacy Prestige', description: 'Whole life cover that leaves a legacy for your family.', imageUrl: lifeImage, category: 'life', productType: 'life', url: 'https://www.aia.co.th/en/our-products/life-protection' },
+    { id: 'annuity-sure', name: 'AIA Annuity Sure', description: 'Retirement income from age 60; premiums are tax deductible.', imageUrl: taxImage, category: 'tax_saving', productType: 'savings', url: 'https://www.aia.co.th/en/our-products/savings-and-retirement' },
+  ],
+  // Due-date reminder preferences keyed by LINE user ID.
+  reminders: {},
+  // Interests ("I'm interested in") keyed by LINE user ID.
+  interests: {},
+};
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(JSON.stringify(body)),
+});
+
+const notFound = () => jsonResponse(404, { code: 'NOT_FOUND', message: 'Not found.' });
+
+const findById = (items, id) => items.find(item => String(item.id) === decodeURIComponent(id));
+
+const CLAIM_NAMES = { opd: 'OPD Claim', ipd: 'IPD Claim', dental: 'Dental Claim', accident: 'Accident Claim' };
+
+// Submitting the same clientReference again returns the claim created the first time.
+const createClaim = (data, body) => {
+  const existing = data.claims.find(claim => claim.clientReference && claim.clientReference === body.clientReference);
+  if (existing) return jsonResponse(200, existing);
+  if (!findById(data.policies, String(body.policyId))) return jsonResponse(422, { code: 'INVALID_POLICY', message: 'Unknown policy.' });
+  const now = new Date();
+  const id = Math.max(0, ...data.claims.map(claim => claim.id)) + 1;
+  const claim = {
+    id,
+    claimNumber: `CLM-${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(1000 + id).slice(-4)}`,
+    type: body.type,
+    name: CLAIM_NAMES[body.type] || 'Claim',
+    policyId: body.policyId,
+    submittedAt: now.toISOString().slice(0, 10),
+    incidentDate: body.incidentDate,
+    amount: body.amount,
+    approvedAmount: 0,
+    status: 'submitted',
+    history: [{ status: 'submitted', at: now.toISOString().slice(0, 10) }],
+    documentIds: body.documentIds,
+    clientReference: body.clientReference,
+  };
+  data.claims.unshift(claim);
+  return jsonResponse(201, claim);
+};
+
+// Additional documents answer a documents request and send the claim back to review.
+const addClaimDocuments = (data, id, body) => {
+  const index = data.claims.findIndex(claim => String(claim.id) === decodeURIComponent(id));
+  if (index === -1) return notFound();
+  const claim = data.claims[index];
+  if (claim.status !== 'documents_requested') return jsonResponse(409, { code: 'NO_DOCUMENTS_REQUESTED', message: 'No documents have been requested for this claim.' });
+  const updated = {
+    ...claim,
+    status: 'under_review',
+    requestedDocuments: [],
+    documentIds: [...(claim.documentIds || []), ...body.documentIds],
+    history: [...claim.history, { status: 'under_review', at: new Date().toISOString().slice(0, 10) }],
+  };
+  data.claims[index] = updated;
+  return jsonResponse(200, updated);
+};
+
+const VOUCHER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const createVoucherCode = (prefix) => `${prefix}-${Array.from({ length: 8 }, () => VOUCHER_ALPHABET[Math.floor(Math.random() * VOUCHER_ALPHABET.length)]).join('')}`;
+
+// Redeeming is idempotent twice over: a repeated Idempotency-Key returns the
+// original voucher, and a customer with an unused, unexpired voucher for the
+// privilege gets that voucher back instead of a new one.
+const redeemPrivilege = (data, id, headers, now) => {
+  const privilege = findById(data.privileges, id);
+  if (!privilege) return notFound();
+  const idempotencyKey = headers['Idempotency-Key'];
+  const isActive = voucher => !voucher.usedAt && (!voucher.expiresAt || new Date(voucher.expiresAt).getTime() > now);
+  const existing = data.redemptions.find(voucher => (idempotencyKey && voucher.idempotencyKey === idempotencyKey)
+    || (voucher.privilegeId === privilege.id && isActive(voucher)));
+  if (existing) return jsonResponse(200, existing);
+
+  if (new Date(`${privilege.validUntil}T23:59:59+07:00`).getTime() < now) return jsonResponse(410, { code: 'PRIVILEGE_EXPIRED', message: 'This privilege has ended.' });
+  const policyTypes = privilege.eligibility?.policyTypes || [];
+  if (policyTypes.length > 0 && !data.policies.some(policy => policy.status === 'active' && policyTypes.includes(policy.type))) {
+    return jsonResponse(403, { code: 'NOT_ELIGIBLE', message: 'This privilege needs an active policy of another type.' });
+  }
+  const voucher = {
+    id: `rdm-${data.redemptions.length + 1}`,
+    privilegeId: privilege.id,
+    privilegeName: privilege.name,
+    code: createVoucherCode(privilege.codePrefix),
+    codeType: privilege.codeType,
+    redeemedAt: new Date(now).toISOString(),
+    expiresAt: privilege.codeTtlMinutes ? new Date(now + privilege.codeTtlMinutes * 60 * 1000).toISOString() : null,
+    usedAt: null,
+    idempotencyKey,
+  };
+  data.redemptions.unshift(voucher);
+  return jsonResponse(201, voucher);
+};
+
+// PromptPay bill payments go to the insurer's biller ID with the policy number
+// as reference 1. The mock confirms a pending payment once it is
+// MOCK_PAYMENT_CONFIRM_MS old, as if the customer paid in their banking app.
+const MOCK_BILLER_ID = '099999999999901';
+const PAYMENT_QR_TTL_MS = 15 * 60 * 1000;
+export const MOCK_PAYMENT_CONFIRM_MS = 8 * 1000;
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const addMonths = (isoDate, months) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+};
+
+// Settles a pending payment whose QR code has been paid or has expired, and
+// moves the policy's next due date on once it is paid.
+const settlePayment = (data, payment, now) => {
+  if (payment.status !== 'pending') return payment;
+  const createdAt = new Date(payment.createdAt).getTime();
+  let settled = null;
+  if (now - createdAt >= MOCK_PAYMENT_CONFIRM_MS) {
+    settled = { ...payment, status: 'paid', channel: 'promptpay', paidAt: new Date(createdAt + MOCK_PAYMENT_CONFIRM_MS).toISOString() };
+    data.policies = data.policies.map(policy => (policy.id === payment.policyId
+      ? { ...policy, nextDueDate: addMonths(policy.nextDueDate, MONTHS_PER_PERIOD[policy.premiumFrequency] || 12) }
+      : policy));
+  } else if (new Date(payment.expiresAt).getTime() <= now) {
+    settled = { ...payment, status: 'expired' };
+  }
+  if (!settled) return payment;
+  data.payments = data.payments.map(item => (item.id === payment.id ? settled : item));
+  return settled;
+};
+
+// A policy has at most one pending payment: asking again returns its QR code.
+const createPayment = (data, id, now) => {
+  const policy = findById(data.policies, id);
+  if (!policy) return notFound();
+  if (policy.status !== 'active') return jsonResponse(409, { code: 'POLICY_NOT_ACTIVE', message: 'Premiums can only be paid for active policies.' });
+  const pending = data.payments.find(payment => payment.policyId === policy.id && settlePayment(data, payment, now).status === 'pending');
+  if (pending) return jsonResponse(200, pending);
+  const sequence = data.payments.length + 1;
+  const payment = {
+    id: `pay-${sequence}`,
+    policyId: policy.id,
+    amount: policy.premium,
+    dueDate: policy.nextDueDate,
+    channel: null,
+    status: 'pending',
+    billerId: MOCK_BILLER_ID,
+    reference1: policy.policyNumber,
+    reference2: `PMT${new Date(now).toISOString().slice(0, 10).replace(/-/g, '')}${String(sequence).padStart(4, '0')}`,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PAYMENT_QR_TTL_MS).toISOString(),
+    paidAt: null,
+  };
+  data.payments = [payment, ...data.payments];
+  return jsonResponse(201, payment);
+};
+
+const DEFAULT_REMINDER = { enabled: false, daysBefore: 7 };
+const REMINDER_DAYS = [3, 7, 14];
+
+const saveReminder = (data, headers, body) => {
+  if (typeof body?.enabled !== 'boolean' || !REMINDER_DAYS.includes(body.daysBefore)) {
+    return jsonResponse(422, { code: 'INVALID_REMINDER', message: `daysBefore must be one of ${REMINDER_DAYS.join(', ')}.` });
+  }
+  const preference = { enabled: body.enabled, daysBefore: body.daysBefore };
+  data.reminders = { ...data.reminders, [headers['X-Line-User-Id']]: preference };
+  return jsonResponse(200, preference);
+};
+
+const INTEREST_TOPICS = ['health', 'life', 'tax_saving'];
+
+const saveInterests = (data, headers, body) => {
+  if (!Array.isArray(body?.interests) || body.interests.some(topic => !INTEREST_TOPICS.includes(topic))) {
+    return jsonResponse(422, { code: 'INVALID_INTERESTS', message: `interests must be a list of ${INTEREST_TOPICS.join(', ')}.` });
+  }
+  const profile = { interests: [...new Set(body.interests)] };
+  data.interests = { ...data.interests, [headers['X-Line-User-Id']]: profile };
+  return jsonResponse(200, profile);
+};
+
+const hasBearerToken = (headers) => /^Bearer \S+$/.test(headers.Authorization || '');
+
+const unauthorized = () => jsonResponse(401, { code: 'UNAUTHORIZED', message: 'Sign in with OKTA to see your policies and claims.' });
+
+// `requiresAuth` routes need the OKTA access token; the others accept the LINE user ID.
+const routes = [
+  { pattern: /^\/policies$/, requiresAuth: true, handle: (data) => jsonResponse(200, data.policies) },
+  { pattern: /^\/policies\/([^/]+)$/, requiresAuth: true, handle: (data, [id]) => { const policy = findById(data.policies, id); return policy ? jsonResponse(200, policy) : notFound(); } },
+  {
+    pattern: /^\/policies\/([^/]+)\/payments$/, requiresAuth: true,
+    handle: (data, [id], body, headers, now) => (findById(data.policies, id)
+      ? jsonResponse(200, data.payments.filter(payment => String(payment.policyId) === decodeURIComponent(id)).map(payment => settlePayment(data, payment, now())))
+      : notFound()),
+  },
+  { method: 'POST', pattern: /^\/policies\/([^/]+)\/payments$/, requiresAuth: true, handle: (data, [id], body, headers, now) => createPayment(data, id, now()) },
+  { pattern: /^\/payments\/([^/]+)$/, requiresAuth: true, handle: (data, [id], body, headers, now) => { const payment = findById(data.payments, id); return payment ? jsonResponse(200, settlePayment(data, payment, now())) : notFound(); } },
+  { pattern: /^\/claims$/, requiresAuth: true, handle: (data) => jsonResponse(200, data.claims) },
+  { method: 'POST', pattern: /^\/claims$/, requiresAuth: true, handle: (data, match, body) => createClaim(data, body) },
+  { method: 'POST', pattern: /^\/claims\/([^/]+)\/documents$/, requiresAuth: true, handle: (data, [id], body) => addClaimDocuments(data, id, body) },
+  { pattern: /^\/claims\/([^/]+)$/, requiresAuth: true, handle: (data, [id]) => { const claim = findById(data.claims, id); return claim ? jsonResponse(200, claim) : notFound(); } },
+  { pattern: /^\/privileges$/, handle: (data) => jsonResponse(200, data.privileges) },
+  { pattern: /^\/privileges\/redemptions$/, handle: (data) => jsonResponse(200, data.redemptions) },
+  { pattern: /^\/privileges\/([^/]+)$/, handle: (data, [id]) => { const privilege = findById(data.privileges, id); return privilege ? jsonResponse(200, privilege) : notFound(); } },
+  { method: 'POST', pattern: /^\/privileges\/([^/]+)\/redeem$/, handle: (data, [id], body, headers, now) => redeemPrivilege(data, id, headers, now()) },
+  { pattern: /^\/customers\/me\/reminders$/, requiresAuth: true, handle: (data, match, body, headers) => jsonResponse(200, data.reminders[headers['X-Line-User-Id']] || DEFAULT_REMINDER) },
+  { method: 'PUT', pattern: /^\/customers\/me\/reminders$/, requiresAuth: true, handle: (data, match, body, headers) => saveReminder(data, headers, body) },
+  { pattern: /^\/customers\/me\/interests$/, handle: (data, match, body, headers) => jsonResponse(200, data.interests[headers['X-Line-User-Id']] || { interests: [] }) },
+  { method: 'PUT', pattern: /^\/customers\/me\/interests$/, handle: (data, match, body, headers) => saveInterests(data, headers, body) },
+  { pattern: /^\/offers$/, handle: (data) => jsonResponse(200, data.offers) },
+  {
+    method: 'POST',
+    pattern: /^\/customers\/me\/line-link$/,
+    handle: (data, match, body, headers) => (headers.Authorization
+      ? jsonResponse(200, { customerId: 'mock-customer', lineUserId: body.lineUserId, linkedAt: new Date().toISOString() })
+      : jsonResponse(401, { code: 'UNAUTHORIZED', message: 'Sign in with OKTA to link your LINE account.' })),
+  },
+];
+
+// `data` overrides the fixtures per test; `latencyMs` simulates a mobile network;
+// `now` sets the clock used for expiry checks.
+// Each mock keeps its own copy of the data that requests change.
+export const createMockFetch = ({ data: initialData = fixtures, latencyMs = 300, now = () => Date.now() } = {}) => {
+  const data = {
+    ...initialData,
+    policies: [...(initialData.policies || [])],
+    claims: [...(initialData.claims || [])],
+    redemptions: [...(initialData.redemptions || [])],
+    payments: [...(initialData.payments || [])],
+    reminders: { ...initialData.reminders },
+    interests: { ...initialData.interests },
+  };
+  return (url, options = {}) => {
+    const { pathname } = new URL(url, 'http://mock.local');
+    const headers = options.headers || {};
+    const method = options.method || 'GET';
+    return new Promise(resolve => setTimeout(resolve, latencyMs)).then(() => {
+      // Lets the offline behaviour be tried with the browser's offline switch.
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) throw new TypeError('Failed to fetch');
+      if (!headers.Authorization && !headers['X-Line-User-Id']) {
+        return jsonResponse(401, { code: 'UNAUTHORIZED', message: 'Missing credentials.' });
+      }
+      for (const route of routes) {
+        const match = route.pattern.exec(pathname);
+        if (match && (route.method || 'GET') === method) {
+          if (route.requiresAuth && !hasBearerToken(headers)) return unauthorized();
+          return route.handle(data, match.slice(1), options.body ? JSON.parse(options.body) : null, headers, now);
+        }
+      }
+      return notFound();
+    });
+  };
+};
+
+// Stand-in for the document upload endpoint: reports progress in four steps
+// over `latencyMs` and answers with the stored document's metadata.
+export const createMockUpload = ({ latencyMs = 1500 } = {}) => {
+  let nextId = 1;
+  return (url, { headers = {}, body, onProgress } = {}) => {
+    if (!hasBearerToken(headers)) return Promise.resolve(unauthorized());
+    const file = body.get('file');
+    const steps = [0.25, 0.5, 0.75, 1];
+    return steps
+      .reduce((previous, fraction) => previous
+        .then(() => new Promise(resolve => setTimeout(resolve, latencyMs / steps.length)))
+        .then(() => onProgress && onProgress(fraction)), Promise.resolve())
+      .then(() => jsonResponse(201, {
+        documentId: `doc-${nextId++}`,
+        documentType: body.get('documentType'),
+        name: file.name,
+        size: file.size,
+      }));
+  };
+};
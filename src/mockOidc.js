@@ -0,0 +1,127 @@
+import { base64UrlDecode, base64UrlEncode, createCodeChallenge } from './pkce';
+
+// Local stand-in for the OKTA authorization server. It serves discovery and
+// the token endpoint through a fetch-like function, and `authorize(url)`
+// plays the hosted login page by returning the callback URL OKTA would
+// redirect to. Codes and refresh tokens are self-contained (encoded JSON), so
+// the flow survives full page reloads without server-side state.
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+const oauthError = (error, description) => jsonResponse(400, { error, error_description: description });
+
+const encodeToken = (payload) => base64UrlEncode(JSON.stringify(payload));
+
+const decodeToken = (token) => {
+  try {
+    return JSON.parse(base64UrlDecode(token));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Unsigned (alg: none) JWT; the client only reads the claims.
+const createJwt = (claims) => `${encodeToken({ alg: 'none', typ: 'JWT' })}.${encodeToken(claims)}.`;
+
+export const createMockOidcProvider = ({
+  issuer = 'https://mock-okta.local/oauth2/default',
+  clientId = 'mock-client-id',
+  user = {
+    sub: '00u1mockcustomer',
+    given_name: 'Somchai',
+    family_name: 'Jaidee',
+    name: 'Somchai Jaidee',
+    email: 'somchai.j@example.com',
+  },
+  accessTokenTtlSeconds = 3600,
+  now = () => Date.now(),
+} = {}) => {
+  let refreshRevoked = false;
+
+  const configuration = {
+    issuer,
+    authorization_endpoint: `${issuer}/v1/authorize`,
+    token_endpoint: `${issuer}/v1/token`,
+    end_session_endpoint: `${issuer}/v1/logout`,
+    code_challenge_methods_supported: ['S256'],
+  };
+
+  const issueTokens = ({ nonce }) => {
+    const iat = Math.floor(now() / 1000);
+    const exp = iat + accessTokenTtlSeconds;
+    return {
+      token_type: 'Bearer',
+      expires_in: accessTokenTtlSeconds,
+      scope: 'openid profile email offline_access',
+      access_token: createJwt({ iss: issuer, aud: 'api://default', sub: user.sub, cid: clientId, iat, exp }),
+      id_token: createJwt({ iss: issuer, aud: clientId, sub: user.sub, nonce, iat, exp, ...user }),
+      refresh_token: encodeToken({ type: 'refresh', sub: user.sub, nonce, iat }),
+    };
+  };
+
+  const exchangeCode = (params) => {
+    const code = decodeToken(params.get('code') || '');
+    if (!code || code.type !== 'code' || code.expiresAt < now()) return Promise.resolve(oauthError('invalid_grant', 'The authorization code is invalid or has expired.'));
+    if (params.get('client_id') !== clientId || params.get('redirect_uri') !== code.redirectUri) {
+      return Promise.resolve(oauthError('invalid_grant', 'The client or redirect URI does not match the authorization request.'));
+    }
+    return createCodeChallenge(params.get('code_verifier') || '').then(challenge => (
+      challenge === code.codeChallenge
+        ? jsonResponse(200, issueTokens(code))
+        : oauthError('invalid_grant', 'PKCE verification failed.')
+    ));
+  };
+
+  const refresh = (params) => {
+    const token = decodeToken(params.get('refresh_token') || '');
+    if (refreshRevoked || !token || token.type !== 'refresh') {
+      return Promise.resolve(oauthError('invalid_grant', 'The refresh token is invalid or has been revoked.'));
+    }
+    return Promise.resolve(jsonResponse(200, issueTokens(token)));
+  };
+
+  const fetchImpl = (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const basePath = new URL(issuer).pathname;
+    if (pathname === `${basePath}/.well-known/openid-configuration`) return Promise.resolve(jsonResponse(200, configuration));
+    if (pathname === `${basePath}/v1/token` && options.method === 'POST') {
+      const params = new URLSearchParams(options.body);
+      if (params.get('grant_type') === 'authorization_code') return exchangeCode(params);
+      if (params.get('grant_type') === 'refresh_token') return refresh(params);
+      return Promise.resolve(oauthError('unsupported_grant_type', 'Unsupported grant type.'));
+    }
+    return Promise.resolve(jsonResponse(404, { error: 'not_found' }));
+  };
+
+  // Signs the user in immediately and returns the redirect back to the app.
+  const authorize = (authorizeUrl) => {
+    const params = new URL(authorizeUrl).searchParams;
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('state', params.get('state'));
+    if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+      redirect.searchParams.set('error', 'invalid_request');
+      return redirect.toString();
+    }
+    redirect.searchParams.set('code', encodeToken({
+      type: 'code',
+      codeChallenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      redirectUri: params.get('redirect_uri'),
+      expiresAt: now() + 60 * 1000,
+    }));
+    return redirect.toString();
+  };
+
+  return {
+    issuer,
+    clientId,
+    fetch: fetchImpl,
+    authorize,
+    // Makes every refresh fail, as when the OKTA session is ended elsewhere.
+    revokeRefreshTokens: () => { refreshRevoked = true; },
+  };
+};
@@ -0,0 +1,119 @@
+import { createFieldEncryption } from './fieldEncryption';
+
+// Last-known copies of policy, claim and privilege data, so those screens stay
+// readable without a connection; the API client falls back to them on network
+// errors (see api.js). Copies are encrypted with the device key (see
+// fieldEncryption.js) and kept with the time they were fetched, for one LINE
+// user at a time. Without WebCrypto nothing is kept.
+
+const STORAGE_KEY = 'icelbc_offline';
+// Earlier versions kept plain-text copies under `icelbc_offline_<lineUserId>`.
+const LEGACY_PREFIX = 'icelbc_offline_';
+const MAX_ENTRIES = 30;
+
+// Lists and details of policies, claims and privileges.
+const OFFLINE_PATHS = [/^\/policies(\/[^/]+)?$/, /^\/claims(\/[^/]+)?$/, /^\/privileges(\/[^/]+)?$/];
+
+export const isOfflinePath = (path) => OFFLINE_PATHS.some(pattern => pattern.test(path));
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws in some sandboxed webviews.
+    return null;
+  }
+};
+
+export const createOfflineCache = ({
+  storage = getDefaultStorage(),
+  encryption = createFieldEncryption(),
+  now = () => Date.now(),
+} = {}) => {
+  // Writes run one after another, so two saves can't drop each other's entry
+  // and a save can't undo a clear.
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // Each copy only decrypts for the user and path it was saved for.
+  const context = (userId, path) => `${userId}:${path}`;
+
+  // { userId, entries: { [path]: { value: EncryptedValue, savedAt } } }
+  const read = () => {
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const entriesFor = (userId) => {
+    const stored = read();
+    return stored?.userId === userId ? stored.entries : {};
+  };
+
+  const remove = () => {
+    try {
+      storage?.removeItem(STORAGE_KEY);
+    } catch (e) {
+      console.error('Failed to clear offline copies:', e);
+    }
+  };
+
+  const removeLegacyCopies = () => {
+    try {
+      for (let i = storage.length - 1; i >= 0; i -= 1) {
+        const key = storage.key(i);
+        if (key?.startsWith(LEGACY_PREFIX)) storage.removeItem(key);
+      }
+    } catch (e) {
+      // Nothing to clear.
+    }
+  };
+
+  if (storage) removeLegacyCopies();
+
+  // Keeps the most recently fetched entries so detail pages can't fill the
+  // quota. Saving for another LINE user replaces the previous user's copies.
+  const save = (userId, path, data) => {
+    if (!storage || !userId || !isOfflinePath(path)) return Promise.resolve();
+    return enqueue(() => encryption.encrypt(JSON.stringify(data), context(userId, path))
+      .then(value => {
+        const entries = Object.entries({ ...entriesFor(userId), [path]: { value, savedAt: now() } })
+          .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+          .slice(0, MAX_ENTRIES);
+        storage.setItem(STORAGE_KEY, JSON.stringify({ userId, entries: Object.fromEntries(entries) }));
+      })
+      .catch(error => console.error('Failed to save offline copy:', error)));
+  };
+
+  // Resolves with { data, savedAt }, or null when there is no copy that
+  // decrypts (e.g. the key was lost with the rest of the site data).
+  const load = (userId, path) => {
+    if (!storage) return Promise.resolve(null);
+    return queue.then(() => {
+      const entry = entriesFor(userId)[path];
+      if (!entry) return null;
+      return encryption.decrypt(entry.value, context(userId, path))
+        .then(text => ({ data: JSON.parse(text), savedAt: entry.savedAt }))
+        .catch(() => null);
+    });
+  };
+
+  const clear = (userId) => enqueue(() => {
+    if (read()?.userId === userId) remove();
+  });
+
+  // Drops the copies of any LINE user but `userId`, e.g. when another account
+  // opens the app on a shared device.
+  const clearOtherUsers = (userId) => enqueue(() => {
+    const stored = read();
+    if (stored && stored.userId !== userId) remove();
+  });
+
+  return { save, load, clear, clearOtherUsers };
+};
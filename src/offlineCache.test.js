@@ -0,0 +1,63 @@
+import { createFieldEncryption, createMemoryKeyStore } from './fieldEncryption';
+import { createOfflineCache, isOfflinePath } from './offlineCache';
+
+const createCache = (options = {}) => createOfflineCache({
+  encryption: createFieldEncryption({ keyStore: createMemoryKeyStore() }),
+  now: () => 1000,
+  ...options,
+});
+
+beforeEach(() => window.localStorage.clear());
+
+test('keeps encrypted copies of policy, claim and privilege data for the user', async () => {
+  const cache = createCache();
+  await cache.save('U1', '/policies', [{ id: 1, policyNumber: 'T123456789' }]);
+  await cache.save('U1', '/customers/me/reminders', { enabled: true });
+
+  expect(window.localStorage.getItem('icelbc_offline')).not.toContain('T123456789');
+  expect(await cache.load('U1', '/policies')).toEqual({ data: [{ id: 1, policyNumber: 'T123456789' }], savedAt: 1000 });
+  expect(await cache.load('U1', '/customers/me/reminders')).toBeNull();
+  expect(await cache.load('U2', '/policies')).toBeNull();
+
+  await cache.clear('U1');
+  expect(await cache.load('U1', '/policies')).toBeNull();
+});
+
+test('keeps only the most recently fetched entries', async () => {
+  let time = 0;
+  const cache = createCache({ now: () => { time += 1; return time; } });
+  for (let id = 1; id <= 31; id += 1) cache.save('U1', `/claims/${id}`, { id });
+
+  expect(await cache.load('U1', '/claims/1')).toBeNull();
+  expect(await cache.load('U1', '/claims/31')).toMatchObject({ data: { id: 31 } });
+});
+
+test('drops the copies of a previous LINE user', async () => {
+  const cache = createCache();
+  await cache.save('U1', '/policies', [{ id: 1 }]);
+  await cache.clearOtherUsers('U1');
+  expect(await cache.load('U1', '/policies')).not.toBeNull();
+
+  await cache.clearOtherUsers('U2');
+  expect(window.localStorage.getItem('icelbc_offline')).toBeNull();
+
+  await cache.save('U1', '/policies', [{ id: 1 }]);
+  await cache.save('U2', '/claims', [{ id: 2 }]);
+  expect(await cache.load('U1', '/policies')).toBeNull();
+  expect(await cache.load('U2', '/claims')).toMatchObject({ data: [{ id: 2 }] });
+});
+
+test('keeps nothing without WebCrypto and removes plain-text copies', async () => {
+  window.localStorage.setItem('icelbc_offline_U1', JSON.stringify({ '/policies': { data: [{ id: 1 }], savedAt: 1 } }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const cache = createCache({ encryption: createFieldEncryption({ subtle: null, keyStore: createMemoryKeyStore() }) });
+
+  expect(window.localStorage.getItem('icelbc_offline_U1')).toBeNull();
+  await cache.save('U1', '/policies', [{ id: 1 }]);
+  expect(window.localStorage.getItem('icelbc_offline')).toBeNull();
+});
+
+test('recognises the paths kept for offline viewing', () => {
+  expect(['/policies', '/policies/1', '/claims/4', '/privileges/redemptions'].every(isOfflinePath)).toBe(true);
+  expect(['/policies/1/payments', '/payments/pay-1', '/customers/me/reminders'].some(isOfflinePath)).toBe(false);
+});
@@ -0,0 +1,160 @@
+// OTP service client.
+//
+// Every implementation exposes the same promise-based interface:
+//   requestOtp(phone)          -> OtpRequest
+//   resendOtp(requestId)       -> OtpRequest
+//   verifyOtp(requestId, code) -> { verified: true }
+// where OtpRequest is { requestId, phone, expiresAt, resendAvailableAt, attemptsRemaining }
+// (timestamps in ms). Failures reject with an OtpError carrying one of the codes below.
+//
+// Wrong codes are counted per phone number, across resends. Running out locks
+// the number for a while: every call for it rejects with LOCKED, carrying
+// `lockedUntil`, until then.
+
+export const OTP_ERROR_CODES = {
+  INVALID_CODE: 'INVALID_CODE',
+  EXPIRED: 'EXPIRED',
+  LOCKED: 'LOCKED',
+  RESEND_TOO_SOON: 'RESEND_TOO_SOON',
+  NOT_FOUND: 'NOT_FOUND',
+  NETWORK: 'NETWORK',
+};
+
+export class OtpError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'OtpError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// 0812345678 or +66812345678 -> 081-XXX-5678
+export const maskPhone = (phone = '') => {
+  const raw = String(phone).trim();
+  const digits = raw.startsWith('+66') ? `0${raw.slice(3).replace(/\D/g, '')}` : raw.replace(/\D/g, '');
+  if (digits.length < 7) return digits.replace(/\d(?=\d{2})/g, 'X');
+  return `${digits.slice(0, 3)}-${'X'.repeat(digits.length - 7)}-${digits.slice(-4)}`;
+};
+
+// Client for the OTP gateway. The backend owns code generation, SMS delivery,
+// expiry and attempt counting; this only maps its responses onto OtpError.
+export const createHttpOtpService = ({ baseUrl, fetchImpl = (...args) => fetch(...args) }) => {
+  const post = (path, body) => fetchImpl(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+    .catch(error => {
+      throw new OtpError(OTP_ERROR_CODES.NETWORK, 'Could not reach the OTP service.', { cause: error });
+    })
+    .then(response => response.json().catch(() => ({})).then(data => {
+      if (!response.ok) {
+        const code = OTP_ERROR_CODES[data.code] || OTP_ERROR_CODES.NETWORK;
+        throw new OtpError(code, data.message || `OTP request failed. Status: ${response.status}`, data);
+      }
+      return data;
+    }));
+
+  return {
+    isMock: false,
+    requestOtp: (phone) => post('/otp/request', { phone }),
+    resendOtp: (requestId) => post('/otp/resend', { requestId }),
+    verifyOtp: (requestId, code) => post('/otp/verify', { requestId, code }),
+  };
+};
+
+// In-memory stand-in for the OTP gateway, used in development and tests.
+// Every code it "sends" is `code`.
+export const createMockOtpService = ({
+  code = '999999',
+  ttlMs = 5 * 60 * 1000,
+  resendCooldownMs = 60 * 1000,
+  maxAttempts = 5,
+  lockoutMs = 15 * 60 * 1000,
+  now = () => Date.now(),
+} = {}) => {
+  const requests = new Map();
+  // phone -> { attemptsRemaining, lockedUntil }
+  const phones = new Map();
+  let nextId = 1;
+
+  // Attempts start over once a lockout has passed.
+  const phoneState = (phone) => {
+    const state = phones.get(phone);
+    if (state && (state.lockedUntil === null || now() < state.lockedUntil)) return state;
+    const fresh = { attemptsRemaining: maxAttempts, lockedUntil: null };
+    phones.set(phone, fresh);
+    return fresh;
+  };
+
+  const lockedError = ({ lockedUntil }) => (
+    new OtpError(OTP_ERROR_CODES.LOCKED, 'Too many incorrect attempts.', { attemptsRemaining: 0, lockedUntil })
+  );
+
+  const toPublic = ({ requestId, phone, expiresAt, resendAvailableAt }) => (
+    { requestId, phone, expiresAt, resendAvailableAt, attemptsRemaining: phoneState(phone).attemptsRemaining }
+  );
+
+  const issue = (phone) => {
+    const issuedAt = now();
+    const request = {
+      requestId: `mock-otp-${nextId++}`,
+      phone,
+      expiresAt: issuedAt + ttlMs,
+      resendAvailableAt: issuedAt + resendCooldownMs,
+    };
+    requests.set(request.requestId, request);
+    return request;
+  };
+
+  const requestOtp = (phone) => {
+    const state = phoneState(phone);
+    if (state.lockedUntil !== null) return Promise.reject(lockedError(state));
+    const active = [...requests.values()].find(r => r.phone === phone && now() < r.resendAvailableAt);
+    return Promise.resolve(toPublic(active || issue(phone)));
+  };
+
+  const resendOtp = (requestId) => {
+    const request = requests.get(requestId);
+    if (!request) {
+      return Promise.reject(new OtpError(OTP_ERROR_CODES.NOT_FOUND, 'OTP request not found.'));
+    }
+    const state = phoneState(request.phone);
+    if (state.lockedUntil !== null) return Promise.reject(lockedError(state));
+    if (now() < request.resendAvailableAt) {
+      return Promise.reject(new OtpError(OTP_ERROR_CODES.RESEND_TOO_SOON, 'Please wait before requesting a new code.', { resendAvailableAt: request.resendAvailableAt }));
+    }
+    requests.delete(requestId);
+    return Promise.resolve(toPublic(issue(request.phone)));
+  };
+
+  const verifyOtp = (requestId, submittedCode) => {
+    const request = requests.get(requestId);
+    if (!request) {
+      return Promise.reject(new OtpError(OTP_ERROR_CODES.NOT_FOUND, 'OTP request not found.'));
+    }
+    const state = phoneState(request.phone);
+    if (state.lockedUntil !== null) return Promise.reject(lockedError(state));
+    if (now() >= request.expiresAt) {
+      return Promise.reject(new OtpError(OTP_ERROR_CODES.EXPIRED, 'The code has expired.'));
+    }
+    if (submittedCode !== code) {
+      state.attemptsRemaining -= 1;
+      if (state.attemptsRemaining > 0) {
+        return Promise.reject(new OtpError(OTP_ERROR_CODES.INVALID_CODE, 'Incorrect code.', { attemptsRemaining: state.attemptsRemaining }));
+      }
+      state.lockedUntil = now() + lockoutMs;
+      return Promise.reject(lockedError(state));
+    }
+    requests.delete(requestId);
+    phones.delete(request.phone);
+    return Promise.resolve({ verified: true });
+  };
+
+  return { isMock: true, requestOtp, resendOtp, verifyOtp };
+};
+
+export const otpService = process.env.REACT_APP_OTP_API_URL
+  ? createHttpOtpService({ baseUrl: process.env.REACT_APP_OTP_API_URL })
+  : createMockOtpService();
@@ -0,0 +1,85 @@
+import { createMockOtpService, createHttpOtpService, maskPhone, OTP_ERROR_CODES } from './otpService';
+
+const createClock = (start = 0) => {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('verifies the issued code once', async () => {
+  const service = createMockOtpService({ code: '123456' });
+  const { requestId } = await service.requestOtp('0812345678');
+
+  await expect(service.verifyOtp(requestId, '123456')).resolves.toEqual({ verified: true });
+  await expect(service.verifyOtp(requestId, '123456')).rejects.toMatchObject({ code: OTP_ERROR_CODES.NOT_FOUND });
+});
+
+test('locks the request after too many wrong codes', async () => {
+  const service = createMockOtpService({ maxAttempts: 2 });
+  const { requestId } = await service.requestOtp('0812345678');
+
+  await expect(service.verifyOtp(requestId, '000000')).rejects.toMatchObject({ code: OTP_ERROR_CODES.INVALID_CODE, attemptsRemaining: 1 });
+  await expect(service.verifyOtp(requestId, '000000')).rejects.toMatchObject({ code: OTP_ERROR_CODES.LOCKED });
+  await expect(service.verifyOtp(requestId, '999999')).rejects.toMatchObject({ code: OTP_ERROR_CODES.LOCKED });
+});
+
+test('keeps the phone number locked across resends until the lockout has passed', async () => {
+  const clock = createClock();
+  const service = createMockOtpService({ maxAttempts: 2, resendCooldownMs: 1000, lockoutMs: 60000, now: clock.now });
+  const first = await service.requestOtp('0812345678');
+
+  await service.verifyOtp(first.requestId, '000000').catch(() => {});
+  clock.advance(1000);
+  const second = await service.resendOtp(first.requestId);
+  expect(second.attemptsRemaining).toBe(1);
+
+  await expect(service.verifyOtp(second.requestId, '000000')).rejects.toMatchObject({ code: OTP_ERROR_CODES.LOCKED, lockedUntil: 61000 });
+  clock.advance(1000);
+  await expect(service.resendOtp(second.requestId)).rejects.toMatchObject({ code: OTP_ERROR_CODES.LOCKED, lockedUntil: 61000 });
+  await expect(service.requestOtp('0812345678')).rejects.toMatchObject({ code: OTP_ERROR_CODES.LOCKED });
+
+  clock.advance(59000);
+  const third = await service.resendOtp(second.requestId);
+  expect(third.attemptsRemaining).toBe(2);
+  await expect(service.verifyOtp(third.requestId, '999999')).resolves.toEqual({ verified: true });
+});
+
+test('rejects expired codes', async () => {
+  const clock = createClock();
+  const service = createMockOtpService({ ttlMs: 1000, now: clock.now });
+  const { requestId } = await service.requestOtp('0812345678');
+
+  clock.advance(1000);
+  await expect(service.verifyOtp(requestId, '999999')).rejects.toMatchObject({ code: OTP_ERROR_CODES.EXPIRED });
+});
+
+test('enforces the resend cooldown', async () => {
+  const clock = createClock();
+  const service = createMockOtpService({ resendCooldownMs: 60000, now: clock.now });
+  const first = await service.requestOtp('0812345678');
+
+  await expect(service.resendOtp(first.requestId)).rejects.toMatchObject({ code: OTP_ERROR_CODES.RESEND_TOO_SOON });
+  expect(await service.requestOtp('0812345678')).toEqual(first);
+
+  clock.advance(60000);
+  const second = await service.resendOtp(first.requestId);
+  expect(second.requestId).not.toBe(first.requestId);
+  expect(second.resendAvailableAt).toBe(120000);
+});
+
+test('maps gateway errors onto OtpError codes', async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve({
+    ok: false,
+    status: 429,
+    json: () => Promise.resolve({ code: 'LOCKED', message: 'Locked' }),
+  }));
+  const service = createHttpOtpService({ baseUrl: 'https://otp.example.com', fetchImpl });
+
+  await expect(service.verifyOtp('r1', '123456')).rejects.toMatchObject({ code: OTP_ERROR_CODES.LOCKED, message: 'Locked' });
+  expect(fetchImpl).toHaveBeenCalledWith('https://otp.example.com/otp/verify', expect.objectContaining({ method: 'POST' }));
+});
+
+test('masks all but the prefix and last four digits', () => {
+  expect(maskPhone('0812345678')).toBe('081-XXX-5678');
+  expect(maskPhone('081-234-5678')).toBe('081-XXX-5678');
+  expect(maskPhone('+66812345678')).toBe('081-XXX-5678');
+});
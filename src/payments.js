@@ -0,0 +1,58 @@
+// Premium payment status. A payment starts as 'pending' while its PromptPay
+// QR code is shown and ends as 'paid', 'expired' (the QR code timed out) or
+// 'failed'.
+
+export const PAYMENT_STATUSES = ['pending', 'paid', 'expired', 'failed'];
+
+export const isFinalPaymentStatus = (status) => status !== 'pending';
+
+export const REMINDER_DAYS_OPTIONS = [3, 7, 14];
+
+// Calls `getPayment()` every `intervalMs` until the payment is no longer
+// pending. Failed checks back off up to `maxIntervalMs` but keep going, since
+// the customer can finish paying in their banking app at any time.
+// `checkNow()` polls immediately, e.g. when the customer comes back to LINE.
+export const pollPaymentStatus = (getPayment, { intervalMs = 3000, maxIntervalMs = 30 * 1000, onUpdate, onError = () => {} }) => {
+  let stopped = false;
+  let inFlight = false;
+  let timer = null;
+  let delay = intervalMs;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(poll, delay);
+  };
+
+  function poll() {
+    if (stopped || inFlight) return;
+    inFlight = true;
+    getPayment()
+      .then(payment => {
+        inFlight = false;
+        if (stopped) return;
+        delay = intervalMs;
+        onUpdate(payment);
+        if (isFinalPaymentStatus(payment.status)) stopped = true;
+        else schedule();
+      })
+      .catch(error => {
+        inFlight = false;
+        if (stopped) return;
+        onError(error);
+        delay = Math.min(delay * 2, maxIntervalMs);
+        schedule();
+      });
+  }
+
+  schedule();
+  return {
+    checkNow: () => {
+      clearTimeout(timer);
+      poll();
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
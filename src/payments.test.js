@@ -0,0 +1,57 @@
+import { pollPaymentStatus } from './payments';
+
+const flushPromises = async () => { for (let i = 0; i < 5; i += 1) await Promise.resolve(); };
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('polls until the payment is no longer pending', async () => {
+  const getPayment = jest.fn()
+    .mockResolvedValueOnce({ status: 'pending' })
+    .mockResolvedValueOnce({ status: 'paid' });
+  const onUpdate = jest.fn();
+  pollPaymentStatus(getPayment, { intervalMs: 1000, onUpdate });
+
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  jest.advanceTimersByTime(5000);
+  await flushPromises();
+
+  expect(getPayment).toHaveBeenCalledTimes(2);
+  expect(onUpdate).toHaveBeenLastCalledWith({ status: 'paid' });
+});
+
+test('backs off after failed checks and keeps polling', async () => {
+  const getPayment = jest.fn()
+    .mockRejectedValueOnce(new Error('offline'))
+    .mockResolvedValue({ status: 'pending' });
+  const onError = jest.fn();
+  pollPaymentStatus(getPayment, { intervalMs: 1000, onUpdate: () => {}, onError });
+
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  expect(onError).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  expect(getPayment).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  expect(getPayment).toHaveBeenCalledTimes(2);
+});
+
+test('checks immediately on request and stops when asked', async () => {
+  const getPayment = jest.fn().mockResolvedValue({ status: 'pending' });
+  const poller = pollPaymentStatus(getPayment, { intervalMs: 1000, onUpdate: () => {} });
+
+  poller.checkNow();
+  await flushPromises();
+  expect(getPayment).toHaveBeenCalledTimes(1);
+
+  poller.stop();
+  jest.advanceTimersByTime(10000);
+  await flushPromises();
+  expect(getPayment).toHaveBeenCalledTimes(1);
+});
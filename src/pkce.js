@@ -0,0 +1,35 @@
+// Encoding helpers for OAuth 2.0 PKCE (RFC 7636) and JWT payloads.
+
+export const bytesToBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+export const base64UrlEncode = (text) => bytesToBase64Url(new TextEncoder().encode(text));
+
+export const base64UrlDecode = (value) => new TextDecoder().decode(base64UrlToBytes(value));
+
+// URL-safe random string from `byteLength` random bytes (32 bytes -> 43 chars).
+export const randomString = (byteLength = 32) => bytesToBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+export const createCodeVerifier = () => randomString(32);
+
+// S256 code challenge: base64url(SHA-256(verifier)).
+export const createCodeChallenge = (verifier) => crypto.subtle
+  .digest('SHA-256', new TextEncoder().encode(verifier))
+  .then(digest => bytesToBase64Url(new Uint8Array(digest)));
+
+// Reads a JWT's claims without verifying its signature; the API verifies
+// tokens, the app only needs the claims for display and session checks.
+export const decodeJwt = (token) => {
+  const [, payload] = String(token || '').split('.');
+  if (!payload) throw new Error('Malformed JWT.');
+  return JSON.parse(base64UrlDecode(payload));
+};
@@ -0,0 +1,39 @@
+// Privilege eligibility and voucher state for the privilege detail and
+// redemption screens.
+//
+// A privilege may limit who can redeem it with `eligibility.policyTypes`
+// (e.g. ['health'] for a health-only campaign): the customer needs an active
+// policy of one of those types. Redeeming reserves a voucher:
+//   { id, privilegeId, privilegeName, code, codeType: 'qr' | 'barcode',
+//     redeemedAt, expiresAt (null if the code does not time out), usedAt }
+
+export const VOUCHER_STATUSES = ['active', 'used', 'expired'];
+
+const endOfDay = (date) => new Date(`${date}T23:59:59+07:00`).getTime();
+
+// Returns { eligible, reason } where reason is a `privilegeDetails.ineligible` key or null.
+export const getPrivilegeEligibility = (privilege, policies = [], { now = Date.now() } = {}) => {
+  if (privilege.validUntil && endOfDay(privilege.validUntil) < now) return { eligible: false, reason: 'expired' };
+  const policyTypes = privilege.eligibility?.policyTypes || [];
+  if (policyTypes.length > 0 && !policies.some(policy => policy.status === 'active' && policyTypes.includes(policy.type))) {
+    return { eligible: false, reason: 'policyRequired' };
+  }
+  return { eligible: true, reason: null };
+};
+
+export const getVoucherStatus = (voucher, { now = Date.now() } = {}) => {
+  if (voucher.usedAt) return 'used';
+  if (voucher.expiresAt && new Date(voucher.expiresAt).getTime() <= now) return 'expired';
+  return 'active';
+};
+
+// The customer's active voucher for a privilege, if they already redeemed it.
+export const findActiveVoucher = (redemptions = [], privilegeId, { now = Date.now() } = {}) => redemptions
+  .find(voucher => voucher.privilegeId === privilegeId && getVoucherStatus(voucher, { now }) === 'active') || null;
+
+// List order for the privileges screen: categories in `categoryOrder` first,
+// in that order, then the rest; API order otherwise.
+export const orderPrivileges = (privileges, { categoryOrder = [] } = {}) => {
+  const rank = (category) => (categoryOrder.includes(category) ? categoryOrder.indexOf(category) : categoryOrder.length);
+  return [...privileges].sort((a, b) => rank(a.category) - rank(b.category));
+};
@@ -0,0 +1,37 @@
+import { findActiveVoucher, getPrivilegeEligibility, getVoucherStatus, orderPrivileges } from './privileges';
+
+const now = new Date('2025-06-20T10:00:00+07:00').getTime();
+const healthPolicy = { type: 'health', status: 'active' };
+const lapsedSavings = { type: 'savings', status: 'lapsed' };
+
+test('requires an active policy of a qualifying type', () => {
+  const healthOnly = { validUntil: '2025-12-31', eligibility: { policyTypes: ['health'] } };
+  expect(getPrivilegeEligibility(healthOnly, [healthPolicy], { now })).toEqual({ eligible: true, reason: null });
+  expect(getPrivilegeEligibility(healthOnly, [lapsedSavings], { now })).toEqual({ eligible: false, reason: 'policyRequired' });
+  expect(getPrivilegeEligibility({ validUntil: '2025-12-31' }, [], { now })).toEqual({ eligible: true, reason: null });
+});
+
+test('treats a privilege as valid until the end of its last day in Thailand', () => {
+  const privilege = { validUntil: '2025-06-20' };
+  expect(getPrivilegeEligibility(privilege, [], { now: new Date('2025-06-20T23:59:00+07:00').getTime() }).eligible).toBe(true);
+  expect(getPrivilegeEligibility(privilege, [], { now: new Date('2025-06-21T00:00:00+07:00').getTime() })).toEqual({ eligible: false, reason: 'expired' });
+});
+
+test('derives voucher status', () => {
+  const timed = { privilegeId: 'grab', expiresAt: new Date(now + 90 * 1000).toISOString(), usedAt: null };
+  const used = { privilegeId: 'major', expiresAt: null, usedAt: '2025-05-12T19:30:00+07:00' };
+
+  expect(getVoucherStatus(timed, { now })).toBe('active');
+  expect(getVoucherStatus(timed, { now: now + 90 * 1000 })).toBe('expired');
+  expect(getVoucherStatus(used, { now })).toBe('used');
+
+  expect(findActiveVoucher([used, timed], 'grab', { now })).toBe(timed);
+  expect(findActiveVoucher([used, timed], 'major', { now })).toBeNull();
+});
+
+test('orders privileges by category, keeping API order within a category', () => {
+  const privileges = [{ id: 'a', category: 'health' }, { id: 'b', category: 'lifestyle' }, { id: 'c', category: 'finance' }, { id: 'd', category: 'lifestyle' }];
+
+  expect(orderPrivileges(privileges, { categoryOrder: ['lifestyle', 'finance'] }).map(p => p.id)).toEqual(['b', 'd', 'c', 'a']);
+  expect(orderPrivileges(privileges).map(p => p.id)).toEqual(['a', 'b', 'c', 'd']);
+});
@@ -0,0 +1,48 @@
+// Thai QR Payment (PromptPay bill payment) payloads in the EMVCo merchant QR
+// format. The payload is built on the device and drawn with `encodeQr`; any
+// Thai banking app can scan it and pays the biller with both references.
+//
+// Each field is ID (2 digits) + length (2 digits) + value; the payload ends
+// with a CRC-16/CCITT-FALSE checksum over everything before it.
+
+const BILL_PAYMENT_AID = 'A000000677010112';
+const CURRENCY_THB = '764';
+const REFERENCE_PATTERN = /^[A-Z0-9]{1,20}$/;
+
+const field = (id, value) => `${id}${String(value.length).padStart(2, '0')}${value}`;
+
+export const crc16 = (text) => {
+  let crc = 0xffff;
+  for (const byte of new TextEncoder().encode(text)) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i += 1) crc = (crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1) & 0xffff;
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+/**
+ * @param {Object} bill
+ * @param {string} bill.billerId     15 digits: the biller's tax ID and a 2-digit suffix
+ * @param {string} bill.reference1   Up to 20 uppercase letters or digits (e.g. the policy number)
+ * @param {string} [bill.reference2]
+ * @param {number} bill.amount       THB; a payload with an amount is single-use (dynamic)
+ * @returns {string}
+ */
+export const buildBillPaymentPayload = ({ billerId, reference1, reference2, amount }) => {
+  if (!/^\d{15}$/.test(billerId)) throw new RangeError('The biller ID must be 15 digits.');
+  [reference1, reference2].forEach((reference, i) => {
+    if ((i === 0 || reference) && !REFERENCE_PATTERN.test(reference)) throw new RangeError(`Reference ${i + 1} must be 1-20 uppercase letters or digits.`);
+  });
+  if (!(Number(amount) > 0)) throw new RangeError('The amount must be more than zero.');
+
+  const merchantAccount = field('00', BILL_PAYMENT_AID) + field('01', billerId) + field('02', reference1) + (reference2 ? field('03', reference2) : '');
+  const payload = [
+    field('00', '01'),
+    field('01', '12'),
+    field('30', merchantAccount),
+    field('53', CURRENCY_THB),
+    field('54', Number(amount).toFixed(2)),
+    field('58', 'TH'),
+  ].join('') + '6304';
+  return payload + crc16(payload);
+};
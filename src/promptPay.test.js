@@ -0,0 +1,26 @@
+import { buildBillPaymentPayload, crc16 } from './promptPay';
+
+test('computes the EMVCo CRC-16 checksum', () => {
+  // Reference PromptPay payload for mobile 081-234-5678, THB 100.
+  expect(crc16('00020101021229370016A000000677010111011300668123456785802TH53037645406100.006304')).toBe('BB8A');
+});
+
+test('builds a dynamic bill payment payload', () => {
+  expect(buildBillPaymentPayload({ billerId: '099999999999901', reference1: '74839201', reference2: 'PMT20250801', amount: 25000 })).toBe([
+    '000201',
+    '010212',
+    '3066', '0016A000000677010112', '0115099999999999901', '020874839201', '0311PMT20250801',
+    '5303764',
+    '540825000.00',
+    '5802TH',
+    '63043771',
+  ].join(''));
+});
+
+test('rejects payloads banking apps would refuse', () => {
+  const bill = { billerId: '099999999999901', reference1: '74839201', amount: 100 };
+  expect(() => buildBillPaymentPayload({ ...bill, billerId: '12345' })).toThrow(RangeError);
+  expect(() => buildBillPaymentPayload({ ...bill, reference1: 'policy-1' })).toThrow(RangeError);
+  expect(() => buildBillPaymentPayload({ ...bill, amount: 0 })).toThrow(RangeError);
+  expect(buildBillPaymentPayload(bill)).not.toContain('0311');
+});
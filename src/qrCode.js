@@ -0,0 +1,286 @@
+// QR Code encoder (ISO/IEC 18004) for vouchers and payment codes, so codes
+// are drawn in the browser without sending their contents to a third-party
+// image service. Supports byte mode at error correction level M, versions
+// 1-10 (up to 213 bytes), which covers voucher codes and PromptPay payloads.
+//
+//   encodeQr(text) -> boolean[][]   rows of modules, true = dark
+//
+// The caller adds the quiet zone (4 modules) when drawing.
+
+// Per version at level M: error correction codewords per block, and the
+// data codewords of each block.
+const VERSIONS_M = [
+  null,
+  { ecPerBlock: 10, blocks: [16] },
+  { ecPerBlock: 16, blocks: [28] },
+  { ecPerBlock: 26, blocks: [44] },
+  { ecPerBlock: 18, blocks: [32, 32] },
+  { ecPerBlock: 24, blocks: [43, 43] },
+  { ecPerBlock: 16, blocks: [27, 27, 27, 27] },
+  { ecPerBlock: 18, blocks: [31, 31, 31, 31] },
+  { ecPerBlock: 22, blocks: [38, 38, 39, 39] },
+  { ecPerBlock: 22, blocks: [36, 36, 36, 37, 37] },
+  { ecPerBlock: 26, blocks: [43, 43, 43, 43, 44] },
+];
+
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+];
+
+export const MAX_QR_BYTES = 213;
+
+// Format information bits for level M.
+const EC_LEVEL_M = 0;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// --- Reed-Solomon over GF(256), polynomial 0x11D ---
+
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const rsDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < degree; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const rsRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor); });
+  });
+  return result;
+};
+
+// --- Codewords ---
+
+const chooseVersion = (byteLength) => {
+  for (let version = 1; version < VERSIONS_M.length; version += 1) {
+    const capacityBits = VERSIONS_M[version].blocks.reduce((sum, n) => sum + n, 0) * 8;
+    const countBits = version < 10 ? 8 : 16;
+    if (4 + countBits + byteLength * 8 <= capacityBits) return version;
+  }
+  throw new RangeError(`Text is too long for a QR code (${byteLength} bytes, maximum ${MAX_QR_BYTES}).`);
+};
+
+const createCodewords = (bytes, version) => {
+  const { ecPerBlock, blocks } = VERSIONS_M[version];
+  const capacity = blocks.reduce((sum, n) => sum + n, 0);
+
+  const bits = [];
+  const append = (value, length) => { for (let i = length - 1; i >= 0; i -= 1) bits.push(getBit(value, i) ? 1 : 0); };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacity * 8 - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  // Split into blocks, add error correction, then interleave column by column.
+  const divisor = rsDivisor(ecPerBlock);
+  let offset = 0;
+  const dataBlocks = blocks.map(length => {
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    return block;
+  });
+  const ecBlocks = dataBlocks.map(block => rsRemainder(block, divisor));
+
+  const result = [];
+  const longest = Math.max(...blocks);
+  for (let i = 0; i < longest; i += 1) dataBlocks.forEach(block => { if (i < block.length) result.push(block[i]); });
+  for (let i = 0; i < ecPerBlock; i += 1) ecBlocks.forEach(block => result.push(block[i]));
+  return result;
+};
+
+// --- Matrix ---
+
+const MASKS = [
+  (row, col) => (row + col) % 2 === 0,
+  (row) => row % 2 === 0,
+  (row, col) => col % 3 === 0,
+  (row, col) => (row + col) % 3 === 0,
+  (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+  (row, col) => ((row * col) % 2) + ((row * col) % 3) === 0,
+  (row, col) => (((row * col) % 2) + ((row * col) % 3)) % 2 === 0,
+  (row, col) => (((row + col) % 2) + ((row * col) % 3)) % 2 === 0,
+];
+
+const createGrid = (size, value) => Array.from({ length: size }, () => new Array(size).fill(value));
+
+const drawFunctionPatterns = (version, size) => {
+  const modules = createGrid(size, false);
+  const isFunction = createGrid(size, false);
+  const set = (row, col, dark) => {
+    modules[row][col] = dark;
+    isFunction[row][col] = true;
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators.
+  [[3, 3], [3, size - 4], [size - 4, 3]].forEach(([centerRow, centerCol]) => {
+    for (let dr = -4; dr <= 4; dr += 1) {
+      for (let dc = -4; dc <= 4; dc += 1) {
+        const row = centerRow + dr;
+        const col = centerCol + dc;
+        if (row < 0 || row >= size || col < 0 || col >= size) continue;
+        const distance = Math.max(Math.abs(dr), Math.abs(dc));
+        set(row, col, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = ALIGNMENT_POSITIONS[version];
+  positions.forEach((row, i) => positions.forEach((col, j) => {
+    const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === positions.length - 1) || (i === positions.length - 1 && j === 0);
+    if (overlapsFinder) return;
+    for (let dr = -2; dr <= 2; dr += 1) {
+      for (let dc = -2; dc <= 2; dc += 1) set(row + dr, col + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+    }
+  }));
+
+  // Reserve the format areas (drawn per mask) and the dark module.
+  for (let i = 0; i < 9; i += 1) {
+    isFunction[8][i] = true;
+    isFunction[i][8] = true;
+  }
+  for (let i = 0; i < 8; i += 1) {
+    isFunction[8][size - 1 - i] = true;
+    isFunction[size - 1 - i][8] = true;
+  }
+  set(size - 8, 8, true);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(b, a, getBit(bits, i));
+      set(a, b, getBit(bits, i));
+    }
+  }
+
+  return { modules, isFunction };
+};
+
+const drawCodewords = (modules, isFunction, codewords) => {
+  const size = modules.length;
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      const row = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j += 1) {
+        const col = right - j;
+        if (isFunction[row][col] || bitIndex >= codewords.length * 8) continue;
+        modules[row][col] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+        bitIndex += 1;
+      }
+    }
+  }
+};
+
+const drawFormatBits = (modules, mask) => {
+  const size = modules.length;
+  const data = (EC_LEVEL_M << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i += 1) modules[i][8] = getBit(bits, i);
+  modules[7][8] = getBit(bits, 6);
+  modules[8][8] = getBit(bits, 7);
+  modules[8][7] = getBit(bits, 8);
+  for (let i = 9; i < 15; i += 1) modules[8][14 - i] = getBit(bits, i);
+
+  for (let i = 0; i < 8; i += 1) modules[8][size - 1 - i] = getBit(bits, i);
+  for (let i = 8; i < 15; i += 1) modules[size - 15 + i][8] = getBit(bits, i);
+};
+
+const applyMask = (modules, isFunction, mask) => modules.map((line, row) => line.map((dark, col) => (
+  !isFunction[row][col] && MASKS[mask](row, col) ? !dark : dark
+)));
+
+// --- Mask selection (penalty rules N1-N4) ---
+
+const FINDER_LIKE = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+
+const linePenalty = (line) => {
+  let penalty = 0;
+  let runLength = 1;
+  for (let i = 1; i <= line.length; i += 1) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      runLength += 1;
+    } else {
+      if (runLength >= 5) penalty += 3 + (runLength - 5);
+      runLength = 1;
+    }
+  }
+  for (let i = 0; i + 11 <= line.length; i += 1) {
+    if (FINDER_LIKE.some(pattern => pattern.every((bit, k) => line[i + k] === (bit === 1)))) penalty += 40;
+  }
+  return penalty;
+};
+
+export const getPenaltyScore = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  for (let i = 0; i < size; i += 1) {
+    penalty += linePenalty(modules[i]);
+    penalty += linePenalty(modules.map(line => line[i]));
+  }
+  for (let row = 0; row < size - 1; row += 1) {
+    for (let col = 0; col < size - 1; col += 1) {
+      const dark = modules[row][col];
+      if (modules[row][col + 1] === dark && modules[row + 1][col] === dark && modules[row + 1][col + 1] === dark) penalty += 3;
+    }
+  }
+  const darkCount = modules.reduce((sum, line) => sum + line.filter(Boolean).length, 0);
+  penalty += Math.floor(Math.abs((darkCount * 100) / (size * size) - 50) / 5) * 10;
+  return penalty;
+};
+
+// --- Public API ---
+
+// `mask` (0-7) is for tests; by default the mask with the lowest penalty is used.
+export const encodeQr = (text, { mask } = {}) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const version = chooseVersion(bytes.length);
+  const size = version * 4 + 17;
+  const { modules, isFunction } = drawFunctionPatterns(version, size);
+  drawCodewords(modules, isFunction, createCodewords(bytes, version));
+
+  const candidates = (mask === undefined ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask]).map(candidate => {
+    const masked = applyMask(modules, isFunction, candidate);
+    drawFormatBits(masked, candidate);
+    return masked;
+  });
+  return candidates.reduce((best, candidate) => (getPenaltyScore(candidate) < getPenaltyScore(best) ? candidate : best));
+};
@@ -0,0 +1,37 @@
+import { MAX_QR_BYTES, encodeQr } from './qrCode';
+
+const toRows = (modules) => modules.map(line => line.map(dark => (dark ? '#' : '.')).join(''));
+
+test('encodes a version 1 QR code', () => {
+  // Reference output for "ICELBC", byte mode, level M, mask 3.
+  expect(toRows(encodeQr('ICELBC', { mask: 3 }))).toEqual([
+    '#######.#.#...#######',
+    '#.....#.#...#.#.....#',
+    '#.###.#...###.#.###.#',
+    '#.###.#.##..#.#.###.#',
+    '#.###.#..#....#.###.#',
+    '#.....#..##...#.....#',
+    '#######.#.#.#.#######',
+    '........###..........',
+    '#.##.###..#...#..#.##',
+    '##..##..###.#..#..#..',
+    '..#...#.#...#####.###',
+    '#.#.#...##..##...#...',
+    '....###..###.#..#.#.#',
+    '........###..#......#',
+    '#######.###..##.##...',
+    '#.....#.#..####.###.#',
+    '#.###.#....#..#..#.##',
+    '#.###.#.#.#..#..####.',
+    '#.###.#.#.##.#....#..',
+    '#.....#..#.##.#.#...#',
+    '#######.#..##...#....',
+  ]);
+});
+
+test('grows the version with the payload and rejects oversized text', () => {
+  expect(encodeQr('x'.repeat(14))).toHaveLength(21);
+  expect(encodeQr('x'.repeat(15))).toHaveLength(25);
+  expect(encodeQr('x'.repeat(MAX_QR_BYTES))).toHaveLength(57);
+  expect(() => encodeQr('x'.repeat(MAX_QR_BYTES + 1))).toThrow(RangeError);
+});
@@ -0,0 +1,156 @@
+import { SCREENS } from './tracking';
+import { getPrivilegeEligibility } from './privileges';
+
+// "Recommended for you": ranks product offers and privileges by the interests
+// the customer declared, the products they already hold and what they have
+// looked at in the app. Each item belongs to an interest topic (one of
+// PRODUCT_CATEGORIES) and scores points for each rule it matches; the rules
+// and their weights live in DEFAULT_RECOMMENDATION_RULES, with per-screen
+// overrides in SCREEN_RECOMMENDATION_RULES.
+
+// Interests offered in registration and on the profile screen.
+export const PRODUCT_CATEGORIES = ['health', 'life', 'tax_saving'];
+
+/**
+ * @typedef {Object} RecommendationRules
+ * @property {number} maxItems
+ * @property {number} minScore                   Items scoring less are not shown
+ * @property {{interest: number, heldProduct: number, behaviour: number}} weights
+ * @property {number} behaviourHalfLifeDays      Behaviour counts half as much after this long
+ * @property {Object<string, string>} policyTypeTopics        Topic of each policy type
+ * @property {Object<string, string>} privilegeCategoryTopics Topic of each privilege category; others have none
+ */
+
+/** @type {RecommendationRules} */
+export const DEFAULT_RECOMMENDATION_RULES = Object.freeze({
+  maxItems: 3,
+  minScore: 1,
+  weights: { interest: 3, heldProduct: 1, behaviour: 2 },
+  behaviourHalfLifeDays: 14,
+  policyTypeTopics: { health: 'health', life: 'life', savings: 'tax_saving' },
+  privilegeCategoryTopics: { health: 'health', finance: 'tax_saving' },
+});
+
+// Per-screen overrides of DEFAULT_RECOMMENDATION_RULES.
+export const SCREEN_RECOMMENDATION_RULES = {
+  // The menu already lists every feature; keep the section short.
+  [SCREENS.FEATURES_MENU]: { maxItems: 2 },
+};
+
+export const getRecommendationRules = (screen, overrides = {}) => ({
+  ...DEFAULT_RECOMMENDATION_RULES,
+  ...SCREEN_RECOMMENDATION_RULES[screen],
+  ...overrides,
+});
+
+export const getPolicyTopic = (policy, rules = DEFAULT_RECOMMENDATION_RULES) => rules.policyTypeTopics[policy.type] || null;
+
+export const getPrivilegeTopic = (privilege, rules = DEFAULT_RECOMMENDATION_RULES) => rules.privilegeCategoryTopics[privilege.category] || null;
+
+/**
+ * @typedef {Object} Recommendation
+ * @property {'offer'|'privilege'} kind
+ * @property {Object} item             The Offer or Privilege
+ * @property {string} topic
+ * @property {number} score
+ * @property {('interest'|'held_product'|'behaviour')[]} reasons
+ */
+
+// Offers for a product type the customer already holds and privileges they
+// can't redeem are left out. Ties keep offers before privileges, in API order.
+/** @returns {Recommendation[]} */
+export const rankRecommendations = ({ offers = [], privileges = [], policies = [], interests = [], signals = {} }, rules = DEFAULT_RECOMMENDATION_RULES, { now = Date.now() } = {}) => {
+  const activePolicies = policies.filter(policy => policy.status === 'active');
+  const heldTypes = new Set(activePolicies.map(policy => policy.type));
+  const heldTopics = new Set(activePolicies.map(policy => getPolicyTopic(policy, rules)).filter(Boolean));
+  const strongestSignal = Math.max(0, ...Object.values(signals));
+
+  const score = (kind, item, topic) => {
+    const reasons = [];
+    let total = 0;
+    if (topic && interests.includes(topic)) {
+      total += rules.weights.interest;
+      reasons.push('interest');
+    }
+    if (topic && heldTopics.has(topic)) {
+      total += rules.weights.heldProduct;
+      reasons.push('held_product');
+    }
+    if (topic && signals[topic] > 0) {
+      total += rules.weights.behaviour * (signals[topic] / strongestSignal);
+      reasons.push('behaviour');
+    }
+    return { kind, item, topic, score: total, reasons };
+  };
+
+  return [
+    ...offers
+      .filter(offer => !heldTypes.has(offer.productType))
+      .map(offer => score('offer', offer, offer.category)),
+    ...privileges
+      .filter(privilege => getPrivilegeEligibility(privilege, policies, { now }).eligible)
+      .map(privilege => score('privilege', privilege, getPrivilegeTopic(privilege, rules))),
+  ]
+    .filter(recommendation => recommendation.score >= rules.minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, rules.maxItems);
+};
+
+// --- Behaviour ---
+
+const SIGNALS_PREFIX = 'icelbc_interest_signals_';
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws in some sandboxed webviews.
+    return null;
+  }
+};
+
+// Counts, per LINE user and topic, the products and privileges the customer
+// opened. Older interest fades: a count halves every `halfLifeDays`.
+export const createInterestSignals = ({ storage = getDefaultStorage(), now = () => Date.now(), halfLifeDays = DEFAULT_RECOMMENDATION_RULES.behaviourHalfLifeDays } = {}) => {
+  const storageKey = (userId) => `${SIGNALS_PREFIX}${userId}`;
+  const halfLifeMs = halfLifeDays * 24 * 60 * 60 * 1000;
+
+  const decayed = ({ count, updatedAt }) => count * 0.5 ** ((now() - updatedAt) / halfLifeMs);
+
+  const read = (userId) => {
+    try {
+      return JSON.parse(storage.getItem(storageKey(userId))) || {};
+    } catch (e) {
+      return {};
+    }
+  };
+
+  // Returns the current count per topic.
+  /** @returns {Object<string, number>} */
+  const load = (userId) => (storage && userId
+    ? Object.fromEntries(Object.entries(read(userId)).map(([topic, signal]) => [topic, decayed(signal)]))
+    : {});
+
+  const record = (userId, topic) => {
+    if (!storage || !userId || !PRODUCT_CATEGORIES.includes(topic)) return;
+    const signals = read(userId);
+    signals[topic] = { count: (signals[topic] ? decayed(signals[topic]) : 0) + 1, updatedAt: now() };
+    try {
+      storage.setItem(storageKey(userId), JSON.stringify(signals));
+    } catch (e) {
+      console.error('Failed to save interest signals:', e);
+    }
+  };
+
+  const clear = (userId) => {
+    try {
+      storage?.removeItem(storageKey(userId));
+    } catch (e) {
+      // Nothing to clear.
+    }
+  };
+
+  return { load, record, clear };
+};
+
+export const interestSignals = createInterestSignals();
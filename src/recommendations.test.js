@@ -0,0 +1,50 @@
+import { createInterestSignals, getRecommendationRules, rankRecommendations } from './recommendations';
+import { fixtures } from './mockBackend';
+import { SCREENS } from './tracking';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-07-01T12:00:00+07:00').getTime();
+const { offers, privileges, policies } = fixtures;
+const ids = recommendations => recommendations.map(({ kind, item }) => `${kind}:${item.id}`);
+
+test('ranks declared interests first and leaves out products already held', () => {
+  const ranked = rankRecommendations({ offers, privileges, policies, interests: ['tax_saving'] }, getRecommendationRules(SCREENS.COMPLETED, { maxItems: 10 }), { now });
+
+  // Active health and life policies: their offers are hidden, and health privileges count as held products.
+  expect(ids(ranked)).toEqual(['offer:annuity-sure', 'offer:ci-supercare', 'privilege:free-coverage']);
+  expect(ranked[0]).toMatchObject({ topic: 'tax_saving', score: 3, reasons: ['interest'] });
+  expect(ranked[1]).toMatchObject({ topic: 'health', score: 1, reasons: ['held_product'] });
+});
+
+test('weighs recent behaviour and applies per-screen limits', () => {
+  const ranked = rankRecommendations({ offers, privileges, policies: [], interests: ['life'], signals: { health: 4, life: 1 } }, getRecommendationRules(SCREENS.FEATURES_MENU), { now });
+
+  // Without policies the health-only and tax privileges can't be redeemed.
+  expect(ids(ranked)).toEqual(['offer:legacy-prestige', 'offer:health-saver']);
+  expect(ranked[0].score).toBeCloseTo(3.5);
+  expect(ranked[1]).toMatchObject({ score: 2, reasons: ['behaviour'] });
+});
+
+test('recommends nothing without interests, products or behaviour', () => {
+  expect(rankRecommendations({ offers, privileges, policies: [], interests: [] }, getRecommendationRules(SCREENS.COMPLETED), { now })).toEqual([]);
+});
+
+test('keeps behaviour signals per user and lets them fade', () => {
+  window.localStorage.clear();
+  let time = now;
+  const signals = createInterestSignals({ now: () => time, halfLifeDays: 14 });
+  signals.record('U1', 'health');
+  signals.record('U1', 'health');
+  signals.record('U1', 'lifestyle');
+
+  expect(signals.load('U1')).toEqual({ health: 2 });
+  expect(signals.load('U2')).toEqual({});
+
+  time += 14 * DAY_MS;
+  expect(signals.load('U1').health).toBeCloseTo(1);
+  signals.record('U1', 'health');
+  expect(signals.load('U1').health).toBeCloseTo(2);
+
+  signals.clear('U1');
+  expect(signals.load('U1')).toEqual({});
+});
@@ -0,0 +1,131 @@
+import { createFieldEncryption } from './fieldEncryption';
+
+// New-customer registration progress, saved per LINE user so a customer whose
+// LIFF window closes (e.g. while reading the OTP in their SMS app) can continue
+// where they left off. Sensitive fields are encrypted (see fieldEncryption.js);
+// without WebCrypto they are not saved and have to be entered again.
+
+const configuredHours = Number(process.env.REACT_APP_REGISTRATION_DRAFT_TTL_HOURS);
+
+export const REGISTRATION_DRAFT_TTL_MS = (configuredHours > 0 ? configuredHours : 24) * 60 * 60 * 1000;
+
+// Form fields that identify the customer are only stored encrypted, together
+// with the phone number of the pending OTP request.
+const SENSITIVE_FIELDS = ['nid', 'phone', 'firstName', 'lastName'];
+
+const draftKey = (lineUserId) => `icelbc_registration_draft_${lineUserId}`;
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws in some sandboxed webviews.
+    return null;
+  }
+};
+
+/**
+ * @typedef {Object} RegistrationDraft
+ * @property {'form'|'otp'} step                  Step to resume at
+ * @property {{firstName: string, lastName: string, phone: string, nid: string}} formData  As entered in the form
+ * @property {string[]} interests
+ * @property {Object<string, boolean>} consents   Consent checkboxes by purpose
+ * @property {Object|null} consent                Recorded consent, once the OTP was requested
+ * @property {Object|null} otpRequest             Pending OTP request (see otpService.js)
+ * @property {number} savedAt
+ */
+
+export const createRegistrationDrafts = ({
+  storage = getDefaultStorage(),
+  encryption = createFieldEncryption(),
+  ttlMs = REGISTRATION_DRAFT_TTL_MS,
+  now = () => Date.now(),
+} = {}) => {
+  // Writes run one after another, so a slow encryption can't let an older
+  // draft overwrite a newer one, or a save undo a clear.
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const read = (lineUserId) => {
+    try {
+      return JSON.parse(storage.getItem(draftKey(lineUserId)));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const remove = (lineUserId) => {
+    try {
+      storage?.removeItem(draftKey(lineUserId));
+    } catch (e) {
+      // Nothing to clear.
+    }
+  };
+
+  const write = (lineUserId, draft) => {
+    const formData = { ...draft.formData };
+    const sensitive = {};
+    SENSITIVE_FIELDS.forEach(field => {
+      sensitive[field] = formData[field] || '';
+      delete formData[field];
+    });
+    const otpRequest = draft.otpRequest && { ...draft.otpRequest };
+    if (otpRequest) {
+      sensitive.otpPhone = otpRequest.phone || '';
+      delete otpRequest.phone;
+    }
+    return encryption.encrypt(JSON.stringify(sensitive), lineUserId)
+      .catch(error => {
+        console.warn('Saving the registration draft without sensitive fields:', error);
+        return null;
+      })
+      .then(encrypted => {
+        const saved = { ...draft, formData, otpRequest, encrypted, savedAt: now() };
+        try {
+          storage.setItem(draftKey(lineUserId), JSON.stringify(saved));
+        } catch (e) {
+          console.error('Failed to save registration draft:', e);
+        }
+        return { ...draft, savedAt: saved.savedAt };
+      });
+  };
+
+  // Resolves with the draft, or null when there is none or it has expired.
+  /** @returns {Promise<RegistrationDraft|null>} */
+  const load = (lineUserId) => {
+    if (!storage || !lineUserId) return Promise.resolve(null);
+    return queue.then(() => {
+      const stored = read(lineUserId);
+      if (!stored) return null;
+      if (now() - stored.savedAt > ttlMs) {
+        remove(lineUserId);
+        return null;
+      }
+      const { encrypted, ...draft } = stored;
+      const blank = Object.fromEntries(SENSITIVE_FIELDS.map(field => [field, '']));
+      return (encrypted ? encryption.decrypt(encrypted, lineUserId).then(JSON.parse) : Promise.resolve(blank))
+        .catch(() => blank)
+        .then(({ otpPhone = '', ...fields }) => ({
+          ...draft,
+          formData: { ...draft.formData, ...blank, ...fields },
+          otpRequest: draft.otpRequest && { ...draft.otpRequest, phone: otpPhone },
+        }));
+    });
+  };
+
+  /** @returns {Promise<RegistrationDraft>} */
+  const save = (lineUserId, draft) => (storage && lineUserId ? enqueue(() => write(lineUserId, draft)) : Promise.resolve(draft));
+
+  // Merges `changes` into the saved draft; does nothing when there is none.
+  const update = (lineUserId, changes) => load(lineUserId).then(draft => (draft ? save(lineUserId, { ...draft, ...changes }) : null));
+
+  const clear = (lineUserId) => enqueue(() => remove(lineUserId));
+
+  return { load, save, update, clear };
+};
+
+export const registrationDrafts = createRegistrationDrafts();
@@ -0,0 +1,92 @@
+import { createFieldEncryption, createMemoryKeyStore } from './fieldEncryption';
+import { createRegistrationDrafts } from './registrationDraft';
+
+const formDraft = {
+  step: 'form',
+  formData: { firstName: 'Somchai', lastName: 'Jaidee', phone: '081-234-5678', nid: '1-2345-67890-12-1' },
+  interests: ['health'],
+  consents: { service: true },
+  consent: null,
+  otpRequest: null,
+};
+
+let time;
+const createDrafts = (options = {}) => createRegistrationDrafts({
+  encryption: createFieldEncryption({ keyStore: createMemoryKeyStore() }),
+  ttlMs: 1000,
+  now: () => time,
+  ...options,
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+  time = 0;
+});
+
+test('saves drafts per LINE user with the NID, name and phone number encrypted', () => {
+  const drafts = createDrafts();
+  return drafts.save('U1', formDraft)
+    .then(() => {
+      const stored = window.localStorage.getItem('icelbc_registration_draft_U1');
+      expect(stored).toContain('health');
+      ['67890', 'Somchai', 'Jaidee', '234-5678'].forEach(value => expect(stored).not.toContain(value));
+      return Promise.all([drafts.load('U1'), drafts.load('U2')]);
+    })
+    .then(([draft, other]) => {
+      expect(draft).toEqual({ ...formDraft, savedAt: 0 });
+      expect(other).toBeNull();
+    });
+});
+
+test('drops drafts older than the TTL', () => {
+  const drafts = createDrafts();
+  return drafts.save('U1', formDraft)
+    .then(() => {
+      time = 1001;
+      return drafts.load('U1');
+    })
+    .then(draft => {
+      expect(draft).toBeNull();
+      expect(window.localStorage.getItem('icelbc_registration_draft_U1')).toBeNull();
+    });
+});
+
+test('keeps the phone number of the pending OTP request encrypted', () => {
+  const drafts = createDrafts();
+  const otpDraft = { ...formDraft, step: 'otp', otpRequest: { requestId: 'otp-1', phone: '+66812345678', expiresAt: 300000 } };
+  return drafts.save('U1', otpDraft)
+    .then(() => {
+      expect(window.localStorage.getItem('icelbc_registration_draft_U1')).not.toContain('812345678');
+      return drafts.load('U1');
+    })
+    .then(draft => expect(draft).toEqual({ ...otpDraft, savedAt: 0 }));
+});
+
+test('keeps the rest of the draft when the sensitive fields cannot be encrypted or decrypted', () => {
+  const withoutCrypto = createDrafts({ encryption: createFieldEncryption({ subtle: null, keyStore: createMemoryKeyStore() }) });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  return withoutCrypto.save('U1', formDraft)
+    .then(() => createDrafts().load('U1'))
+    .then(draft => {
+      expect(draft.formData).toEqual({ firstName: '', lastName: '', phone: '', nid: '' });
+      expect(draft.interests).toEqual(formDraft.interests);
+      return createDrafts().save('U1', formDraft);
+    })
+    // A new key (e.g. IndexedDB was cleared) can't read the saved NID.
+    .then(() => createDrafts().load('U1'))
+    .then(draft => expect(draft.formData.nid).toBe(''))
+    .finally(() => console.warn.mockRestore());
+});
+
+test('applies saves, updates and clears in order', () => {
+  const drafts = createDrafts();
+  drafts.save('U1', formDraft);
+  drafts.save('U1', { ...formDraft, step: 'otp', otpRequest: { requestId: 'otp-1' } });
+  return drafts.update('U1', { otpRequest: { requestId: 'otp-2' } })
+    .then(draft => {
+      expect(draft).toMatchObject({ step: 'otp', otpRequest: { requestId: 'otp-2' }, formData: formDraft.formData });
+      drafts.clear('U1');
+      return drafts.load('U1');
+    })
+    .then(draft => expect(draft).toBeNull());
+});
@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Minimal hash router. Paths live in the URL fragment (`#/policies/2`) so
+// deep links from the LINE rich menu and push messages work on static hosting,
+// and each navigation adds a history entry for the LINE browser back button.
+
+const compilePath = (path) => {
+  const keys = [];
+  const pattern = path
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { keys, regex: new RegExp(`^${pattern}/?$`) };
+};
+
+export const parseHash = (hash) => {
+  const raw = (hash || '').replace(/^#/, '');
+  const [pathPart, queryPart = ''] = raw.split('?');
+  // Legacy links such as `#policies` have no leading slash.
+  const path = pathPart.startsWith('/') ? pathPart : `/${pathPart}`;
+  const query = Object.fromEntries(new URLSearchParams(queryPart));
+  return { path, query };
+};
+
+export const createRouter = (routes, { fallback } = {}) => {
+  const compiled = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+
+  // A param that isn't valid percent-encoding (e.g. a truncated `%E0` in a
+  // pasted link) matches nothing, so the link opens the fallback route.
+  const match = (path) => {
+    for (const route of compiled) {
+      const result = route.regex.exec(path);
+      if (result) {
+        try {
+          const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(result[i + 1])]));
+          return { ...route, params };
+        } catch (e) {
+          return null;
+        }
+      }
+    }
+    return null;
+  };
+
+  const buildPath = (name, params = {}, query = {}) => {
+    const route = compiled.find(r => r.name === name);
+    if (!route) throw new Error(`Unknown route: ${name}`);
+    const path = route.path.replace(/:([^/]+)/g, (_, key) => {
+      if (params[key] === undefined) throw new Error(`Missing param "${key}" for route ${name}`);
+      return encodeURIComponent(params[key]);
+    });
+    const search = new URLSearchParams(query).toString();
+    return search ? `${path}?${search}` : path;
+  };
+
+  const resolve = (hash) => {
+    const { path, query } = parseHash(hash);
+    const matched = match(path) || match(buildPath(fallback));
+    return { ...matched, path, query };
+  };
+
+  return { routes: compiled, match, buildPath, resolve };
+};
+
+// Keeps the current route in sync with `window.location.hash`.
+export const useHashRouter = (router) => {
+  const [route, setRoute] = useState(() => router.resolve(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(router.resolve(window.location.hash));
+    handleHashChange();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [router]);
+
+  const navigateToPath = useCallback((path, { replace = false } = {}) => {
+    const hash = `#${path}`;
+    if (replace) {
+      window.history.replaceState(window.history.state, '', hash);
+      setRoute(router.resolve(hash));
+    } else if (window.location.hash !== hash) {
+      window.location.hash = hash;
+    } else {
+      setRoute(router.resolve(hash));
+    }
+  }, [router]);
+
+  const navigate = useCallback((name, params, { query, replace } = {}) => {
+    navigateToPath(router.buildPath(name, params, query), { replace });
+  }, [router, navigateToPath]);
+
+  return { route, navigate, navigateToPath };
+};
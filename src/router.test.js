@@ -0,0 +1,37 @@
+import { createRouter, parseHash } from './router';
+
+const router = createRouter([
+  { name: 'home', path: '/' },
+  { name: 'policies', path: '/policies' },
+  { name: 'policy', path: '/policies/:policyId' },
+], { fallback: 'home' });
+
+test('matches paths with params', () => {
+  expect(router.resolve('#/policies/2')).toMatchObject({ name: 'policy', params: { policyId: '2' } });
+  expect(router.resolve('#/policies/')).toMatchObject({ name: 'policies' });
+});
+
+test('accepts legacy hashes without a leading slash', () => {
+  expect(router.resolve('#policies')).toMatchObject({ name: 'policies' });
+});
+
+test('falls back for empty and unknown hashes', () => {
+  expect(router.resolve('')).toMatchObject({ name: 'home' });
+  expect(router.resolve('#/nowhere')).toMatchObject({ name: 'home', path: '/nowhere' });
+});
+
+test('falls back for params that are not valid percent-encoding', () => {
+  expect(router.resolve('#/policies/%E0')).toMatchObject({ name: 'home', params: {} });
+  expect(router.resolve('#/policies/%E0%B8%81')).toMatchObject({ name: 'policy', params: { policyId: 'ก' } });
+});
+
+test('builds paths with params and query', () => {
+  expect(router.buildPath('policy', { policyId: 3 })).toBe('/policies/3');
+  expect(router.buildPath('home', {}, { redirect: '/policies/3' })).toBe('/?redirect=%2Fpolicies%2F3');
+  expect(parseHash('#/?redirect=%2Fpolicies%2F3').query).toEqual({ redirect: '/policies/3' });
+});
+
+test('rejects unknown routes and missing params', () => {
+  expect(() => router.buildPath('claims')).toThrow(/Unknown route/);
+  expect(() => router.buildPath('policy')).toThrow(/Missing param/);
+});
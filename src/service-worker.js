@@ -0,0 +1,91 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker, compiled by react-scripts (Workbox InjectManifest) and
+// registered in production builds only (see serviceWorkerRegistration.js).
+//
+// - Precaches the app shell: index.html, the JS/CSS bundles, the self-hosted
+//   Inter font files and the icons in src/icons, so the app opens offline.
+// - Keeps images from other origins (privilege artwork) for offline viewing.
+// - Keeps an outbox for requests that change data. When one fails for lack of
+//   a connection it is stored, the page gets a 202 with code QUEUED_OFFLINE,
+//   and Background Sync sends it once the device is back online (browsers
+//   without Background Sync retry when the worker next starts). Only
+//   idempotent requests are queued, so a replay never creates a duplicate:
+//   events carry IDs and claims a clientReference. Consent records are not
+//   queued here: consent.js keeps them until the endpoint itself answers.
+//
+// Policy, claim and privilege data is kept by the page instead (see
+// offlineCache.js), because screens show when it was last updated.
+
+import { Queue } from 'workbox-background-sync';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Screens live in the URL hash, so every navigation gets the app shell.
+// Requests for files (e.g. /manifest.json) go to the network as usual.
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !/\/[^/?]+\.[^/]+$/.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`),
+);
+
+registerRoute(
+  ({ request, url }) => request.destination === 'image' && url.origin !== self.location.origin,
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  }),
+);
+
+// --- Outbox ---
+
+// Tracking collector (see tracking.js).
+const COLLECTOR_URLS = [
+  process.env.REACT_APP_TRACKING_API_URL || 'https://icecdp.onrender.com/events',
+];
+
+const API_URL = process.env.REACT_APP_API_URL;
+
+// Customer API requests that are safe to send later.
+const QUEUED_API_ROUTES = [
+  { method: 'POST', pattern: /^\/claims$/ },
+  { method: 'POST', pattern: /^\/claims\/[^/]+\/documents$/ },
+  { method: 'PUT', pattern: /^\/customers\/me\/reminders$/ },
+  { method: 'PUT', pattern: /^\/customers\/me\/interests$/ },
+];
+
+const outbox = new Queue('outbox', { maxRetentionTime: 7 * 24 * 60 });
+
+const isQueueable = ({ request, url }) => {
+  const href = url.href.split('?')[0];
+  if (request.method === 'POST' && COLLECTOR_URLS.includes(href)) return true;
+  if (!API_URL || !href.startsWith(API_URL)) return false;
+  const path = href.slice(API_URL.length);
+  return QUEUED_API_ROUTES.some(route => route.method === request.method && route.pattern.test(path));
+};
+
+const sendOrQueue = async ({ request }) => {
+  const copy = request.clone();
+  try {
+    return await fetch(request);
+  } catch (error) {
+    await outbox.pushRequest({ request: copy });
+    return new Response(JSON.stringify({ code: 'QUEUED_OFFLINE', message: 'Offline. The request will be sent when the connection is back.' }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+};
+
+registerRoute(isQueueable, sendOrQueue, 'POST');
+registerRoute(isQueueable, sendOrQueue, 'PUT');
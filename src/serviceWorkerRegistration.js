@@ -0,0 +1,16 @@
+// Registers the service worker built from src/service-worker.js. Production
+// builds only: in development it would keep serving old bundles.
+//
+// A new version of the worker waits until every LIFF window running the old
+// one is closed, so a page never mixes bundles from two releases.
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // A worker can only control pages on its own origin (PUBLIC_URL may be a CDN).
+  if (new URL(process.env.PUBLIC_URL, window.location.href).origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
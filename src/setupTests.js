@@ -3,3 +3,10 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom does not provide WebCrypto or TextEncoder; use Node's implementations.
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+Object.assign(global, { TextEncoder, TextDecoder });
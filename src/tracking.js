@@ -0,0 +1,265 @@
+import { createEventQueue, generateEventId } from './eventQueue';
+import { PAYMENT_STATUSES } from './payments';
+
+// Tracking event catalog and tracker.
+//
+// Every event has a stable name from `EVENTS` and structured properties that
+// are checked against the catalog before queueing. Outside production an
+// invalid event throws so mistakes surface at the call site; in production it
+// is dropped with a warning. Each event also carries session and attribution
+// context so the CDP can group events by session and campaign.
+
+export const SCREENS = Object.freeze({
+  WELCOME: 'welcome',
+  EXISTING_CUSTOMER_LOGIN: 'existing_customer_login',
+  NEW_CUSTOMER_FORM: 'new_customer_form',
+  OTP: 'otp_screen',
+  COMPLETED: 'completed_screen',
+  FEATURES_MENU: 'features_menu',
+  MY_POLICIES: 'my_policies_list',
+  POLICY_DETAILS: 'policy_details',
+  MY_CLAIMS: 'my_claims_list',
+  CLAIM_DETAILS: 'claim_details',
+  PRIVILEGES: 'privileges_list',
+  CONSENT_SETTINGS: 'consent_settings',
+  NEW_CLAIM: 'new_claim',
+  CLAIM_DOCUMENTS: 'claim_documents',
+  PRIVILEGE_DETAILS: 'privilege_details',
+  REDEEMED_PRIVILEGES: 'redeemed_privileges',
+  PREMIUM_PAYMENT: 'premium_payment',
+  PROFILE: 'profile',
+});
+
+const SCREEN_NAMES = Object.values(SCREENS);
+
+// What happened at a funnel step (see EVENTS.FUNNEL_STEP).
+export const FUNNEL_ACTIONS = Object.freeze(['view', 'complete', 'back', 'save_draft', 'resume', 'restart', 'submit', 'submit_failed']);
+
+// Result of a privilege redemption (see EVENTS.PRIVILEGE_REDEEM).
+export const REDEMPTION_OUTCOMES = Object.freeze(['redeemed', 'not_eligible', 'expired', 'failed']);
+
+const isSnakeCase = value => typeof value === 'string' && /^[a-z][a-z0-9_]*$/.test(value);
+
+const PROPERTY_TYPES = {
+  screen: value => SCREEN_NAMES.includes(value),
+  element: isSnakeCase,
+  itemId: value => (typeof value === 'string' && value !== '') || Number.isFinite(value),
+  value: value => typeof value === 'string' && value !== '',
+  depth: value => Number.isFinite(value) && value >= 0 && value <= 100,
+  duration: value => Number.isFinite(value) && value >= 0,
+  totalDuration: value => Number.isFinite(value) && value >= 0,
+  position: value => Number.isInteger(value) && value >= 0,
+  language: value => typeof value === 'string' && value !== '',
+  funnel: isSnakeCase,
+  step: value => Number.isInteger(value) && value >= 1,
+  stepName: isSnakeCase,
+  action: value => FUNNEL_ACTIONS.includes(value),
+  outcome: value => REDEMPTION_OUTCOMES.includes(value),
+  status: value => PAYMENT_STATUSES.includes(value),
+  interests: value => Array.isArray(value) && value.every(isSnakeCase),
+};
+
+/**
+ * @typedef {Object} EventDefinition
+ * @property {string} name         Event name sent to the CDP
+ * @property {string[]} required   Property names that must be present
+ * @property {string[]} [optional] Property names that may be present
+ */
+
+/** @type {Object<string, EventDefinition>} */
+export const EVENTS = Object.freeze({
+  SCREEN_VIEW: { name: 'screen_view', required: ['screen'], optional: ['itemId'] },
+  ELEMENT_CLICK: { name: 'element_click', required: ['screen', 'element'], optional: ['itemId', 'value'] },
+  SCROLL_DEPTH: { name: 'scroll_depth', required: ['screen', 'depth'], optional: ['itemId'] },
+  // `duration` is active seconds (visible and not idle); `totalDuration` is wall-clock seconds.
+  VIEW_DURATION: { name: 'view_duration', required: ['screen', 'duration'], optional: ['itemId', 'totalDuration'] },
+  ITEM_IMPRESSION: { name: 'item_impression', required: ['screen', 'element', 'itemId'], optional: ['position'] },
+  LANGUAGE_CHANGE: { name: 'language_change', required: ['language'] },
+  // Multi-step flows such as claim submission; drop-off shows as `view` without `complete`.
+  FUNNEL_STEP: { name: 'funnel_step', required: ['screen', 'funnel', 'step', 'stepName', 'action'], optional: ['itemId', 'value'] },
+  // `value` is the voucher's code type (qr or barcode) when redeemed.
+  PRIVILEGE_REDEEM: { name: 'privilege_redeem', required: ['screen', 'itemId', 'outcome'], optional: ['value'] },
+  // `itemId` is the policy; sent with status `pending` when the QR code is shown and again when the payment settles.
+  PREMIUM_PAYMENT: { name: 'premium_payment', required: ['screen', 'itemId', 'status'] },
+  // Interests the customer declared at registration or changed on the profile screen.
+  INTERESTS_UPDATE: { name: 'interests_update', required: ['screen', 'interests'] },
+});
+
+const CATALOG = Object.values(EVENTS);
+
+export class TrackingError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'TrackingError';
+    this.problems = problems;
+  }
+}
+
+// Returns a list of problems; empty when the event matches the catalog.
+export const validateEvent = (event, properties = {}) => {
+  if (!CATALOG.includes(event)) return ['unknown event'];
+  const allowed = [...event.required, ...(event.optional || [])];
+  const problems = [];
+  for (const key of event.required) {
+    if (properties[key] === undefined) problems.push(`missing property "${key}"`);
+  }
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === undefined) continue;
+    if (!allowed.includes(key)) problems.push(`unexpected property "${key}"`);
+    else if (!PROPERTY_TYPES[key](value)) problems.push(`invalid value for "${key}": ${JSON.stringify(value)}`);
+  }
+  return problems;
+};
+
+// --- Session and attribution ---
+
+const SESSION_STORAGE_KEY = 'icelbc_tracking_session';
+const UTM_KEYS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const getDefaultStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.sessionStorage : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// UTM parameters can sit in the query string (LIFF URLs) or in the hash
+// route's query (rich-menu deep links such as #/policies?utm_source=richmenu).
+export const parseUtm = ({ search = '', hash = '' } = {}) => {
+  const hashQuery = hash.includes('?') ? hash.slice(hash.indexOf('?') + 1) : '';
+  const utm = {};
+  for (const query of [hashQuery, search]) {
+    const params = new URLSearchParams(query);
+    for (const key of UTM_KEYS) {
+      const value = params.get(`utm_${key}`);
+      if (value && !utm[key]) utm[key] = value;
+    }
+  }
+  return utm;
+};
+
+/**
+ * @typedef {Object} TrackingContext
+ * @property {string} sessionId
+ * @property {string} appVersion
+ * @property {string|null} liffContextType  'utou', 'group', 'external', ...
+ * @property {Object<string, string>} utm    source, medium, campaign, term, content
+ * @property {string} referrer
+ * @property {Object<string, string>} experiments  Variant of each experiment the user has seen (see experiments.js)
+ */
+
+export const createTracker = ({
+  queue,
+  storage = getDefaultStorage(),
+  appVersion = 'dev',
+  // A new session starts after this long without events.
+  sessionTimeoutMs = 30 * 60 * 1000,
+  strict = process.env.NODE_ENV !== 'production',
+  getLocation = () => (typeof window !== 'undefined' ? window.location : {}),
+  getReferrer = () => (typeof document !== 'undefined' ? document.referrer : ''),
+  now = () => Date.now(),
+}) => {
+  let session = null;
+  let extraContext = { liffContextType: null, experiments: {} };
+
+  const loadSession = () => {
+    try {
+      return JSON.parse(storage?.getItem(SESSION_STORAGE_KEY)) || null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const saveSession = () => {
+    try {
+      storage?.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } catch (e) {
+      // The session will just restart on the next page load.
+    }
+  };
+
+  const touchSession = () => {
+    const current = session || loadSession();
+    const time = now();
+    if (current && time - current.lastActivityAt < sessionTimeoutMs) {
+      session = { ...current, lastActivityAt: time };
+    } else {
+      session = {
+        id: generateEventId(),
+        startedAt: time,
+        lastActivityAt: time,
+        utm: parseUtm(getLocation()),
+        referrer: getReferrer() || '',
+      };
+    }
+    saveSession();
+    return session;
+  };
+
+  /** @returns {TrackingContext} */
+  const getContext = () => {
+    const current = touchSession();
+    return {
+      sessionId: current.id,
+      appVersion,
+      ...extraContext,
+      utm: current.utm,
+      referrer: current.referrer,
+    };
+  };
+
+  // Returns the queued event, or null when an invalid event was dropped.
+  const track = (event, properties = {}, lineProfile = null) => {
+    const problems = validateEvent(event, properties);
+    if (problems.length > 0) {
+      const error = new TrackingError(`Invalid tracking event ${event?.name || String(event)}: ${problems.join(', ')}`, problems);
+      if (strict) throw error;
+      console.warn(error.message);
+      return null;
+    }
+
+    const cleaned = Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== undefined));
+    if (cleaned.itemId !== undefined) cleaned.itemId = String(cleaned.itemId);
+
+    const eventData = {
+      eventId: generateEventId(),
+      eventName: event.name,
+      eventTimestamp: new Date(now()).toISOString(),
+      properties: cleaned,
+      context: getContext(),
+      user: {
+        lineUserId: lineProfile?.userId || null,
+        displayName: lineProfile?.displayName || null,
+        pictureUrl: lineProfile?.pictureUrl || null,
+      },
+      // Legacy columns still read by the existing CDP ingestion.
+      prop1: lineProfile?.displayName || 'Unknown',
+      prop2: lineProfile?.pictureUrl || 'N/A',
+      prop3: lineProfile?.userId || 'Unknown',
+    };
+    queue.enqueue(eventData);
+    return eventData;
+  };
+
+  return {
+    track,
+    getContext,
+    // Merges context known only after startup, e.g. the LIFF context type.
+    setContext: (partial) => { extraContext = { ...extraContext, ...partial }; },
+  };
+};
+
+// Events are sent in batches of `{ events: [...] }`. REACT_APP_TRACKING_BATCH=false
+// sends one event object per POST, for a collector that doesn't take batches yet.
+const eventQueue = createEventQueue({
+  endpoint: process.env.REACT_APP_TRACKING_API_URL || 'https://icecdp.onrender.com/events',
+  payloadKey: process.env.REACT_APP_TRACKING_BATCH === 'false' ? null : 'events',
+});
+
+export const tracker = createTracker({
+  queue: eventQueue,
+  appVersion: process.env.REACT_APP_VERSION || 'dev',
+});
+
+export const startTracking = () => eventQueue.start();
@@ -0,0 +1,90 @@
+import { EVENTS, SCREENS, TrackingError, createTracker, parseUtm, validateEvent } from './tracking';
+
+const createMemoryStorage = () => {
+  const data = {};
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = value; },
+  };
+};
+
+const setup = (options = {}) => {
+  const queue = { enqueue: jest.fn() };
+  let time = Date.parse('2025-07-01T00:00:00Z');
+  const tracker = createTracker({
+    queue,
+    storage: createMemoryStorage(),
+    appVersion: '1.2.3',
+    getLocation: () => ({ search: '?utm_source=line&utm_medium=richmenu', hash: '#/policies?utm_campaign=renewal' }),
+    getReferrer: () => 'https://liff.line.me/',
+    now: () => time,
+    ...options,
+  });
+  return { tracker, queue, advance: (ms) => { time += ms; } };
+};
+
+const profile = { userId: 'U1', displayName: 'Somchai', pictureUrl: 'https://example.com/p.png' };
+
+test('validates events against the catalog', () => {
+  expect(validateEvent(EVENTS.ELEMENT_CLICK, { screen: SCREENS.WELCOME, element: 'new_customer_button' })).toEqual([]);
+  expect(validateEvent({ name: 'click_something' }, {})).toEqual(['unknown event']);
+  expect(validateEvent(EVENTS.ELEMENT_CLICK, { screen: 'home', element: 'Bad Name', colour: 'red' })).toEqual([
+    'invalid value for "screen": "home"',
+    'invalid value for "element": "Bad Name"',
+    'unexpected property "colour"',
+  ]);
+  expect(validateEvent(EVENTS.SCROLL_DEPTH, { screen: SCREENS.WELCOME })).toEqual(['missing property "depth"']);
+});
+
+test('queues structured events with user and session context', () => {
+  const { tracker, queue } = setup();
+  tracker.setContext({ liffContextType: 'utou', experiments: { welcome_buttons: 'control' } });
+
+  const event = tracker.track(EVENTS.ELEMENT_CLICK, { screen: SCREENS.MY_POLICIES, element: 'policy_item', itemId: 2 }, profile);
+
+  expect(queue.enqueue).toHaveBeenCalledWith(event);
+  expect(event).toMatchObject({
+    eventName: 'element_click',
+    eventTimestamp: '2025-07-01T00:00:00.000Z',
+    properties: { screen: 'my_policies_list', element: 'policy_item', itemId: '2' },
+    context: {
+      appVersion: '1.2.3',
+      liffContextType: 'utou',
+      experiments: { welcome_buttons: 'control' },
+      utm: { source: 'line', medium: 'richmenu', campaign: 'renewal' },
+      referrer: 'https://liff.line.me/',
+    },
+    user: { lineUserId: 'U1', displayName: 'Somchai' },
+  });
+  expect(event.context.sessionId).toBeTruthy();
+});
+
+test('keeps the session while active and starts a new one after the timeout', () => {
+  const { tracker, advance } = setup({ sessionTimeoutMs: 1000 });
+  const first = tracker.track(EVENTS.SCREEN_VIEW, { screen: SCREENS.WELCOME }, profile);
+  advance(900);
+  const second = tracker.track(EVENTS.SCREEN_VIEW, { screen: SCREENS.FEATURES_MENU }, profile);
+  advance(1500);
+  const third = tracker.track(EVENTS.SCREEN_VIEW, { screen: SCREENS.PRIVILEGES }, profile);
+
+  expect(second.context.sessionId).toBe(first.context.sessionId);
+  expect(third.context.sessionId).not.toBe(first.context.sessionId);
+});
+
+test('throws on invalid events in strict mode and drops them otherwise', () => {
+  const strict = setup();
+  expect(() => strict.tracker.track(EVENTS.SCREEN_VIEW, { screen: 'typo' })).toThrow(TrackingError);
+
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const lenient = setup({ strict: false });
+  expect(lenient.tracker.track(EVENTS.SCREEN_VIEW, { screen: 'typo' })).toBeNull();
+  expect(lenient.queue.enqueue).not.toHaveBeenCalled();
+  expect(warn).toHaveBeenCalled();
+  warn.mockRestore();
+});
+
+test('reads UTM parameters from the query string or the hash route', () => {
+  expect(parseUtm({ search: '', hash: '#/claims?utm_source=push' })).toEqual({ source: 'push' });
+  expect(parseUtm({ search: '?utm_source=ads', hash: '#/claims?utm_source=push' })).toEqual({ source: 'push' });
+  expect(parseUtm({})).toEqual({});
+});
@@ -0,0 +1,113 @@
+// Validation and input masking for customer details (Thai NID, mobile numbers, names).
+
+const onlyDigits = (value = '') => String(value).replace(/\D/g, '');
+
+// --- Thai National ID ---
+
+// 13 digits; the last is a mod-11 check digit over the first 12 weighted 13..2.
+export const isValidThaiNid = (value) => {
+  const digits = onlyDigits(value);
+  if (!/^\d{13}$/.test(digits)) return false;
+  const sum = digits
+    .slice(0, 12)
+    .split('')
+    .reduce((total, digit, i) => total + Number(digit) * (13 - i), 0);
+  return (11 - (sum % 11)) % 10 === Number(digits[12]);
+};
+
+// 1234567890123 -> 1-2345-67890-12-3, applied progressively while typing.
+export const formatThaiNid = (value) => {
+  const digits = onlyDigits(value).slice(0, 13);
+  const groups = [1, 4, 5, 2, 1];
+  const parts = [];
+  let index = 0;
+  for (const size of groups) {
+    if (index >= digits.length) break;
+    parts.push(digits.slice(index, index + size));
+    index += size;
+  }
+  return parts.join('-');
+};
+
+// --- Thai mobile numbers ---
+
+// Thai mobile numbers are 0 + [6|8|9] + 8 digits locally, +66 + [6|8|9] + 8 digits in E.164.
+export const normalizeThaiMobile = (value) => {
+  const trimmed = String(value || '').trim();
+  let digits = onlyDigits(trimmed);
+  if (trimmed.startsWith('+') || digits.startsWith('66')) {
+    digits = digits.replace(/^(00)?66/, '');
+  } else if (digits.startsWith('0066')) {
+    digits = digits.slice(4);
+  } else if (digits.startsWith('0')) {
+    digits = digits.slice(1);
+  } else {
+    return null;
+  }
+  return /^[689]\d{8}$/.test(digits) ? `+66${digits}` : null;
+};
+
+export const isValidThaiMobile = (value) => normalizeThaiMobile(value) !== null;
+
+// 0812345678 -> 081-234-5678; numbers typed with a country code keep it: +66 81 234 5678.
+// As in normalizeThaiMobile, 66… and 0066… are that country code without the plus.
+export const formatThaiMobile = (value) => {
+  const raw = String(value || '');
+  let digits = onlyDigits(raw);
+  if (raw.trim().startsWith('+') || /^(00)?66/.test(digits)) {
+    digits = digits.replace(/^0066/, '66');
+    const national = digits.slice(2, 11);
+    const parts = [national.slice(0, 2), national.slice(2, 5), national.slice(5)].filter(Boolean);
+    return ['+' + digits.slice(0, 2), ...parts].join(' ');
+  }
+  const local = digits.slice(0, 10);
+  return [local.slice(0, 3), local.slice(3, 6), local.slice(6)].filter(Boolean).join('-');
+};
+
+// --- Names ---
+
+// Thai consonants, vowels and tone marks (not ฿, ฯ, ๆ or digits); Latin letters
+// with the accented ones of Latin-1 and Latin Extended-A/B (not × or ÷).
+const THAI_LETTERS = 'ก-ฮะ-ฺเ-ๅ็-๎';
+const LATIN_LETTERS = 'A-Za-zÀ-ÖØ-öø-ɏ';
+const THAI_NAME = new RegExp(`^[${THAI_LETTERS}]+(?:[ .'-][${THAI_LETTERS}]+)*$`);
+const LATIN_NAME = new RegExp(`^[${LATIN_LETTERS}]+(?:[ .'-]{1,2}[${LATIN_LETTERS}]+)*\\.?$`);
+
+// Names are written in a single script: Thai, or Latin letters (including accents).
+export const isValidName = (value) => {
+  const name = String(value || '').trim();
+  if (name.length === 0 || name.length > 50) return false;
+  return THAI_NAME.test(name) || LATIN_NAME.test(name);
+};
+
+// --- Form validation ---
+
+// Returns `{ [field]: messageKey }` (see the `validation` catalog section) for every
+// invalid field; empty when the form is valid.
+export const validateCustomerForm = ({ firstName, lastName, phone, nid }) => {
+  const errors = {};
+  if (!firstName?.trim()) errors.firstName = 'validation.firstNameRequired';
+  else if (!isValidName(firstName)) errors.firstName = 'validation.nameInvalid';
+
+  if (!lastName?.trim()) errors.lastName = 'validation.lastNameRequired';
+  else if (!isValidName(lastName)) errors.lastName = 'validation.nameInvalid';
+
+  if (!phone?.trim()) errors.phone = 'validation.phoneRequired';
+  else if (!isValidThaiMobile(phone)) errors.phone = 'validation.phoneInvalid';
+
+  if (!nid?.trim()) errors.nid = 'validation.nidRequired';
+  else if (onlyDigits(nid).length !== 13) errors.nid = 'validation.nidLength';
+  else if (!isValidThaiNid(nid)) errors.nid = 'validation.nidChecksum';
+
+  return errors;
+};
+
+export const validateCustomerField = (field, formData) => validateCustomerForm(formData)[field];
+
+// Canonical values sent to the backend: trimmed names, E.164 phone, NID digits only.
+export const normalizeCustomerForm = ({ firstName, lastName, phone, nid }) => ({
+  firstName: firstName.trim(),
+  lastName: lastName.trim(),
+  phone: normalizeThaiMobile(phone),
+  nid: onlyDigits(nid),
+});
@@ -0,0 +1,63 @@
+import {
+  formatThaiMobile,
+  formatThaiNid,
+  isValidName,
+  isValidThaiNid,
+  normalizeThaiMobile,
+  validateCustomerForm,
+} from './validation';
+
+test('checks the Thai NID mod-11 check digit', () => {
+  expect(isValidThaiNid('1234567890121')).toBe(true);
+  expect(isValidThaiNid('1-2345-67890-12-1')).toBe(true);
+  expect(isValidThaiNid('1234567890122')).toBe(false);
+  expect(isValidThaiNid('123456789012')).toBe(false);
+});
+
+test('masks the NID while typing', () => {
+  expect(formatThaiNid('1')).toBe('1');
+  expect(formatThaiNid('12345')).toBe('1-2345');
+  expect(formatThaiNid('1234567890123')).toBe('1-2345-67890-12-3');
+  expect(formatThaiNid('1-2345-67890-12-3999')).toBe('1-2345-67890-12-3');
+});
+
+test('normalises Thai mobile numbers to E.164', () => {
+  expect(normalizeThaiMobile('0812345678')).toBe('+66812345678');
+  expect(normalizeThaiMobile('081-234-5678')).toBe('+66812345678');
+  expect(normalizeThaiMobile('+66 81 234 5678')).toBe('+66812345678');
+  expect(normalizeThaiMobile('66812345678')).toBe('+66812345678');
+  expect(normalizeThaiMobile('0066812345678')).toBe('+66812345678');
+  expect(normalizeThaiMobile('021234567')).toBeNull();
+  expect(normalizeThaiMobile('+1 415 555 0100')).toBeNull();
+});
+
+test('masks phone numbers while typing', () => {
+  expect(formatThaiMobile('0812345678')).toBe('081-234-5678');
+  expect(formatThaiMobile('0812')).toBe('081-2');
+  expect(formatThaiMobile('+66812345678')).toBe('+66 81 234 5678');
+  expect(formatThaiMobile('66812345678')).toBe('+66 81 234 5678');
+  expect(formatThaiMobile('0066812345678')).toBe('+66 81 234 5678');
+  expect(formatThaiMobile('0066 81 234 5678')).toBe('+66 81 234 5678');
+  expect(formatThaiMobile('668')).toBe('+66 8');
+  expect(formatThaiMobile('006')).toBe('006');
+});
+
+test('accepts names in a single Thai or Latin script', () => {
+  expect(isValidName('สมชาย')).toBe(true);
+  expect(isValidName("Mary-Jane O'Neil")).toBe(true);
+  expect(isValidName('José')).toBe(true);
+  expect(isValidName('สมชายJohn')).toBe(false);
+  expect(isValidName('John3')).toBe(false);
+  expect(isValidName('สมชาย฿')).toBe(false);
+  expect(isValidName('John×Smith')).toBe(false);
+  expect(isValidName('John÷')).toBe(false);
+  expect(isValidName('Zoë Ørsted')).toBe(true);
+  expect(isValidName('วิไลลักษณ์ ณ อยุธยา')).toBe(true);
+  expect(isValidName('   ')).toBe(false);
+});
+
+test('reports an error per invalid field', () => {
+  expect(validateCustomerForm({ firstName: 'John', lastName: 'Doe', phone: '081-234-5678', nid: '1-2345-67890-12-1' })).toEqual({});
+  expect(Object.keys(validateCustomerForm({ firstName: '', lastName: 'D0e', phone: '12', nid: '1234567890122' })))
+    .toEqual(['firstName', 'lastName', 'phone', 'nid']);
+});
@@ -1,10 +1,26 @@
+const defaultTheme = require('tailwindcss/defaultTheme');
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      // Self-hosted through @fontsource/inter (see src/index.js).
+      fontFamily: {
+        sans: ['Inter', ...defaultTheme.fontFamily.sans],
+      },
+      // AIA red. Contrast with white (WCAG 2.1 AA needs 4.5:1 for text):
+      // DEFAULT 5.3:1, for text and for white text on it, also on light tints
+      // such as red-50; dark 7.1:1, for hover states and error messages.
+      colors: {
+        brand: {
+          DEFAULT: '#D31145',
+          dark: '#B00E39',
+        },
+      },
+    },
   },
   plugins: [],
 }